@@ -0,0 +1,147 @@
+/*
+  backend/accessAnalysis.js
+
+  Effective-access analysis over parsed policy statements of a crawled tenancy.
+  - effectiveAccessForSubject: everything a group or dynamic group is granted, expanded to
+    every compartment the grant applies to (OCI policies inherit down the compartment tree).
+  - subjectsForCompartment: the reverse lookup; every subject granted anything on a compartment,
+    including grants made on any of its ancestors.
+*/
+
+const { displayPath, descendantIds, ancestorIds, resolveLocation } = require('./tenancyModel');
+
+const DEFAULT_DOMAIN = 'default';
+
+/**
+ * Utility: Does a parsed statement subject entry cover the requested principal?
+ * Returns the match kind ('direct', 'any-user', 'any-group') or null.
+ * Statement subjects without a domain belong to the Default identity domain.
+ */
+function matchSubject(entry, subject) {
+  if (entry.type === 'any-user') return 'any-user';
+  if (entry.type === 'any-group') return 'any-group';
+  if (entry.type !== subject.type) return null;
+  if (entry.id) return subject.id && entry.id === subject.id ? 'direct' : null;
+  if (!entry.name || entry.name.toLowerCase() !== subject.name.toLowerCase()) return null;
+  const entryDomain = (entry.domain || DEFAULT_DOMAIN).toLowerCase();
+  const subjectDomain = (subject.domain || DEFAULT_DOMAIN).toLowerCase();
+  return entryDomain === subjectDomain ? 'direct' : null;
+}
+
+/**
+ * Collects every Allow statement granting a group or dynamic group access, resolved to compartments.
+ * @param {Object} tenancy - Loaded tenancy: { tenancyId, policies (with parsedStatements), compartmentIndex }.
+ * @param {Object} subject - { type: 'group'|'dynamic-group', name, domain?, id? }.
+ * @returns {{ rows: Object[], unresolved: Object[] }}
+ *   rows: one per (grant, compartment) with verb, resourceType, permissions, compartmentId, compartmentPath,
+ *     inherited, grantedAtPath, matchedBy, conditional, policyId, policyName, statementIndex, statement;
+ *   unresolved: matching grants whose location does not resolve to a compartment of this tenancy.
+ */
+function effectiveAccessForSubject(tenancy, subject) {
+  const { tenancyId, policies, compartmentIndex } = tenancy;
+  const rows = [];
+  const unresolved = [];
+
+  for (const policy of policies) {
+    for (const { index, statement, parsed } of policy.parsedStatements || []) {
+      if (!parsed || parsed.type !== 'allow') continue;
+      const matchedBy = parsed.subjects.map((entry) => matchSubject(entry, subject)).find(Boolean);
+      if (!matchedBy) continue;
+
+      const grant = {
+        verb: parsed.verb,
+        resourceType: parsed.resourceType,
+        permissions: parsed.permissions,
+        matchedBy,
+        conditional: !!parsed.conditions,
+        policyId: policy.id,
+        policyName: policy.name,
+        statementIndex: index,
+        statement
+      };
+      const grantedAtId = resolveLocation(parsed.location, policy.compartmentId, compartmentIndex, tenancyId);
+      if (!grantedAtId) {
+        unresolved.push({ ...grant, location: parsed.location });
+        continue;
+      }
+      const grantedAtPath = displayPath(compartmentIndex.get(grantedAtId).path);
+      for (const compartmentId of [grantedAtId, ...descendantIds(compartmentIndex, grantedAtId)]) {
+        rows.push({
+          ...grant,
+          compartmentId,
+          compartmentPath: displayPath(compartmentIndex.get(compartmentId).path),
+          inherited: compartmentId !== grantedAtId,
+          grantedAtPath
+        });
+      }
+    }
+  }
+
+  rows.sort((a, b) => a.compartmentPath.localeCompare(b.compartmentPath) || a.inherited - b.inherited);
+  return { rows, unresolved };
+}
+
+/**
+ * Utility: Stable key and label for a statement subject entry
+ * Admitted subjects are qualified with the tenancy alias they are admitted from
+ */
+function describeSubject(entry, tenancy) {
+  let label = entry.type;
+  if (entry.id) label += ` id ${entry.id}`;
+  else if (entry.name) label += entry.domain ? ` '${entry.domain}'/'${entry.name}'` : ` ${entry.name}`;
+  if (tenancy) label += tenancy.type === 'any-tenancy' ? ' of any-tenancy' : ` of tenancy ${tenancy.alias}`;
+  return label;
+}
+
+/**
+ * Lists every subject granted permissions on a compartment, directly or through an ancestor.
+ * @param {Object} tenancy - Loaded tenancy: { tenancyId, policies (with parsedStatements), compartmentIndex }.
+ *   The index only needs to cover the compartment's ancestor chain (see tenancyCrawler.crawlAncestry).
+ * @param {string} compartmentId - Target compartment OCID.
+ * @returns {Object[]} One entry per subject: { subject, label, admitted, grants: [...] }, where each grant has
+ *   verb, resourceType, permissions, grantedAtPath, inherited, conditional, policyName, statementIndex, statement.
+ */
+function subjectsForCompartment(tenancy, compartmentId) {
+  const { tenancyId, policies, compartmentIndex } = tenancy;
+  const chain = new Set(ancestorIds(compartmentIndex, compartmentId));
+  const bySubject = new Map();
+
+  for (const policy of policies) {
+    for (const { index, statement, parsed } of policy.parsedStatements || []) {
+      if (!parsed || (parsed.type !== 'allow' && parsed.type !== 'admit')) continue;
+      const grantedAtId = resolveLocation(parsed.location, policy.compartmentId, compartmentIndex, tenancyId);
+      if (!grantedAtId || !chain.has(grantedAtId)) continue;
+
+      const grant = {
+        verb: parsed.verb,
+        resourceType: parsed.resourceType,
+        permissions: parsed.permissions,
+        grantedAtPath: displayPath(compartmentIndex.get(grantedAtId).path),
+        inherited: grantedAtId !== compartmentId,
+        conditional: !!parsed.conditions,
+        policyId: policy.id,
+        policyName: policy.name,
+        statementIndex: index,
+        statement
+      };
+      const admittedFrom = parsed.type === 'admit' ? parsed.tenancy : null;
+      for (const entry of parsed.subjects) {
+        const label = describeSubject(entry, admittedFrom);
+        const key = label.toLowerCase();
+        if (!bySubject.has(key)) {
+          bySubject.set(key, { subject: entry, label, admitted: !!admittedFrom, grants: [] });
+        }
+        bySubject.get(key).grants.push(grant);
+      }
+    }
+  }
+
+  return [...bySubject.values()].sort((a, b) => a.label.localeCompare(b.label));
+}
+
+module.exports = {
+  matchSubject,
+  describeSubject,
+  effectiveAccessForSubject,
+  subjectsForCompartment,
+};
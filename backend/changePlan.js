@@ -0,0 +1,285 @@
+/*
+  backend/changePlan.js
+
+  Dry-run plan of a policy change (create, update or delete), reviewed before anything is sent to OCI.
+  - Statement-level diff of the proposed statements against the current version of the policy.
+  - Lint findings the change introduces or resolves (the whole tenancy is linted before and after).
+  - Access gained or lost per subject. A grant only counts as lost if no remaining statement still implies it
+    (same or stronger verb, all-resources or the resource type's family, or a grant on an ancestor compartment), and
+    likewise for gained.
+*/
+
+const { normalizeStatement } = require('./snapshotDiff');
+const { describeSubject } = require('./accessAnalysis');
+const { lintPolicies } = require('./policyLinter');
+const { displayPath, ancestorIds, resolveLocation } = require('./tenancyModel');
+
+// Id the proposed policy is linted under while it does not exist yet
+const PROPOSED_POLICY_ID = 'proposed-policy';
+
+// Verbs in increasing order of access; each includes the ones before it
+const VERB_RANKS = { inspect: 1, read: 2, use: 3, manage: 4 };
+
+// Family resource types and the individual resource types each covers (OCI policy reference), so that moving
+// a grant from a resource type to its family is not reported as losing access
+const RESOURCE_FAMILIES = {
+  'autonomous-database-family': [
+    'autonomous-databases', 'autonomous-backups', 'autonomous-container-databases',
+    'autonomous-exadata-infrastructures', 'autonomous-vmclusters', 'cloud-autonomous-vmclusters'
+  ],
+  'cluster-family': ['clusters', 'cluster-node-pools', 'cluster-virtualnode-pools', 'cluster-work-requests'],
+  'compute-management-family': ['instance-configurations', 'instance-pools', 'cluster-networks'],
+  'database-family': [
+    'db-systems', 'db-nodes', 'db-homes', 'databases', 'pluggable-databases', 'backups', 'db-backups',
+    'vmclusters', 'exadata-infrastructures', 'cloud-vmclusters', 'cloud-exadata-infrastructures'
+  ],
+  'dns': ['dns-zones', 'dns-records', 'dns-traffic', 'dns-steering-policies', 'dns-steering-policy-attachments', 'dns-resolvers', 'dns-views'],
+  'file-family': ['file-systems', 'mount-targets', 'export-sets'],
+  'functions-family': ['fn-app', 'fn-function', 'fn-invocation'],
+  'instance-family': [
+    'app-catalog-listing', 'console-histories', 'instances', 'instance-console-connection', 'instance-images',
+    'volume-attachments'
+  ],
+  'object-family': ['buckets', 'objects'],
+  'secret-family': ['secrets', 'secret-bundles'],
+  'stream-family': ['streams', 'stream-push', 'stream-pull', 'connect-harness'],
+  'virtual-network-family': [
+    'vcns', 'subnets', 'route-tables', 'network-security-groups', 'security-lists', 'dhcp-options', 'private-ips',
+    'public-ips', 'ipv6s', 'internet-gateways', 'nat-gateways', 'service-gateways', 'local-peering-gateways',
+    'remote-peering-connections', 'drgs', 'drg-attachments', 'drg-route-tables', 'drg-route-distributions', 'cpes',
+    'ipsec-connections', 'cross-connects', 'cross-connect-groups', 'virtual-circuits', 'vnics', 'vnic-attachments', 'vlans'
+  ],
+  'volume-family': [
+    'volumes', 'volume-attachments', 'volume-backups', 'boot-volume-backups', 'backup-policies',
+    'backup-policy-assignments', 'volume-groups', 'volume-group-backups'
+  ],
+};
+
+/**
+ * Utility: Statement-level diff in proposed order; removed statements follow the proposed ones
+ * Returns [{ change: 'added'|'removed'|'unchanged', statement }] (whitespace-insensitive, duplicates counted)
+ */
+function statementChanges(currentStatements, proposedStatements) {
+  const remaining = new Map();
+  for (const s of currentStatements) {
+    const key = normalizeStatement(s);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+  const changes = proposedStatements.map((statement) => {
+    const key = normalizeStatement(statement);
+    if (!remaining.get(key)) return { change: 'added', statement };
+    remaining.set(key, remaining.get(key) - 1);
+    return { change: 'unchanged', statement };
+  });
+  for (const statement of currentStatements) {
+    const key = normalizeStatement(statement);
+    if (remaining.get(key) > 0) {
+      remaining.set(key, remaining.get(key) - 1);
+      changes.push({ change: 'removed', statement });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Utility: Label of a location that does not resolve to a compartment of this tenancy (endorsed tenancies,
+ * unknown compartments)
+ */
+function locationLabel(location) {
+  if (location.type === 'any-tenancy') return 'any-tenancy';
+  if (location.type === 'tenancy') return location.alias ? `tenancy ${location.alias}` : 'tenancy';
+  return `compartment ${location.id || location.path.join(':')}`;
+}
+
+/**
+ * Utility: Grants of the given policy statements, one per subject
+ * Returns [{ subjectKey, label, admitted, type, verb, resourceType, permissions, locationId, location, conditions,
+ *   conditional, policyId, policyName, statement }]; subjects are keyed as in accessAnalysis.subjectsForCompartment
+ */
+function grantsOf(tenancy, entries) {
+  const grants = [];
+  for (const { policy, parsedStatement } of entries) {
+    const { parsed, statement } = parsedStatement;
+    if (!parsed || !['allow', 'admit', 'endorse'].includes(parsed.type)) continue;
+    // Endorse grants access in another tenancy, so its location never resolves here
+    const locationId = parsed.type === 'endorse'
+      ? null
+      : resolveLocation(parsed.location, policy.compartmentId, tenancy.compartmentIndex, tenancy.tenancyId);
+    const location = locationId
+      ? displayPath(tenancy.compartmentIndex.get(locationId).path)
+      : `${locationLabel(parsed.location)}${parsed.location.type === 'compartment' ? ' (not found)' : ''}`;
+    const admittedFrom = parsed.type === 'admit' ? parsed.tenancy : null;
+    for (const subject of parsed.subjects) {
+      const label = describeSubject(subject, admittedFrom);
+      grants.push({
+        subjectKey: `${parsed.type === 'endorse' ? 'endorse ' : ''}${label.toLowerCase()}`,
+        label,
+        admitted: !!admittedFrom,
+        type: parsed.type,
+        verb: parsed.verb ? parsed.verb.toLowerCase() : null,
+        resourceType: parsed.resourceType ? parsed.resourceType.toLowerCase() : null,
+        permissions: parsed.permissions ? parsed.permissions.map((p) => p.toUpperCase()) : null,
+        locationId,
+        location,
+        conditions: parsed.conditions ? JSON.stringify(parsed.conditions) : '',
+        conditional: !!parsed.conditions,
+        policyId: policy.id,
+        policyName: policy.name,
+        statement
+      });
+    }
+  }
+  return grants;
+}
+
+/**
+ * Utility: Does grant `a` give (at least) the access of grant `b`? Both belong to the same subject.
+ */
+function implies(a, b, compartmentIndex) {
+  if (a.type !== b.type) return false;
+  if (a.conditions && a.conditions !== b.conditions) return false;
+  if (a.locationId || b.locationId) {
+    if (!a.locationId || !b.locationId) return false;
+    if (!ancestorIds(compartmentIndex, b.locationId).includes(a.locationId)) return false;
+  } else if (a.location.toLowerCase() !== b.location.toLowerCase()) {
+    return false;
+  }
+  if (a.verb === 'manage' && a.resourceType === 'all-resources') return true;
+  if (b.permissions) return !!a.permissions && b.permissions.every((p) => a.permissions.includes(p));
+  if (!a.verb || (VERB_RANKS[a.verb] || 0) < (VERB_RANKS[b.verb] || 0)) return false;
+  return a.resourceType === b.resourceType || a.resourceType === 'all-resources'
+    || (Object.hasOwn(RESOURCE_FAMILIES, a.resourceType) && RESOURCE_FAMILIES[a.resourceType].includes(b.resourceType));
+}
+
+/**
+ * Utility: Grants of `candidates` that no grant of `others` (same subject) implies, de-duplicated
+ */
+function grantsNotImplied(candidates, others, compartmentIndex) {
+  const bySubject = new Map();
+  for (const g of others) {
+    if (!bySubject.has(g.subjectKey)) bySubject.set(g.subjectKey, []);
+    bySubject.get(g.subjectKey).push(g);
+  }
+  const seen = new Set();
+  return candidates.filter((g) => {
+    const key = [g.subjectKey, g.verb, g.resourceType, g.permissions, g.location, g.conditions].join('\u0000');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return !(bySubject.get(g.subjectKey) || []).some((other) => implies(other, g, compartmentIndex));
+  });
+}
+
+/**
+ * Utility: Grant as reported in a plan; grants that let the subject change policies are flagged `policyAdmin`
+ * (losing one of those can lock administrators out)
+ */
+function planGrant(g) {
+  const policyAdmin = (g.verb === 'manage' && ['all-resources', 'policies'].includes(g.resourceType))
+    || (!!g.permissions && g.permissions.includes('POLICY_UPDATE'));
+  return {
+    verb: g.verb,
+    resourceType: g.resourceType,
+    permissions: g.permissions,
+    location: g.location,
+    conditional: g.conditional,
+    policyAdmin,
+    policyName: g.policyName,
+    statement: g.statement
+  };
+}
+
+/**
+ * Utility: Every (policy, parsed statement) pair of a list of policies
+ */
+function statementEntries(policies) {
+  return policies.flatMap((policy) => (policy.parsedStatements || []).map((parsedStatement) => ({ policy, parsedStatement })));
+}
+
+/**
+ * Utility: Identity of a lint finding across the before/after states (statement text rather than index)
+ */
+function findingKey(f) {
+  return [f.ruleId, f.policyId, f.statement, f.message].join('\u0000');
+}
+
+/**
+ * Plans a policy change against the current state of the tenancy.
+ * @param {Object} tenancy - Loaded tenancy: { tenancyId, policies (with parsedStatements), compartmentIndex,
+ *   groups?, dynamicGroups? } (see loadTenancy). It may be a cached crawl; `current` replaces its copy of the policy.
+ * @param {Object|null} current - Current version of the policy (with parsedStatements), or null when creating.
+ * @param {Object|null} proposed - Proposed version { id?, compartmentId, name, description, statements,
+ *   parsedStatements }, or null when deleting.
+ * @param {Object} lintConfig - Config from policyLinter.loadLintConfig.
+ * @returns {Object} { action, policy: { id, name, compartmentId, compartmentPath }, descriptionChanged,
+ *   statements: [{ change, statement }], summary: { added, removed, unchanged },
+ *   lint: { introduced, resolved } (findings as from lintPolicies),
+ *   access: [{ subject, admitted, gained: [grant], lost: [grant] }] (grant: verb, resourceType, permissions,
+ *   location, conditional, policyAdmin, policyName, statement) }
+ */
+function planPolicyChange(tenancy, current, proposed, lintConfig) {
+  const target = proposed || current;
+  const action = !current ? 'create' : !proposed ? 'delete' : 'update';
+  const changedPolicy = { ...target, id: target.id || PROPOSED_POLICY_ID };
+  const others = tenancy.policies.filter((p) => !current || p.id !== current.id);
+  const before = { ...tenancy, policies: current ? [...others, current] : others };
+  const after = { ...tenancy, policies: proposed ? [...others, changedPolicy] : others };
+
+  const statements = statementChanges(current ? current.statements || [] : [], proposed ? proposed.statements : []);
+  const changedKeys = (change) => new Set(statements.filter((s) => s.change === change).map((s) => normalizeStatement(s.statement)));
+  const removedKeys = changedKeys('removed');
+  const addedKeys = changedKeys('added');
+
+  // Only the policy's removed/added statements can lose/gain access; the rest of the tenancy is what still implies it
+  const lostCandidates = grantsOf(tenancy, statementEntries(current ? [current] : [])
+    .filter((e) => removedKeys.has(normalizeStatement(e.parsedStatement.statement))));
+  const gainedCandidates = grantsOf(tenancy, statementEntries(proposed ? [changedPolicy] : [])
+    .filter((e) => addedKeys.has(normalizeStatement(e.parsedStatement.statement))));
+  const lost = grantsNotImplied(lostCandidates, grantsOf(tenancy, statementEntries(after.policies)), tenancy.compartmentIndex);
+  const gained = grantsNotImplied(gainedCandidates, grantsOf(tenancy, statementEntries(before.policies)), tenancy.compartmentIndex);
+
+  const access = new Map();
+  for (const [kind, grants] of [['gained', gained], ['lost', lost]]) {
+    for (const g of grants) {
+      if (!access.has(g.subjectKey)) {
+        access.set(g.subjectKey, {
+          subject: g.type === 'endorse' ? `${g.label} (endorsed)` : g.label,
+          admitted: g.admitted,
+          gained: [],
+          lost: []
+        });
+      }
+      access.get(g.subjectKey)[kind].push(planGrant(g));
+    }
+  }
+
+  const findingsBefore = lintPolicies(before, lintConfig);
+  const findingsAfter = lintPolicies(after, lintConfig);
+  const keysBefore = new Set(findingsBefore.map(findingKey));
+  const keysAfter = new Set(findingsAfter.map(findingKey));
+
+  const compartment = tenancy.compartmentIndex.get(target.compartmentId);
+  const count = (change) => statements.filter((s) => s.change === change).length;
+  return {
+    action,
+    policy: {
+      id: target.id || null,
+      name: target.name,
+      compartmentId: target.compartmentId,
+      compartmentPath: displayPath(compartment ? compartment.path : '')
+    },
+    descriptionChanged: action === 'update' && (current.description || '') !== (proposed.description || ''),
+    statements,
+    summary: { added: count('added'), removed: count('removed'), unchanged: count('unchanged') },
+    lint: {
+      introduced: findingsAfter
+        .filter((f) => !keysBefore.has(findingKey(f)))
+        .map((f) => (f.policyId === PROPOSED_POLICY_ID ? { ...f, policyId: null } : f)),
+      resolved: findingsBefore.filter((f) => !keysAfter.has(findingKey(f)))
+    },
+    access: [...access.values()].sort((a, b) => a.subject.localeCompare(b.subject))
+  };
+}
+
+module.exports = {
+  planPolicyChange,
+};
@@ -0,0 +1,299 @@
+/*
+  backend/clientRegistry.js
+
+  Shared OCI clients, one set per profile (and region).
+  - Config-file profiles (~/.oci/config), instance principal and resource principal mode get their auth provider,
+    IdentityClient and IdentityDomainsClients built once and reused by every route.
+  - Each identity domain has its own endpoint, so there is one IdentityDomainsClient per domain URL; a shared client
+    is never re-pointed at another domain (concurrent crawls would call each other's domains).
+  - Config-file profiles with a `security_token_file` (created by `oci session authenticate`) are session-token
+    profiles; their token expiry is read from the token itself so callers can report an expired session clearly.
+  - Config-file clients are rebuilt when the config file or a session token file changes (checked by modification time).
+  - OCI_IDENTITY_ENDPOINT points every IdentityClient at another endpoint, e.g. the local mock (mockIdentityServer.js).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http'); // For OCI metadata service
+const ociCommon = require('oci-common');
+const ociIdentity = require('oci-identity');
+const ociIdentityDomains = require('oci-identitydomains');
+
+// OCI config file location (~/.oci/config)
+const OCI_CONFIG_PATH = path.join(require('os').homedir(), '.oci', 'config');
+
+// Identity API endpoint overriding the regional one (e.g. http://localhost:4100 for mockIdentityServer.js); unset for OCI
+const IDENTITY_ENDPOINT = process.env.OCI_IDENTITY_ENDPOINT || null;
+
+// "<profile>|<region>" -> { provider, identityClient, domainsClientFor, tenancyId, region, tokenFile?, tokenMtimeMs? }
+const clients = new Map();
+// Modification time of the config file the cached config-file clients were built from
+let configMtimeMs = null;
+
+/**
+ * Utility: Parse OCI config profiles file (~/.oci/config)
+ * Returns array of profile names
+ */
+function listOciProfiles(configPath = OCI_CONFIG_PATH) {
+  try {
+    const content = fs.readFileSync(configPath, 'utf-8');
+    const profiles = [];
+    const profileRegex = /^\[([^\]]+)\]/gm;
+    let match;
+    while ((match = profileRegex.exec(content))) {
+      profiles.push(match[1]);
+    }
+    return profiles;
+  } catch (err) {
+    // If cannot read, return empty (file may be missing)
+    return [];
+  }
+}
+
+/**
+ * Utility: Load a specific OCI profile section from config file
+ * Returns key-value object (profile fields) or null if missing/invalid
+ */
+function loadOciProfile(profileName, configPath = OCI_CONFIG_PATH) {
+  try {
+    const content = fs.readFileSync(configPath, 'utf-8');
+    const lines = content.split(/\r?\n/);
+    let inProfile = false;
+    const profileData = {};
+    for (const line of lines) {
+      const profileHeader = line.match(/^\[([^\]]+)\]/);
+      if (profileHeader) {
+        inProfile = profileHeader[1] === profileName;
+        continue;
+      }
+      if (inProfile && line.trim() && !line.trim().startsWith('#')) {
+        const idx = line.indexOf('=');
+        if (idx !== -1) {
+          const key = line.slice(0, idx).trim();
+          const val = line.slice(idx + 1).trim();
+          profileData[key] = val;
+        }
+      }
+    }
+    return Object.keys(profileData).length > 0 ? profileData : null;
+  } catch (err) {
+    // Could not parse or file missing/bad
+    return null;
+  }
+}
+
+/**
+ * Utility: Expand a leading "~" in a path from the config file
+ */
+function expandHome(filePath) {
+  return filePath.startsWith('~') ? path.join(require('os').homedir(), filePath.slice(1)) : filePath;
+}
+
+/**
+ * Utility: Modification time of a file, or 0 if it is missing
+ */
+function mtimeOf(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/**
+ * Returns the session token details of a config-file profile.
+ * @param {string} profile - Profile name in the OCI config file.
+ * @returns {Object|null} { tokenFile, expiresAt (Date, null if the token cannot be read) },
+ *   or null if the profile is not a session-token profile.
+ */
+function getSessionTokenInfo(profile) {
+  const profileConfig = loadOciProfile(profile);
+  if (!profileConfig || !profileConfig.security_token_file) return null;
+  const tokenFile = expandHome(profileConfig.security_token_file);
+  let expiresAt = null;
+  try {
+    // The token is a JWT; its payload carries the expiry as "exp" (seconds since the epoch)
+    const token = fs.readFileSync(tokenFile, 'utf-8').trim();
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+    if (typeof payload.exp === 'number') expiresAt = new Date(payload.exp * 1000);
+  } catch (err) {
+    // Missing or malformed token file - expiry unknown
+  }
+  return { tokenFile, expiresAt };
+}
+
+/**
+ * Helper: Get tenancy OCID from instance metadata service (cached after first call)
+ * Returns Promise<string|null>
+ */
+let _instanceMetaTenancyOcid = null;
+function getInstanceTenancyOcid() {
+  return new Promise((resolve) => {
+    if (_instanceMetaTenancyOcid) return resolve(_instanceMetaTenancyOcid);
+    // Fetch from OCI instance metadata (root info)
+    http.get(
+      "http://169.254.169.254/opc/v1/instance/",
+      (resp) => {
+        let data = "";
+        resp.on("data", (chunk) => { data += chunk; });
+        resp.on("end", () => {
+          try {
+            const meta = JSON.parse(data);
+            if (typeof meta.compartmentId === "string" && meta.compartmentId.length) {
+              _instanceMetaTenancyOcid = meta.compartmentId;
+              resolve(_instanceMetaTenancyOcid);
+            } else {
+              resolve(null);
+            }
+          } catch (err) {
+            resolve(null);
+          }
+        });
+      }
+    ).on("error", () => resolve(null));
+  });
+}
+
+/**
+ * Utility: Region an auth provider is configured for (null if it cannot tell)
+ */
+function providerRegion(provider) {
+  try {
+    const region = provider.getRegion();
+    return region ? region.regionId : null;
+  } catch (err) {
+    // Principal providers may only know their region once they have a token
+    return null;
+  }
+}
+
+/**
+ * Utility: IdentityDomainsClient lookup for an auth provider: domainsClientFor(domainUrl) returns the client of that
+ * domain, built on first use and pointed at the domain's endpoint for good
+ */
+function domainsClientLookup(provider) {
+  const byUrl = new Map();
+  return (domainUrl) => {
+    if (!byUrl.has(domainUrl)) {
+      const domainsClient = new ociIdentityDomains.IdentityDomainsClient({ authenticationDetailsProvider: provider });
+      domainsClient.endpoint = domainUrl;
+      byUrl.set(domainUrl, domainsClient);
+    }
+    return byUrl.get(domainUrl);
+  };
+}
+
+/**
+ * Utility: Build the clients for an auth provider, optionally pinned to a region
+ * `region` of the result is the region the clients call (the provider's own region if none is given)
+ */
+function buildClients(provider, tenancyId, region) {
+  const identityClient = new ociIdentity.IdentityClient({ authenticationDetailsProvider: provider });
+  if (region) identityClient.regionId = region;
+  // Set after the region, which would otherwise replace it with the regional endpoint
+  if (IDENTITY_ENDPOINT) identityClient.endpoint = IDENTITY_ENDPOINT;
+  const domainsClientFor = domainsClientLookup(provider);
+  return { provider, identityClient, domainsClientFor, tenancyId, region: region || providerRegion(provider) };
+}
+
+/**
+ * Utility: Drop cached config-file clients if the config file changed since they were built
+ */
+function checkConfigFile() {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(OCI_CONFIG_PATH).mtimeMs;
+  } catch (err) {
+    // Config file missing
+    mtimeMs = 0;
+  }
+  if (mtimeMs !== configMtimeMs) {
+    for (const key of clients.keys()) {
+      if (key.startsWith('profile:')) clients.delete(key);
+    }
+    configMtimeMs = mtimeMs;
+  }
+}
+
+/**
+ * Returns the shared clients of a config-file profile.
+ * Session-token profiles use a SessionAuthDetailProvider, which reads the token once, so their clients are
+ * rebuilt whenever the token file changes (e.g. after `oci session refresh`).
+ * @param {string} profile - Profile name in the OCI config file.
+ * @param {string} [region] - Region to call (the profile's region if omitted).
+ * @returns {Object|null} { provider, identityClient, domainsClientFor, tenancyId, region }, or null if the profile does not exist.
+ */
+function getConfigFileClients(profile, region) {
+  checkConfigFile();
+  const key = `profile:${profile}|${region || ''}`;
+  const existing = clients.get(key);
+  if (existing && existing.tokenFile && mtimeOf(existing.tokenFile) !== existing.tokenMtimeMs) {
+    clients.delete(key);
+  }
+  if (!clients.has(key)) {
+    const profileConfig = loadOciProfile(profile);
+    if (!profileConfig) return null;
+    if (profileConfig.security_token_file) {
+      const tokenFile = expandHome(profileConfig.security_token_file);
+      const tokenMtimeMs = mtimeOf(tokenFile);
+      const provider = new ociCommon.SessionAuthDetailProvider(OCI_CONFIG_PATH, profile);
+      clients.set(key, { ...buildClients(provider, profileConfig.tenancy, region), tokenFile, tokenMtimeMs });
+    } else {
+      const provider = new ociCommon.ConfigFileAuthenticationDetailsProvider(
+        OCI_CONFIG_PATH,
+        profile
+      );
+      clients.set(key, buildClients(provider, profileConfig.tenancy, region));
+    }
+  }
+  return clients.get(key);
+}
+
+/**
+ * Returns the shared instance principal clients (the provider refreshes its own security token).
+ * @param {string} [region] - Region to call (the instance's region if omitted).
+ * @returns {Promise<Object>} { provider, identityClient, domainsClientFor, tenancyId, region }
+ * @throws {Error} If the tenancy OCID cannot be read from the instance metadata service.
+ */
+async function getInstancePrincipalClients(region) {
+  const key = `instance-principal|${region || ''}`;
+  if (!clients.has(key)) {
+    const tenancyId = await getInstanceTenancyOcid();
+    if (!tenancyId) throw new Error("Unable to get tenancy OCID from instance metadata");
+    const provider = new ociCommon.InstancePrincipalsAuthenticationDetailsProvider();
+    clients.set(key, buildClients(provider, tenancyId, region));
+  }
+  return clients.get(key);
+}
+
+/**
+ * Returns the shared resource principal clients (OCI Functions, Container Instances and other resources that
+ * provide the OCI_RESOURCE_PRINCIPAL_* environment variables).
+ * @param {string} [region] - Region to call (the resource's region if omitted).
+ * @returns {Promise<Object>} { provider, identityClient, domainsClientFor, tenancyId, region }
+ * @throws {Error} If the resource principal environment is missing or its token carries no tenancy.
+ */
+async function getResourcePrincipalClients(region) {
+  const key = `resource-principal|${region || ''}`;
+  if (!clients.has(key)) {
+    if (!process.env.OCI_RESOURCE_PRINCIPAL_VERSION) {
+      throw new Error("OCI_RESOURCE_PRINCIPAL_VERSION is not set; resource principal auth needs an OCI Functions or Container Instances runtime");
+    }
+    const provider = ociCommon.ResourcePrincipalAuthenticationDetailsProvider.builder();
+    const tenancyId = await provider.getStringClaim(
+      ociCommon.ResourcePrincipalAuthenticationDetailsProvider.ClaimKeys.TENANT_ID_CLAIM_KEY
+    );
+    if (!tenancyId) throw new Error("Unable to get tenancy OCID from the resource principal token");
+    clients.set(key, buildClients(provider, tenancyId, region));
+  }
+  return clients.get(key);
+}
+
+module.exports = {
+  IDENTITY_ENDPOINT,
+  listOciProfiles,
+  getSessionTokenInfo,
+  getConfigFileClients,
+  getInstancePrincipalClients,
+  getResourcePrincipalClients,
+};
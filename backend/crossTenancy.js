@@ -0,0 +1,220 @@
+/*
+  backend/crossTenancy.js
+
+  Cross-tenancy pairing analysis between two tenancies.
+  - An Endorse in the source tenancy only takes effect together with a matching Admit in the destination
+    tenancy (and vice versa). Both name the other tenancy through a `define tenancy <alias> as <ocid>` line,
+    which OCI requires in the same policy as the statement using the alias.
+  - Pairs endorse/admit statements in both directions, lists the orphaned ones, and reports define lines
+    whose OCIDs do not match either tenancy.
+*/
+
+const { displayPath } = require('./tenancyModel');
+const { findIdentity } = require('./identityDomains');
+
+/**
+ * Utility: Reference to one statement of a policy, as returned in the report
+ */
+function statementRef(profile, policy, compartmentIndex, entry) {
+  const compartment = compartmentIndex.get(policy.compartmentId);
+  return {
+    profile,
+    policyId: policy.id,
+    policyName: policy.name,
+    compartmentPath: displayPath(compartment ? compartment.path : ''),
+    statementIndex: entry.index,
+    statement: entry.statement
+  };
+}
+
+/**
+ * Utility: Collect the define, endorse and admit statements of one tenancy
+ * Aliases are resolved within their policy; endorse subjects are resolved to OCIDs through the tenancy's own
+ * groups, admit subjects through `define group|dynamic-group` lines.
+ */
+function collect({ profile, tenancy }) {
+  const defines = [];
+  const grants = [];
+  for (const policy of tenancy.policies) {
+    const entries = (policy.parsedStatements || []).filter((e) => e.parsed);
+    const aliases = new Map();
+    for (const entry of entries) {
+      if (entry.parsed.type !== 'define') continue;
+      const define = { ...entry.parsed, ref: statementRef(profile, policy, tenancy.compartmentIndex, entry) };
+      aliases.set(`${define.entityType}|${define.alias.toLowerCase()}`, define);
+      if (define.entityType === 'tenancy') defines.push(define);
+    }
+    for (const entry of entries) {
+      const { type } = entry.parsed;
+      if (type !== 'endorse' && type !== 'admit') continue;
+      const reference = type === 'endorse' ? entry.parsed.location : entry.parsed.tenancy;
+      const define = reference.alias ? aliases.get(`tenancy|${reference.alias.toLowerCase()}`) : null;
+      grants.push({
+        type,
+        parsed: entry.parsed,
+        ref: statementRef(profile, policy, tenancy.compartmentIndex, entry),
+        anyTenancy: reference.type === 'any-tenancy',
+        alias: reference.alias || null,
+        tenancyId: define ? define.ocid : null,
+        subjects: entry.parsed.subjects.map((subject) => {
+          if (subject.id || !subject.name) return { ...subject, ocid: subject.id || null };
+          if (type === 'admit') {
+            const defined = aliases.get(`${subject.type}|${subject.name.toLowerCase()}`);
+            return { ...subject, ocid: defined ? defined.ocid : null, defined: Boolean(defined) };
+          }
+          const identity = findIdentity(tenancy, subject);
+          return { ...subject, ocid: identity ? identity.id : null };
+        })
+      });
+    }
+  }
+  return { defines, grants };
+}
+
+/**
+ * Utility: Does an endorse subject entry cover an admit subject entry?
+ * any-user / any-group on either side covers the other; otherwise types must agree and the OCIDs
+ * (if both are known) or names must match.
+ */
+function subjectMatches(endorsed, admitted) {
+  if (endorsed.type === 'any-user' || admitted.type === 'any-user') return true;
+  if (endorsed.type === 'any-group' || admitted.type === 'any-group') {
+    return endorsed.type !== 'dynamic-group' && admitted.type !== 'dynamic-group';
+  }
+  if (endorsed.type !== admitted.type) return false;
+  if (endorsed.ocid && admitted.ocid) return endorsed.ocid === admitted.ocid;
+  return Boolean(endorsed.name && admitted.name) && endorsed.name.toLowerCase() === admitted.name.toLowerCase();
+}
+
+/**
+ * Utility: Can the grants of an endorse and an admit overlap?
+ * Permission lists must share a permission, resource types must be equal (or one is all-resources).
+ * A verb grant and a permission list cannot be compared without the permission catalogue; they count as overlapping.
+ */
+function grantsOverlap(endorse, admit) {
+  if (endorse.permissions && admit.permissions) {
+    const permissions = new Set(endorse.permissions.map((p) => p.toUpperCase()));
+    return admit.permissions.some((p) => permissions.has(p.toUpperCase()));
+  }
+  if (endorse.resourceType && admit.resourceType) {
+    return endorse.resourceType === admit.resourceType
+      || endorse.resourceType === 'all-resources' || admit.resourceType === 'all-resources';
+  }
+  return true;
+}
+
+/**
+ * Utility: Pair the endorses of `source` with the admits of `destination`
+ */
+function pairDirection(source, destination, sourceGrants, destinationGrants) {
+  const endorses = sourceGrants.filter((g) => g.type === 'endorse' && (g.anyTenancy || g.tenancyId === destination.tenancy.tenancyId));
+  const admits = destinationGrants.filter((g) => g.type === 'admit' && (g.anyTenancy || g.tenancyId === source.tenancy.tenancyId));
+  const pairs = [];
+  const pairedAdmits = new Set();
+  const orphanedEndorses = [];
+  for (const endorse of endorses) {
+    const matching = admits.filter((admit) => (
+      grantsOverlap(endorse.parsed, admit.parsed)
+      && endorse.subjects.some((e) => admit.subjects.some((a) => subjectMatches(e, a)))
+    ));
+    for (const admit of matching) {
+      pairs.push({ endorse: endorse.ref, admit: admit.ref });
+      pairedAdmits.add(admit);
+    }
+    // An endorse in any-tenancy may be meant for a third tenancy, so only explicit ones are orphaned
+    if (matching.length === 0 && !endorse.anyTenancy) orphanedEndorses.push(endorse.ref);
+  }
+  const orphanedAdmits = admits.filter((a) => !pairedAdmits.has(a) && !a.anyTenancy).map((a) => a.ref);
+  return { pairs, orphanedEndorses, orphanedAdmits };
+}
+
+/**
+ * Utility: Define lines and alias references that do not line up with the two tenancies
+ */
+function findIssues(side, other, collected) {
+  const issues = [];
+  const known = {
+    [side.tenancy.tenancyId]: side.profile,
+    [other.tenancy.tenancyId]: other.profile
+  };
+  for (const define of collected.defines) {
+    if (define.ocid === side.tenancy.tenancyId) {
+      issues.push({
+        code: 'define-self',
+        ...define.ref,
+        message: `Tenancy alias ${define.alias} is defined as this tenancy's own OCID (${define.ocid})`
+      });
+    } else if (!known[define.ocid]) {
+      issues.push({
+        code: 'define-ocid-mismatch',
+        ...define.ref,
+        message: `Tenancy alias ${define.alias} is defined as ${define.ocid}, which is neither ${other.profile} (${other.tenancy.tenancyId}) nor ${side.profile} (${side.tenancy.tenancyId})`
+      });
+    }
+  }
+  const otherIds = new Set([...(other.tenancy.groups || []), ...(other.tenancy.dynamicGroups || [])].map((g) => g.id));
+  for (const grant of collected.grants) {
+    if (!grant.anyTenancy && !grant.tenancyId) {
+      issues.push({
+        code: 'undefined-alias',
+        ...grant.ref,
+        message: `Tenancy alias ${grant.alias} has no define tenancy line in this policy`
+      });
+    }
+    if (grant.type !== 'admit' || grant.tenancyId !== other.tenancy.tenancyId || otherIds.size === 0) continue;
+    for (const subject of grant.subjects) {
+      if (subject.ocid && !otherIds.has(subject.ocid)) {
+        issues.push({
+          code: 'unknown-subject',
+          ...grant.ref,
+          message: `Admitted ${subject.type} ${subject.name || subject.id} (${subject.ocid}) does not exist in ${other.profile}`
+        });
+      } else if (subject.name && subject.defined === false) {
+        issues.push({
+          code: 'undefined-alias',
+          ...grant.ref,
+          message: `Admitted ${subject.type} ${subject.name} has no define ${subject.type} line in this policy`
+        });
+      }
+    }
+  }
+  return issues;
+}
+
+/**
+ * Pairs the endorse and admit statements of two tenancies.
+ * @param {Object} a - { profile, tenancy } with tenancy from loadTenancy ({ tenancyId, policies (with parsedStatements),
+ *   compartmentIndex, groups?, dynamicGroups? }).
+ * @param {Object} b - The other tenancy, same shape.
+ * @returns {Object} { tenancies, pairs, orphanedEndorses, orphanedAdmits, issues, summary }
+ *   pairs: [{ endorse, admit }] statement references ({ profile, policyId, policyName, compartmentPath, statementIndex, statement });
+ *   orphanedEndorses/orphanedAdmits: statement references naming the other tenancy without a counterpart there;
+ *   issues: statement references with { code ('define-self'|'define-ocid-mismatch'|'undefined-alias'|'unknown-subject'), message }.
+ */
+function analyzeCrossTenancy(a, b) {
+  const collectedA = collect(a);
+  const collectedB = collect(b);
+  const aToB = pairDirection(a, b, collectedA.grants, collectedB.grants);
+  const bToA = pairDirection(b, a, collectedB.grants, collectedA.grants);
+  const pairs = [...aToB.pairs, ...bToA.pairs];
+  const orphanedEndorses = [...aToB.orphanedEndorses, ...bToA.orphanedEndorses];
+  const orphanedAdmits = [...aToB.orphanedAdmits, ...bToA.orphanedAdmits];
+  const issues = [...findIssues(a, b, collectedA), ...findIssues(b, a, collectedB)];
+  return {
+    tenancies: [a, b].map((side) => ({ profile: side.profile, tenancyId: side.tenancy.tenancyId })),
+    pairs,
+    orphanedEndorses,
+    orphanedAdmits,
+    issues,
+    summary: {
+      pairs: pairs.length,
+      orphanedEndorses: orphanedEndorses.length,
+      orphanedAdmits: orphanedAdmits.length,
+      issues: issues.length
+    }
+  };
+}
+
+module.exports = {
+  analyzeCrossTenancy,
+};
@@ -0,0 +1,184 @@
+/*
+  backend/identityCache.js
+
+  In-process cache for OCI Identity list results.
+  - Entries are keyed by profile + kind + compartment (+ region and paging parameters) and expire after CACHE_TTL_SECONDS.
+  - Entries without a compartment (whole-tenancy crawls, group and user lists) count as tenancy-wide.
+  - Concurrent requests for an entry that is being loaded share that load instead of calling OCI again.
+  - Optionally persisted to CACHE_FILE, so a restart does not re-crawl large tenancies.
+  - invalidate() drops a compartment subtree (as far as the cached compartment listings know it)
+    plus every tenancy-wide entry of the profile.
+*/
+
+const fs = require('fs');
+
+// Cache lifetime - configurable with CACHE_TTL_SECONDS (0 disables caching), defaults to 5 minutes
+const CACHE_TTL_MS = Number(process.env.CACHE_TTL_SECONDS ?? 300) * 1000;
+
+// Optional persistence file - configurable with CACHE_FILE, in-memory only if unset
+const CACHE_FILE = process.env.CACHE_FILE || null;
+
+// Delay before writing the cache file after a change (batches the writes of one crawl)
+const PERSIST_DELAY_MS = 2000;
+
+// key -> { profile, kind, compartmentId, region, params, value, storedAt }
+const entries = new Map();
+// key -> { profile, compartmentId, promise } of loads in progress (dropped once they settle)
+const pending = new Map();
+let persistTimer = null;
+
+/**
+ * Utility: Cache key of an entry
+ */
+function keyOf(profile, kind, compartmentId, region, params) {
+  return JSON.stringify([profile, kind, compartmentId || null, region || null, params || null]);
+}
+
+/**
+ * Utility: Has an entry outlived the TTL?
+ */
+function isExpired(entry, now = Date.now()) {
+  return now - entry.storedAt >= CACHE_TTL_MS;
+}
+
+/**
+ * Utility: Write the cache file shortly after the last change
+ */
+function schedulePersist() {
+  if (!CACHE_FILE || persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    const now = Date.now();
+    const live = [...entries.values()].filter((entry) => !isExpired(entry, now));
+    fs.writeFile(CACHE_FILE, JSON.stringify(live), () => {
+      // Persistence is best effort; the in-memory cache stays authoritative
+    });
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref();
+}
+
+/**
+ * Loads unexpired entries from CACHE_FILE (no-op without a cache file).
+ * @returns {number} Number of entries loaded.
+ */
+function loadCacheFile() {
+  if (!CACHE_FILE || !fs.existsSync(CACHE_FILE)) return 0;
+  try {
+    const stored = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+    const now = Date.now();
+    let count = 0;
+    for (const entry of stored) {
+      if (isExpired(entry, now)) continue;
+      entries.set(keyOf(entry.profile, entry.kind, entry.compartmentId, entry.region, entry.params), entry);
+      count++;
+    }
+    return count;
+  } catch (err) {
+    // Unreadable cache file - start empty
+    return 0;
+  }
+}
+
+/**
+ * Returns a cached value, or loads and caches it.
+ * Callers arriving while the same entry is being loaded get the result of that load (a failed load is not kept,
+ * so the next call retries). A load whose entry is invalidated meanwhile still answers its callers but is not stored.
+ * @param {Object} key - { profile, kind, compartmentId?, region?, params? }; omit compartmentId for tenancy-wide entries.
+ * @param {Function} loader - async () => value (must be JSON-serializable when CACHE_FILE is set).
+ * @returns {Promise<{value: *, hit: boolean, storedAt: number}>}
+ */
+async function cached({ profile, kind, compartmentId, region, params }, loader) {
+  const key = keyOf(profile, kind, compartmentId, region, params);
+  const existing = entries.get(key);
+  if (existing && !isExpired(existing)) {
+    return { value: existing.value, hit: true, storedAt: existing.storedAt };
+  }
+  const inProgress = pending.get(key);
+  if (inProgress) return inProgress.promise;
+
+  const load = { profile, compartmentId: compartmentId || null, promise: null };
+  load.promise = (async () => {
+    const value = await loader();
+    const storedAt = Date.now();
+    if (CACHE_TTL_MS > 0 && pending.get(key) === load) {
+      entries.set(key, {
+        profile, kind, compartmentId: compartmentId || null, region: region || null, params: params || null, value, storedAt
+      });
+      schedulePersist();
+    }
+    return { value, hit: false, storedAt };
+  })();
+  pending.set(key, load);
+  try {
+    return await load.promise;
+  } finally {
+    if (pending.get(key) === load) pending.delete(key);
+  }
+}
+
+/**
+ * Utility: Child compartment ids by parent id, from the cached listings of a profile
+ * Uses 'compartments' entries (children of one parent: { items }) and 'tenancy' / 'hierarchy' entries
+ * (whole-tenancy listings: { compartments })
+ */
+function cachedChildren(profile) {
+  const children = new Map();
+  const add = (parentId, childId) => {
+    if (!children.has(parentId)) children.set(parentId, new Set());
+    children.get(parentId).add(childId);
+  };
+  for (const entry of entries.values()) {
+    if (entry.profile !== profile) continue;
+    if (entry.kind === 'compartments') {
+      for (const c of entry.value.items || []) add(entry.compartmentId, c.id);
+    } else if (entry.kind === 'tenancy' || entry.kind === 'hierarchy') {
+      for (const c of entry.value.compartments || []) add(c.compartmentId, c.id);
+    }
+  }
+  return children;
+}
+
+/**
+ * Drops cached entries (loads in progress for them are not stored when they finish).
+ * @param {string} [profile] - Profile to invalidate (all profiles if omitted); entries of every region are dropped.
+ * @param {string} [compartmentId] - Root of the subtree to invalidate (the whole profile if omitted).
+ *   Tenancy-wide entries of the profile are always dropped, since they include the subtree.
+ * @returns {number} Number of entries dropped.
+ */
+function invalidate(profile, compartmentId) {
+  let subtree = null;
+  if (profile && compartmentId) {
+    const children = cachedChildren(profile);
+    subtree = new Set([compartmentId]);
+    const queue = [compartmentId];
+    while (queue.length > 0) {
+      for (const childId of children.get(queue.shift()) || []) {
+        if (!subtree.has(childId)) {
+          subtree.add(childId);
+          queue.push(childId);
+        }
+      }
+    }
+  }
+  const matches = (entry) => (!profile || entry.profile === profile)
+    && !(subtree && entry.compartmentId && !subtree.has(entry.compartmentId));
+  let count = 0;
+  for (const [key, entry] of entries) {
+    if (!matches(entry)) continue;
+    entries.delete(key);
+    count++;
+  }
+  // Loads in progress may have read the state before the change; later callers start a new one
+  for (const [key, load] of pending) {
+    if (matches(load)) pending.delete(key);
+  }
+  if (count > 0) schedulePersist();
+  return count;
+}
+
+module.exports = {
+  CACHE_TTL_MS,
+  loadCacheFile,
+  cached,
+  invalidate,
+};
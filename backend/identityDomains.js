@@ -0,0 +1,97 @@
+/*
+  backend/identityDomains.js
+
+  Groups and dynamic groups of OCI Identity Domains.
+  - Non-default domains are only reachable through each domain's SCIM endpoint (IdentityDomainsClient),
+    not through the classic IAM listGroups/listDynamicGroups calls.
+  - Domain groups are normalized to the shape of classic IAM groups ({ id, name, description, ... })
+    plus the `domain` display name used in statements ('Domain'/'Group').
+  - findIdentity resolves a statement subject against the combined group lists.
+*/
+
+const DEFAULT_DOMAIN = 'default';
+
+// SCIM page size (maximum accepted by Identity Domains)
+const SCIM_PAGE_SIZE = 1000;
+
+const GROUP_ATTRIBUTES = 'displayName,ocid,urn:ietf:params:scim:schemas:oracle:idcs:extension:group:Group:description';
+const DYNAMIC_GROUP_ATTRIBUTES = 'displayName,ocid,description,matchingRule';
+
+/**
+ * Utility: Is a subject entry in the Default identity domain (no domain given, or 'Default')?
+ */
+function isDefaultDomain(entry) {
+  return !entry.domain || entry.domain.toLowerCase() === DEFAULT_DOMAIN;
+}
+
+/**
+ * Utility: Page through a SCIM list call
+ * list(request) resolves to a response whose `key` property is a SCIM ListResponse ({ resources, totalResults })
+ */
+async function listAllResources(list, key, attributes) {
+  const resources = [];
+  let startIndex = 1;
+  for (;;) {
+    const response = await list({ attributes, startIndex, count: SCIM_PAGE_SIZE });
+    const page = response[key] || {};
+    const items = page.resources || [];
+    resources.push(...items);
+    if (items.length === 0 || resources.length >= (page.totalResults || 0)) break;
+    startIndex += items.length;
+  }
+  return resources;
+}
+
+/**
+ * Lists the groups and dynamic groups of one identity domain through its SCIM endpoint.
+ * @param {Object} domainsClient - OCI IdentityDomainsClient pointed at the domain's endpoint (domain.url).
+ * @param {Object} domain - Domain from tenancyCrawler.crawlDomains ({ id, name, url }).
+ * @returns {Promise<{groups: Object[], dynamicGroups: Object[]}>}
+ *   Entries: { id (OCID), name, description, lifecycleState, domain, domainId }; dynamic groups also carry `matchingRule`.
+ */
+async function crawlDomainGroups(domainsClient, domain) {
+  const groups = await listAllResources((r) => domainsClient.listGroups(r), 'groups', GROUP_ATTRIBUTES);
+  const dynamicGroups = await listAllResources(
+    (r) => domainsClient.listDynamicResourceGroups(r), 'dynamicResourceGroups', DYNAMIC_GROUP_ATTRIBUTES
+  );
+  const common = { lifecycleState: 'ACTIVE', domain: domain.name, domainId: domain.id };
+  return {
+    groups: groups.map((g) => ({
+      id: g.ocid,
+      name: g.displayName,
+      description: (g.urnIetfParamsScimSchemasOracleIdcsExtensionGroupGroup || {}).description,
+      ...common
+    })),
+    dynamicGroups: dynamicGroups.map((g) => ({
+      id: g.ocid,
+      name: g.displayName,
+      description: g.description,
+      matchingRule: g.matchingRule,
+      ...common
+    }))
+  };
+}
+
+/**
+ * Finds the group or dynamic group a statement subject refers to.
+ * @param {Object} identities - { groups, dynamicGroups } (classic groups have no `domain`: Default domain).
+ * @param {Object} subject - { type: 'group'|'dynamic-group', name?, domain?, id? }.
+ * @returns {Object|null} The matching group entry, or null if there is none.
+ */
+function findIdentity(identities, subject) {
+  const list = subject.type === 'group' ? identities.groups : identities.dynamicGroups;
+  if (!list) return null;
+  if (subject.id) return list.find((g) => g.id === subject.id) || null;
+  if (!subject.name) return null;
+  const name = subject.name.toLowerCase();
+  const domain = isDefaultDomain(subject) ? DEFAULT_DOMAIN : subject.domain.toLowerCase();
+  return list.find((g) => (
+    g.name.toLowerCase() === name && (g.domain ? g.domain.toLowerCase() : DEFAULT_DOMAIN) === domain
+  )) || null;
+}
+
+module.exports = {
+  isDefaultDomain,
+  crawlDomainGroups,
+  findIdentity,
+};
@@ -8,19 +8,110 @@
 
   Endpoints:
     GET /api/profiles         List configured OCI CLI profiles
+    GET /api/regions          Regions the tenancy subscribes to, with its home region
     GET /api/compartments     List sub-compartments given profile/parent compartment
+    GET /api/compartments/tree  Whole compartment hierarchy (id, name, parent, state, depth, path) in one response
+    GET /api/compartments/resolve  Resolve a statement's compartment reference to its path from the root
     GET /api/policies         List IAM policies for a compartment and profile
+    GET /api/policies/:id     One policy with its ETag (for edits)
+    POST /api/policies/validate  Parse statements without saving them
+    POST /api/policies/plan   Dry-run plan of a change: statement diff, lint findings, access gained/lost
+    POST /api/policies        Create a policy (needs --allow-writes)
+    PUT /api/policies/:id     Update a policy's description and statements (needs --allow-writes and If-Match)
+    DELETE /api/policies/:id  Delete a policy (needs --allow-writes and If-Match)
+    GET /api/groups           List IAM groups of the tenancy
+    GET /api/dynamic-groups   List dynamic groups of the tenancy (with matching rules)
+    GET /api/users            List users with their group memberships (optionally only members of one group)
+    GET /api/search           Search policy names, descriptions and statements across the whole tenancy
+    GET /api/access/subject   Effective access of a group or dynamic group across the tenancy
+    GET /api/access/compartment  Subjects with access to a compartment (including grants on ancestors)
+    GET /api/snapshots        List stored tenancy snapshots
+    POST /api/snapshots       Crawl a profile's tenancy and store it as a snapshot
+    GET /api/snapshots/export Download a tenancy snapshot as a JSON file
+    POST /api/snapshots/import Store an uploaded snapshot file
+    GET /api/diff             Policy changes between two snapshots, or a snapshot and the live tenancy
+    GET /api/multi/search     Search policies across several profiles' tenancies (results tagged by profile)
+    GET /api/multi/compare    Side-by-side comparison of same-named compartments and policies across tenancies
+    GET /api/cross-tenancy    Endorse/admit pairing and define checks between two tenancies
+    GET /api/lint             Lint findings for all policies of a tenancy
+    GET /api/lint/rules       Lint rule catalogue with the configured enabled/severity settings
+    GET /api/export           Download a compartment's (or subtree's) policies as CSV, XLSX, Markdown or Terraform
+    POST /api/cache/refresh   Drop cached OCI results of a profile or a compartment subtree
+
+  OCI list results are cached per profile and compartment (see identityCache.js); responses served
+  from live profiles carry X-Cache (HIT/MISS) and Age headers.
+
+  Stored snapshots appear in /api/profiles as read-only "snapshot:<name>" profiles and can be used
+  with every read endpoint in place of a live OCI profile.
+
+  Live read endpoints use the profile's configured region; /api/compartments and /api/policies accept
+  `region` to read from another subscribed region (e.g. to check replication of IAM changes).
+
+  Authentication mode: "--auth <mode>" or OCI_CLI_AUTH (api_key, security_token, instance_principal,
+  resource_principal); "--instance-principal" and "--resource-principal" are shorthands.
+
+  The backend is read-only unless started with "--allow-writes"; policy changes always go to the tenancy's
+  home region.
+
+  For offline development, OCI_IDENTITY_ENDPOINT points the Identity API calls at mockIdentityServer.js.
 */
 
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const bodyParser = require('body-parser');
-const ociCommon = require('oci-common');
-const ociIdentity = require('oci-identity');
 const cors = require('cors');
 const pino = require('pino');
-const http = require('http'); // For OCI metadata service
+const { parsePolicyStatements } = require('./policyParser');
+const {
+  crawlTenancy,
+  crawlGroups,
+  crawlIdentities,
+  crawlUsers,
+  crawlAncestry,
+  crawlLocationChain,
+  listAllPages,
+  listAllCompartments,
+  mapWithConcurrency,
+  CRAWL_CONCURRENCY,
+} = require('./tenancyCrawler');
+const {
+  buildCompartmentIndex,
+  compartmentList,
+  displayPath,
+  descendantIds,
+  ancestorIds,
+  resolveLocation,
+} = require('./tenancyModel');
+const { searchPolicies } = require('./policySearch');
+const { effectiveAccessForSubject, subjectsForCompartment } = require('./accessAnalysis');
+const { findIdentity } = require('./identityDomains');
+const { EXPORT_FORMATS, statementRows, renderExport } = require('./policyExport');
+const { renderTerraform } = require('./terraformExport');
+const { CACHE_TTL_MS, loadCacheFile, cached, invalidate } = require('./identityCache');
+const {
+  IDENTITY_ENDPOINT,
+  listOciProfiles,
+  getSessionTokenInfo,
+  getConfigFileClients,
+  getInstancePrincipalClients,
+  getResourcePrincipalClients,
+} = require('./clientRegistry');
+const {
+  isSnapshotProfile,
+  snapshotNameOf,
+  snapshotProfileOf,
+  sanitizeSnapshotName,
+  createSnapshot,
+  snapshotExists,
+  saveSnapshot,
+  loadSnapshot,
+  listSnapshots,
+} = require('./snapshotStore');
+const { diffPolicies } = require('./snapshotDiff');
+const { compareTenancies } = require('./tenancyCompare');
+const { analyzeCrossTenancy } = require('./crossTenancy');
+const { loadLintConfig, resolveRules, lintPolicies } = require('./policyLinter');
+const { planPolicyChange } = require('./changePlan');
 
 // Logging configuration (console and file)
 const logLevel = process.env.LOG_LEVEL || 'info';
@@ -36,22 +127,89 @@ const apiFileLogger = pino(
   pino.destination({ dest: path.join(__dirname, 'api.log'), sync: false })
 );
 
-/** Backend launch argument: instance principal mode
- *  If "--instance-principal" is passed on CLI, use OCI instance principal auth and ignore local config/profiles.
+/** Backend launch argument: authentication mode
+ *  "--auth <mode>" on the CLI, or the OCI_CLI_AUTH environment variable (as used by the OCI CLI), selects:
+ *    api_key            config-file profiles (default; session-token profiles work too)
+ *    security_token     only the config-file profiles created by `oci session authenticate`
+ *    instance_principal OCI instance principal auth (OCI Compute)
+ *    resource_principal OCI resource principal auth (OCI Functions, Container Instances)
+ *  "--instance-principal" and "--resource-principal" are shorthands. The principal modes ignore local
+ *  config/profiles and expose a single profile named after the mode.
+ */
+const AUTH_MODES = ['api_key', 'security_token', 'instance_principal', 'resource_principal'];
+const PRINCIPAL_PROFILE_NAMES = {
+  instance_principal: 'instance-principal',
+  resource_principal: 'resource-principal',
+};
+
+/**
+ * Utility: Authentication mode from the launch arguments and environment (api_key if neither selects one)
+ */
+function resolveAuthMode(argv, env) {
+  if (argv.includes('--instance-principal')) return 'instance_principal';
+  if (argv.includes('--resource-principal')) return 'resource_principal';
+  const flagIndex = argv.indexOf('--auth');
+  const mode = flagIndex !== -1 ? argv[flagIndex + 1] : env.OCI_CLI_AUTH;
+  return mode ? mode.toLowerCase().replace(/-/g, '_') : 'api_key';
+}
+
+const AUTH_MODE = resolveAuthMode(process.argv, process.env);
+if (!AUTH_MODES.includes(AUTH_MODE)) {
+  logger.error({ authMode: AUTH_MODE }, `Unknown authentication mode; use one of ${AUTH_MODES.join(', ')}`);
+  process.exit(1);
+}
+// Name of the single live profile in the principal modes (null in the config-file modes)
+const PRINCIPAL_PROFILE_NAME = PRINCIPAL_PROFILE_NAMES[AUTH_MODE] || null;
+
+/** Backend launch argument: "--allow-writes" enables creating, updating and deleting policies.
+ *  Without it every write endpoint answers 403, so a browser session cannot change the tenancy by accident.
  */
-const INSTANCE_PRINCIPAL_MODE = process.argv.includes('--instance-principal');
-const INSTANCE_PRINCIPAL_PROFILE_NAME = "instance-principal";
+const ALLOW_WRITES = process.argv.includes('--allow-writes');
+
+/** Backend launch setting: FRONTEND_ORIGIN, comma-separated origins the browser UI is served from.
+ *  With --allow-writes, only these origins get CORS access, POST/PUT/DELETE requests from any other origin are
+ *  refused (403), and the server only listens on 127.0.0.1 (HOST overrides it). Otherwise any web page open in the
+ *  operator's browser could read a policy's ETag and rewrite or delete it.
+ */
+const FRONTEND_ORIGINS = (process.env.FRONTEND_ORIGIN || 'http://localhost:5173,http://127.0.0.1:5173')
+  .split(',').map((o) => o.trim()).filter(Boolean);
+const HOST = process.env.HOST || (ALLOW_WRITES ? '127.0.0.1' : undefined);
+
+// Region identifiers such as us-ashburn-1 or us-gov-phoenix-1
+const REGION_PATTERN = /^[a-z]+(-[a-z]+)+-\d+$/;
 
 // Express app & constants
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// OCI config file location (~/.oci/config)
-const OCI_CONFIG_PATH = path.join(require('os').homedir(), '.oci', 'config');
+// Request bodies larger than this are summarized rather than logged in full (e.g. snapshot imports)
+const MAX_LOGGED_BODY_BYTES = 10000;
+
+// Largest page a client may request with ?limit= (OCI list operations return at most 1000 items per page)
+const MAX_PAGE_LIMIT = 1000;
 
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+// The paging cursor and cache status are returned in response headers, which browsers only expose to scripts when listed
+app.use(cors({
+  origin: ALLOW_WRITES ? FRONTEND_ORIGINS : '*',
+  exposedHeaders: ['opc-next-page', 'X-Cache', 'Age']
+}));
+
+/**
+ * Write-mode origin check
+ * Browsers send Origin with every cross-origin request, including "simple" POSTs that skip the CORS preflight,
+ * so a state-changing request from a page outside FRONTEND_ORIGINS is refused before it reaches a route.
+ * Requests without Origin (curl, scripts) are not browser requests and pass.
+ */
+if (ALLOW_WRITES) {
+  app.use((req, res, next) => {
+    const origin = req.get('Origin');
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !origin || FRONTEND_ORIGINS.includes(origin)) return next();
+    logger.error({ origin, method: req.method, url: req.originalUrl }, 'Request from a foreign origin refused');
+    res.status(403).json({ error: `Origin ${origin} may not send ${req.method} requests (see FRONTEND_ORIGIN)` });
+  });
+}
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '50mb' }));
 
 /**
  * API logging middleware
@@ -60,7 +218,10 @@ app.use(bodyParser.json());
  */
 app.use((req, res, next) => {
   const start = Date.now();
-  const bodyData = req.method !== 'GET' ? req.body : undefined;
+  const bodyBytes = Number(req.headers['content-length'] || 0);
+  const bodyData = req.method === 'GET'
+    ? undefined
+    : bodyBytes > MAX_LOGGED_BODY_BYTES ? `[Body of ${bodyBytes} bytes not logged]` : req.body;
 
   // For shell: always log a minimal info line (at INFO+), full details only at DEBUG
   logger.info(`API request: ${req.method} ${req.originalUrl}`); // summary, always at INFO
@@ -108,70 +269,336 @@ app.use((req, res, next) => {
 });
 
 /**
- * Utility: Parse OCI config profiles file (~/.oci/config)
- * Returns array of profile names
+ * Utility: Attach the parsed statement model to each policy returned by OCI
+ * Adds `parsedStatements` (see policyParser.parsePolicyStatements) next to the raw `statements`
  */
-function listOciProfiles(configPath = OCI_CONFIG_PATH) {
-  try {
-    const content = fs.readFileSync(configPath, 'utf-8');
-    const profiles = [];
-    const profileRegex = /^\[([^\]]+)\]/gm;
-    let match;
-    while ((match = profileRegex.exec(content))) {
-      profiles.push(match[1]);
-    }
-    return profiles;
-  } catch (err) {
-    // If cannot read, return empty (file may be missing)
-    return [];
+function withParsedStatements(policies) {
+  return policies.map((policy) => ({
+    ...policy,
+    parsedStatements: parsePolicyStatements(policy.statements),
+  }));
+}
+
+/**
+ * Utility: Parse the optional ?limit= paging parameter
+ * Returns null if absent (list everything), the page size if valid, or NaN if invalid
+ */
+function parsePageLimit(limit) {
+  if (limit === undefined) return null;
+  const n = Number(limit);
+  return Number.isInteger(n) && n > 0 && n <= MAX_PAGE_LIMIT ? n : NaN;
+}
+
+/**
+ * Utility: Read through the identity cache on behalf of a request
+ * Sets X-Cache (HIT only if every lookup made for the request hit) and Age (seconds, oldest entry used)
+ * Returns { value, storedAt } (storedAt: when the value was loaded from OCI, in ms)
+ */
+async function cachedEntryForRequest(res, key, loader) {
+  const { value, hit, storedAt } = await cached(key, loader);
+  if (res) {
+    res.set('X-Cache', hit && res.get('X-Cache') !== 'MISS' ? 'HIT' : 'MISS');
+    const age = Math.floor((Date.now() - storedAt) / 1000);
+    res.set('Age', String(Math.max(age, Number(res.get('Age') || 0))));
   }
+  return { value, storedAt };
 }
 
 /**
- * Utility: Load a specific OCI profile section from config file
- * Returns key-value object (profile fields) or null if missing/invalid
+ * Utility: cachedEntryForRequest, returning only the value
  */
-function loadOciProfile(profileName, configPath = OCI_CONFIG_PATH) {
-  try {
-    const content = fs.readFileSync(configPath, 'utf-8');
-    const lines = content.split(/\r?\n/);
-    let inProfile = false;
-    const profileData = {};
-    for (const line of lines) {
-      const profileHeader = line.match(/^\[([^\]]+)\]/);
-      if (profileHeader) {
-        inProfile = profileHeader[1] === profileName;
+async function cachedForRequest(res, key, loader) {
+  return (await cachedEntryForRequest(res, key, loader)).value;
+}
+
+/**
+ * Utility: Run an OCI list operation for a client request, through the cache
+ * key: { profile, kind, compartmentId } of the listing
+ * Without a limit every page is fetched; with a limit only the requested page is returned and the
+ * cursor for the next page is passed on in the opc-next-page response header
+ */
+async function listForClient(res, key, list, request, limit, page) {
+  const params = limit ? { limit, page: page || null } : null;
+  const { items, nextPage } = await cachedForRequest(res, { ...key, params }, async () => {
+    if (!limit) return { items: await listAllPages(list, request) };
+    const response = await list({ ...request, limit, page });
+    return { items: response.items || [], nextPage: response.opcNextPage || null };
+  });
+  if (nextPage) res.set('opc-next-page', nextPage);
+  return items;
+}
+
+/**
+ * Utility: Page an in-memory list (snapshot profiles) like listForClient; the cursor is the next offset
+ */
+function pageForClient(res, items, limit, page) {
+  if (!limit) return items;
+  const offset = Number(page) || 0;
+  if (offset + limit < items.length) res.set('opc-next-page', String(offset + limit));
+  return items.slice(offset, offset + limit);
+}
+
+/**
+ * Utility: Attach group memberships to users
+ * Adds `groups: [{ id, name }]` to each user; memberships of unknown groups are listed with a null name
+ */
+function withGroupMemberships(users, groups, memberships) {
+  const groupNames = new Map(groups.map((g) => [g.id, g.name]));
+  const groupsByUser = new Map();
+  for (const m of memberships) {
+    if (!groupsByUser.has(m.userId)) groupsByUser.set(m.userId, []);
+    groupsByUser.get(m.userId).push({ id: m.groupId, name: groupNames.get(m.groupId) || null });
+  }
+  return users.map((user) => ({ ...user, groups: groupsByUser.get(user.id) || [] }));
+}
+
+/**
+ * Utility: Resolve the data source and tenancy root OCID for a profile
+ * Handles snapshot profiles, the principal modes and config-file profiles (clients come from clientRegistry).
+ * Session-token profiles whose token has expired are rejected with 401 and the command that renews the session.
+ * Live clients call `region` if given (snapshots ignore it), otherwise the region the profile is configured for.
+ * Returns { snapshot, tenancyId } for snapshot profiles, { profile, identityClient, domainsClientFor, tenancyId, region }
+ * for live profiles, or { status, error } if the profile cannot be used
+ */
+async function getProfileContext(profile, region) {
+  if (isSnapshotProfile(profile)) {
+    const snapshot = loadSnapshot(snapshotNameOf(profile));
+    if (!snapshot) {
+      return { status: 404, error: "Snapshot not found" };
+    }
+    return { snapshot, tenancyId: snapshot.tenancyId };
+  }
+  if (region && !REGION_PATTERN.test(region)) {
+    return { status: 400, error: `Invalid region '${region}'` };
+  }
+  if (PRINCIPAL_PROFILE_NAME) {
+    if (profile !== PRINCIPAL_PROFILE_NAME) {
+      return { status: 400, error: `Profile must be '${PRINCIPAL_PROFILE_NAME}' in this mode` };
+    }
+    const getClients = AUTH_MODE === 'resource_principal' ? getResourcePrincipalClients : getInstancePrincipalClients;
+    const clients = await getClients(region);
+    return { profile, ...clientsOf(clients) };
+  }
+  if (!profile) {
+    return { status: 400, error: "Missing profile" };
+  }
+  const profileClients = getConfigFileClients(profile, region);
+  if (!profileClients) {
+    return { status: 404, error: "Profile not found" };
+  }
+  const session = getSessionTokenInfo(profile);
+  if (AUTH_MODE === 'security_token' && !session) {
+    return { status: 400, error: `Profile '${profile}' has no security_token_file; only session-token profiles can be used in this mode` };
+  }
+  if (session && session.expiresAt && session.expiresAt.getTime() <= Date.now()) {
+    return {
+      status: 401,
+      error: `Session token of profile '${profile}' expired at ${session.expiresAt.toISOString()}. `
+        + `Run "oci session authenticate --profile-name ${profile}" to start a new session.`
+    };
+  }
+  return { profile, ...clientsOf(profileClients) };
+}
+
+/**
+ * Utility: The parts of a clientRegistry entry a profile context carries
+ */
+function clientsOf({ identityClient, domainsClientFor, tenancyId, region }) {
+  return { identityClient, domainsClientFor, tenancyId, region };
+}
+
+/**
+ * Utility: Region subscriptions of a live profile's tenancy, cached
+ * Returns [{ name, key, status, isHomeRegion }]
+ */
+async function loadRegions(context, res) {
+  return cachedForRequest(res, { profile: context.profile, kind: 'regions' }, async () => {
+    const response = await context.identityClient.listRegionSubscriptions({ tenancyId: context.tenancyId });
+    return (response.items || []).map((r) => ({
+      name: r.regionName,
+      key: r.regionKey,
+      status: r.status,
+      isHomeRegion: r.isHomeRegion
+    }));
+  });
+}
+
+/**
+ * Utility: The same live profile context, bound to the tenancy's home region
+ * IAM changes are only accepted in the home region; the other regions are read-only replicas.
+ */
+async function homeRegionContext(context, res) {
+  const home = (await loadRegions(context, res)).find((r) => r.isHomeRegion);
+  if (!home || home.name === context.region) return context;
+  return getProfileContext(context.profile, home.name);
+}
+
+/**
+ * Utility: Resolve a live profile context for policy writes, bound to the tenancy's home region
+ * Returns the context, or { status, error } if writes are disabled, the profile is a snapshot or cannot be used
+ */
+async function getWriteContext(profile) {
+  if (!ALLOW_WRITES) {
+    return { status: 403, error: "Policy changes are disabled; start the backend with --allow-writes to enable them" };
+  }
+  if (isSnapshotProfile(profile)) {
+    return { status: 400, error: "Snapshot profiles are read-only" };
+  }
+  const context = await getProfileContext(profile);
+  return context.error ? context : homeRegionContext(context);
+}
+
+/**
+ * Utility: Validate the description and statements of a policy write request (name too when creating)
+ * Statements are parsed with the same parser the views use, so unparseable statements never reach OCI.
+ * Returns { error, parsedStatements? } if invalid, otherwise { parsedStatements }
+ */
+function validatePolicyDetails(body, create) {
+  const { name, description, statements } = body || {};
+  if (create && (typeof name !== 'string' || !name.trim())) return { error: "Missing name" };
+  if (typeof description !== 'string' || !description.trim()) return { error: "Missing description" };
+  if (!Array.isArray(statements) || statements.length === 0) return { error: "At least one statement is required" };
+  if (statements.some((st) => typeof st !== 'string' || !st.trim())) return { error: "Statements must be non-empty strings" };
+  const parsedStatements = parsePolicyStatements(statements);
+  const invalid = parsedStatements.filter((e) => e.error);
+  if (invalid.length > 0) {
+    return {
+      error: `${invalid.length} statement(s) do not parse: ${invalid.map((e) => `#${e.index + 1} ${e.error.message}`).join('; ')}`,
+      parsedStatements
+    };
+  }
+  return { parsedStatements };
+}
+
+/**
+ * Utility: Read the current version of one policy (with parsedStatements) and its ETag for a resolved profile context
+ * Live profiles read from the home region, uncached; snapshots return the stored policy with a null ETag.
+ * Returns { policy, etag }, or { status, error } if the policy is not in the snapshot or the home region cannot be used
+ */
+async function readPolicy(context, policyId, res) {
+  if (context.snapshot) {
+    const policy = context.snapshot.policies.find((p) => p.id === policyId);
+    if (!policy) return { status: 404, error: "Policy not found" };
+    return { policy: withParsedStatements([policy])[0], etag: null };
+  }
+  const homeContext = await homeRegionContext(context, res);
+  if (homeContext.error) return homeContext;
+  const response = await homeContext.identityClient.getPolicy({ policyId });
+  return { policy: withParsedStatements([response.policy])[0], etag: response.etag };
+}
+
+/**
+ * Utility: HTTP status for a failed OCI write call
+ * Client-side OCI errors (bad request, auth, not found, conflict, stale ETag, throttling) are passed on; anything else is a 500
+ */
+function writeErrorStatus(err) {
+  return [400, 401, 403, 404, 409, 412, 429].includes(err.statusCode) ? err.statusCode : 500;
+}
+
+/**
+ * Utility: Crawl the full tenancy for a resolved profile context (or read it from the snapshot)
+ * Live crawls are cached; pass res to report the cache status in the response headers.
+ * Returns { tenancyId, compartments, policies (with parsedStatements), compartmentIndex, domains, groups, dynamicGroups,
+ *   capturedAt } (capturedAt: ISO time the data was read from OCI - the snapshot's creation or the cached crawl)
+ */
+async function loadTenancy(context, res) {
+  if (context.snapshot) {
+    return { ...parsedTenancy(context.snapshot), capturedAt: context.snapshot.createdAt };
+  }
+  const { value, storedAt } = await cachedEntryForRequest(res, { profile: context.profile, kind: 'tenancy' }, () => (
+    crawlTenancy(context.identityClient, context.tenancyId, context.domainsClientFor)
+  ));
+  return { ...parsedTenancy(value), capturedAt: new Date(storedAt).toISOString() };
+}
+
+/**
+ * Utility: Crawled or stored tenancy with parsed statements and the compartment index
+ */
+function parsedTenancy(tenancy) {
+  return {
+    ...tenancy,
+    policies: withParsedStatements(tenancy.policies),
+    compartmentIndex: buildCompartmentIndex(tenancy.tenancyId, tenancy.compartments)
+  };
+}
+
+/**
+ * Utility: Load one compartment's ancestor chain and the policies along it for a resolved profile context
+ * Snapshots already hold the whole tenancy, which covers the chain. Live crawls are cached like loadTenancy.
+ * Returns { tenancyId, compartments, policies (with parsedStatements), compartmentIndex }
+ */
+async function loadAncestry(context, compartmentId, res) {
+  if (context.snapshot) return loadTenancy(context);
+  const ancestry = await cachedForRequest(res, { profile: context.profile, kind: 'ancestry', compartmentId }, () => (
+    crawlAncestry(context.identityClient, context.tenancyId, compartmentId)
+  ));
+  return {
+    ...ancestry,
+    policies: withParsedStatements(ancestry.policies),
+    compartmentIndex: buildCompartmentIndex(ancestry.tenancyId, ancestry.compartments)
+  };
+}
+
+/**
+ * Utility: Parse a comma-separated query parameter such as `profiles` (duplicates and blanks dropped)
+ */
+function parseCommaList(value) {
+  return [...new Set(String(value || '').split(',').map((v) => v.trim()).filter(Boolean))];
+}
+
+/**
+ * Utility: Load the tenancies of several profiles, one after the other
+ * A profile that cannot be loaded (missing, expired session, OCI error) does not fail the others.
+ * Returns { states: [{ profile, tenancy }], errors: [{ profile, error }] }
+ */
+async function loadTenancies(profiles, res) {
+  const states = [];
+  const errors = [];
+  for (const profile of profiles) {
+    try {
+      const context = await getProfileContext(profile);
+      if (context.error) {
+        errors.push({ profile, error: context.error });
         continue;
       }
-      if (inProfile && line.trim() && !line.trim().startsWith('#')) {
-        const idx = line.indexOf('=');
-        if (idx !== -1) {
-          const key = line.slice(0, idx).trim();
-          const val = line.slice(idx + 1).trim();
-          profileData[key] = val;
-        }
-      }
+      states.push({ profile, tenancy: await loadTenancy(context, res) });
+    } catch (err) {
+      logger.error({ err, profile }, 'Error loading tenancy');
+      errors.push({ profile, error: err.message || "Failed to load tenancy" });
     }
-    return Object.keys(profileData).length > 0 ? profileData : null;
-  } catch (err) {
-    // Could not parse or file missing/bad
-    return null;
   }
+  return { states, errors };
 }
 
 /**
  * GET /api/profiles
- * Returns: { profiles: [profileName, ...] }
- * Lists available OCI CLI config profiles on this server; or "instance-principal" if in IP mode
+ * Returns: { authMode, allowWrites, profiles: [profileName, ...], details: [{ name, auth, expiresAt? }, ...] }
+ * Lists available OCI CLI config profiles on this server; or the single "instance-principal" /
+ * "resource-principal" profile in the principal modes. In security_token mode only session-token profiles are listed.
+ * `auth` is the profile's authentication type (api_key, security_token, instance_principal, resource_principal,
+ * snapshot); session-token profiles carry the token's `expiresAt` (ISO timestamp, null if unreadable).
+ * Stored snapshots are appended as read-only "snapshot:<name>" profiles in every mode.
+ * allowWrites tells clients whether the policy write endpoints are enabled (--allow-writes).
  */
 app.get('/api/profiles', (req, res) => {
   try {
-    if (INSTANCE_PRINCIPAL_MODE) {
-      res.json({ profiles: [INSTANCE_PRINCIPAL_PROFILE_NAME] });
+    const details = [];
+    if (PRINCIPAL_PROFILE_NAME) {
+      details.push({ name: PRINCIPAL_PROFILE_NAME, auth: AUTH_MODE });
     } else {
-      const profiles = listOciProfiles();
-      res.json({ profiles });
+      for (const name of listOciProfiles()) {
+        const session = getSessionTokenInfo(name);
+        if (session) {
+          details.push({ name, auth: 'security_token', expiresAt: session.expiresAt && session.expiresAt.toISOString() });
+        } else if (AUTH_MODE !== 'security_token') {
+          details.push({ name, auth: 'api_key' });
+        }
+      }
     }
+    for (const s of listSnapshots()) {
+      details.push({ name: snapshotProfileOf(s.name), auth: 'snapshot' });
+    }
+    res.json({ authMode: AUTH_MODE, allowWrites: ALLOW_WRITES, profiles: details.map((d) => d.name), details });
   } catch (err) {
     logger.error({ err }, 'Error in /api/profiles');
     res.status(500).json({ error: 'Failed to get profiles' });
@@ -179,138 +606,967 @@ app.get('/api/profiles', (req, res) => {
 });
 
 /**
- * GET /api/compartments?profile=PROFILE&parent=PARENT_ID
+ * GET /api/regions?profile=PROFILE
+ * Returns: { homeRegion, currentRegion, regions: [{ name, key, status, isHomeRegion }, ...] }
+ *
+ * Regions the profile's tenancy subscribes to. currentRegion is the region the profile is configured for;
+ * IAM changes must be made in homeRegion. Snapshots are not tied to a region, so this needs a live profile.
+ */
+app.get('/api/regions', async (req, res) => {
+  const { profile } = req.query;
+  if (isSnapshotProfile(profile)) {
+    return res.status(400).json({ error: "Snapshots are not tied to a region" });
+  }
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile }, `${context.error} in /api/regions`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const regions = await loadRegions(context, res);
+    const home = regions.find((r) => r.isHomeRegion);
+    res.json({ homeRegion: home ? home.name : null, currentRegion: context.region, regions });
+  } catch (err) {
+    logger.error({ err, profile }, 'Error in /api/regions');
+    res.status(500).json({ error: err.message || "Failed to list regions" });
+  }
+});
+
+/**
+ * GET /api/compartments?profile=PROFILE&parent=PARENT_ID&limit=N&page=CURSOR&region=REGION
  * parent (optional): compartment OCID to list children for (root if omitted)
+ * limit / page (optional): return one page of at most `limit` items, starting at the `page` cursor
+ * region (optional): subscribed region to read from (the profile's configured region if omitted; ignored for snapshots)
+ * policyCounts=true (optional): add `policyCount` (policies attached to the compartment) to each returned compartment
  *
  * Returns: array of compartment objects (from OCI IdentityClient)
+ * With `limit`, the cursor of the next page is returned in the `opc-next-page` header (absent on the last page).
  *
- * For given profile, loads credentials and returns sub-compartments for parent or tenancy root.
+ * For given profile (or snapshot), returns sub-compartments for parent or tenancy root.
  */
 app.get('/api/compartments', async (req, res) => {
-  const { profile, parent } = req.query;
-  if (INSTANCE_PRINCIPAL_MODE) {
-    // Only accept magic profile name
-    if (profile !== INSTANCE_PRINCIPAL_PROFILE_NAME) {
-      logger.error({profile, parent}, 'In instance-principal mode, only accept "instance-principal" profile');
-      return res.status(400).json({ error: "Profile must be 'instance-principal' in this mode" });
-    }
-    // Use instance principals provider and get tenancy OCID from metadata
-    try {
-      // Provider
-      const provider = new ociCommon.InstancePrincipalsAuthenticationDetailsProvider();
-      const identityClient = new ociIdentity.IdentityClient({ authenticationDetailsProvider: provider });
-
-      // Get tenancy OCID (first time: fetch and memoize)
-      const tenancyId = await getInstanceTenancyOcid();
-      if (!tenancyId) throw new Error("Unable to get tenancy OCID from instance metadata");
-
-      const compartmentId = parent || tenancyId;
-
-      const request = {
-        compartmentId,
-        accessLevel: "ANY",
-        compartmentIdInSubtree: false
-      };
-      const response = await identityClient.listCompartments(request);
-      res.json(response.items || []);
-    } catch (err) {
-      logger.error({ err, profile, parent }, 'Error in /api/compartments (instance-principal)');
-      res.status(500).json({ error: err.message || "Failed to list compartments" });
-    }
-  } else {
-    // Legacy: profile mode
-    if (!profile) {
-      logger.error({profile, parent}, 'Missing profile param in /api/compartments');
-      return res.status(400).json({ error: "Missing profile" });
+  const { profile, parent, page, region } = req.query;
+  const limit = parsePageLimit(req.query.limit);
+  if (Number.isNaN(limit)) {
+    logger.error({profile, parent, limit: req.query.limit}, 'Invalid limit param in /api/compartments');
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}` });
+  }
+  try {
+    const context = await getProfileContext(profile, region);
+    if (context.error) {
+      logger.error({profile, parent}, `${context.error} in /api/compartments`);
+      return res.status(context.status).json({ error: context.error });
     }
-    const profileConfig = loadOciProfile(profile);
-    if (!profileConfig) {
-      logger.error({profile, parent}, 'Profile not found in /api/compartments');
-      return res.status(404).json({ error: "Profile not found" });
+    const compartmentId = parent || context.tenancyId;
+    const withCounts = req.query.policyCounts === 'true';
+    if (context.snapshot) {
+      // Read-only snapshot: children of parent (or root) from the stored compartment list
+      const children = pageForClient(
+        res, context.snapshot.compartments.filter((c) => c.compartmentId === compartmentId), limit, page
+      );
+      if (!withCounts) return res.json(children);
+      return res.json(children.map((c) => ({
+        ...c,
+        policyCount: context.snapshot.policies.filter((p) => p.compartmentId === c.id).length
+      })));
     }
-    try {
-      const provider = new ociCommon.ConfigFileAuthenticationDetailsProvider(
-        OCI_CONFIG_PATH,
-        profile
+    const request = {
+      compartmentId,
+      accessLevel: "ANY",
+      compartmentIdInSubtree: false
+    };
+    const key = { profile, kind: 'compartments', compartmentId, region };
+    const children = await listForClient(res, key, (r) => context.identityClient.listCompartments(r), request, limit, page);
+    if (!withCounts) return res.json(children);
+    // Counted from the same cached listings /api/policies serves, so opening a compartment afterwards is a cache hit
+    const counts = await mapWithConcurrency(children, CRAWL_CONCURRENCY, async (c) => {
+      const policyKey = { profile, kind: 'policies', compartmentId: c.id, region };
+      const policies = await listForClient(
+        res, policyKey, (r) => context.identityClient.listPolicies(r), { compartmentId: c.id }
       );
-      const identityClient = new ociIdentity.IdentityClient({ authenticationDetailsProvider: provider });
+      return policies.length;
+    });
+    res.json(children.map((c, i) => ({ ...c, policyCount: counts[i] })));
+  } catch (err) {
+    logger.error({ err, profile, parent }, 'Error in /api/compartments');
+    res.status(500).json({ error: err.message || "Failed to list compartments" });
+  }
+});
 
-      const compartmentId = parent || profileConfig.tenancy;
+/**
+ * GET /api/compartments/tree?profile=PROFILE
+ * Returns: { tenancyId, compartments: [{ id, name, parentId, lifecycleState, depth, path }, ...] }
+ *
+ * The complete compartment hierarchy in one response (a single listCompartments walk with compartmentIdInSubtree),
+ * including the root. `path` is the slash-separated name path from the root ('' for the root itself); entries are
+ * ordered root first, then depth-first by name. Compartments in every lifecycle state are included.
+ */
+app.get('/api/compartments/tree', async (req, res) => {
+  const { profile } = req.query;
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile }, `${context.error} in /api/compartments/tree`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const { compartments } = context.snapshot || await cachedForRequest(res, { profile, kind: 'hierarchy' }, async () => ({
+      compartments: await listAllCompartments(context.identityClient, context.tenancyId)
+    }));
+    const index = buildCompartmentIndex(context.tenancyId, compartments);
+    res.json({ tenancyId: context.tenancyId, compartments: compartmentList(index) });
+  } catch (err) {
+    logger.error({ err, profile }, 'Error in /api/compartments/tree');
+    res.status(500).json({ error: err.message || "Failed to list the compartment hierarchy" });
+  }
+});
 
-      const request = {
-        compartmentId,
-        accessLevel: "ANY",
-        compartmentIdInSubtree: false
-      };
-      const response = await identityClient.listCompartments(request);
-      res.json(response.items || []);
-    } catch (err) {
-      logger.error({ err, profile, parent }, 'Error in /api/compartments');
-      res.status(500).json({ error: err.message || "Failed to list compartments" });
+/**
+ * GET /api/compartments/resolve?profile=PROFILE&compartmentId=OCID&path=A:B | &id=OCID
+ * compartmentId: compartment the policy is attached to (compartment names are relative to it)
+ * path / id: the statement's compartment location as a name path or OCID (tenancy root if neither is given)
+ *
+ * Returns: { tenancyId, compartmentId, stack: [{ id, name }, ...] } (stack from the root's child down to the target)
+ *
+ * Lets the frontend jump from a compartment reference in a statement to that compartment in the browser.
+ */
+app.get('/api/compartments/resolve', async (req, res) => {
+  const { profile, compartmentId, path: locationPath, id } = req.query;
+  if (!compartmentId) {
+    logger.error({ profile, compartmentId }, 'Missing compartmentId param in /api/compartments/resolve');
+    return res.status(400).json({ error: "Missing compartmentId" });
+  }
+  const location = id
+    ? { type: 'compartment', id }
+    : locationPath ? { type: 'compartment', name: locationPath, path: locationPath.split(':') } : { type: 'tenancy' };
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, compartmentId, locationPath, id }, `${context.error} in /api/compartments/resolve`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const compartments = context.snapshot
+      ? context.snapshot.compartments
+      : await crawlLocationChain(context.identityClient, context.tenancyId, compartmentId, location);
+    const index = buildCompartmentIndex(context.tenancyId, compartments);
+    const targetId = resolveLocation(location, compartmentId, index, context.tenancyId);
+    if (!targetId) {
+      return res.status(404).json({ error: "Compartment not found" });
     }
+    const stack = ancestorIds(index, targetId)
+      .reverse()
+      .slice(1)
+      .map((ancestorId) => ({ id: ancestorId, name: index.get(ancestorId).name }));
+    res.json({ tenancyId: context.tenancyId, compartmentId: targetId, stack });
+  } catch (err) {
+    logger.error({ err, profile, compartmentId, locationPath, id }, 'Error in /api/compartments/resolve');
+    res.status(500).json({ error: err.message || "Failed to resolve compartment" });
   }
 });
 
 /**
- * GET /api/policies?profile=PROFILE&compartmentId=OCID
- * Returns: array of policy objects (from OCI IdentityClient)
+ * GET /api/policies?profile=PROFILE&compartmentId=OCID&limit=N&page=CURSOR&region=REGION
+ * limit / page (optional): paging as for /api/compartments
+ * region (optional): as for /api/compartments
+ * Returns: array of policy objects (from OCI IdentityClient), each with `parsedStatements`
+ * With `limit`, the cursor of the next page is returned in the `opc-next-page` header (absent on the last page).
  *
- * For given profile and compartment, loads credentials and gets all policies in that compartment.
+ * For given profile (or snapshot) and compartment, gets all policies in that compartment.
  */
-// GET /api/policies: List IAM policies for given profile/compartment; supports instance principal mode
 app.get('/api/policies', async (req, res) => {
+  const { profile, compartmentId, page, region } = req.query;
+  const limit = parsePageLimit(req.query.limit);
+  if (Number.isNaN(limit)) {
+    logger.error({profile, compartmentId, limit: req.query.limit}, 'Invalid limit param in /api/policies');
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}` });
+  }
+  if (!compartmentId) {
+    logger.error({profile, compartmentId}, 'Missing compartmentId param in /api/policies');
+    return res.status(400).json({ error: "Missing compartmentId" });
+  }
+  try {
+    const context = await getProfileContext(profile, region);
+    if (context.error) {
+      logger.error({profile, compartmentId}, `${context.error} in /api/policies`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    if (context.snapshot) {
+      // Read-only snapshot: policies stored for the compartment
+      const policies = context.snapshot.policies.filter((p) => p.compartmentId === compartmentId);
+      return res.json(withParsedStatements(pageForClient(res, policies, limit, page)));
+    }
+    const key = { profile, kind: 'policies', compartmentId, region };
+    const policies = await listForClient(res, key, (r) => context.identityClient.listPolicies(r), { compartmentId }, limit, page);
+    res.json(withParsedStatements(policies));
+  } catch (err) {
+    logger.error({ err, profile, compartmentId }, 'Error in /api/policies');
+    res.status(500).json({ error: err.message || "Failed to list policies" });
+  }
+});
+
+/**
+ * GET /api/policies/:policyId?profile=PROFILE
+ * Returns: policy object (from OCI IdentityClient) with `parsedStatements` and `etag`
+ *
+ * Reads one policy from the home region with the ETag needed to update or delete it. Not cached, so an edit
+ * always starts from the current version. Snapshot profiles return the stored policy without an ETag.
+ */
+app.get('/api/policies/:policyId', async (req, res) => {
+  const { profile } = req.query;
+  const { policyId } = req.params;
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, policyId }, `${context.error} in /api/policies/:policyId`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const current = await readPolicy(context, policyId, res);
+    if (current.error) {
+      logger.error({ profile, policyId }, `${current.error} in /api/policies/:policyId`);
+      return res.status(current.status).json({ error: current.error });
+    }
+    res.json({ ...current.policy, etag: current.etag });
+  } catch (err) {
+    logger.error({ err, profile, policyId }, 'Error in /api/policies/:policyId');
+    res.status(writeErrorStatus(err)).json({ error: err.message || "Failed to get policy" });
+  }
+});
+
+/**
+ * POST /api/policies/validate
+ * Body: { statements: [string, ...] }
+ * Returns: { valid, parsedStatements }
+ *
+ * Parses statements without saving anything (the policy editor checks drafts with it); works without --allow-writes.
+ */
+app.post('/api/policies/validate', (req, res) => {
+  const { statements } = req.body || {};
+  if (!Array.isArray(statements)) {
+    logger.error('Missing statements in /api/policies/validate');
+    return res.status(400).json({ error: "statements must be an array" });
+  }
+  const parsedStatements = parsePolicyStatements(statements.map(String));
+  res.json({ valid: parsedStatements.every((e) => !e.error), parsedStatements });
+});
+
+/**
+ * POST /api/policies/plan?profile=PROFILE
+ * Body: { action: 'create'|'update'|'delete', policyId (update/delete), compartmentId, name (create),
+ *   description, statements: [string, ...] (create/update) }
+ * Returns: the plan from changePlan.planPolicyChange (statement diff, lint findings introduced/resolved, access
+ *   gained/lost per subject) and `etag`, the ETag of the version the plan was computed against (null for create)
+ *
+ * Dry run: nothing is written. The frontend shows the plan and only sends the change after confirmation, with
+ * this `etag` as If-Match, so a policy changed after planning is refused instead of overwritten. The rest of the
+ * tenancy comes from the (cached) tenancy crawl; the policy itself is read fresh from the home region.
+ */
+app.post('/api/policies/plan', async (req, res) => {
+  const { profile } = req.query;
+  const { action, policyId, compartmentId } = req.body || {};
+  if (!['create', 'update', 'delete'].includes(action)) {
+    logger.error({ profile, action }, 'Invalid action in /api/policies/plan');
+    return res.status(400).json({ error: "action must be one of create, update, delete" });
+  }
+  if (action === 'create' ? !compartmentId : !policyId) {
+    logger.error({ profile, action }, 'Missing policy in /api/policies/plan');
+    return res.status(400).json({ error: action === 'create' ? "Missing compartmentId" : "Missing policyId" });
+  }
+  const validation = action === 'delete' ? {} : validatePolicyDetails(req.body, action === 'create');
+  if (validation.error) {
+    logger.error({ profile, policyId, error: validation.error }, 'Invalid policy in /api/policies/plan');
+    return res.status(400).json({ error: validation.error, parsedStatements: validation.parsedStatements });
+  }
+  try {
+    const lintConfig = loadLintConfig();
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, policyId }, `${context.error} in /api/policies/plan`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const current = action === 'create' ? { policy: null, etag: null } : await readPolicy(context, policyId, res);
+    if (current.error) {
+      logger.error({ profile, policyId }, `${current.error} in /api/policies/plan`);
+      return res.status(current.status).json({ error: current.error });
+    }
+    let proposed = null;
+    if (action === 'create') {
+      const { name, description, statements } = req.body;
+      proposed = { compartmentId, name: name.trim(), description, statements, parsedStatements: validation.parsedStatements };
+    } else if (action === 'update') {
+      const { description, statements } = req.body;
+      proposed = { ...current.policy, description, statements, parsedStatements: validation.parsedStatements };
+    }
+    const tenancy = await loadTenancy(context, res);
+    res.json({ ...planPolicyChange(tenancy, current.policy, proposed, lintConfig), etag: current.etag });
+  } catch (err) {
+    logger.error({ err, profile, policyId }, 'Error in /api/policies/plan');
+    res.status(writeErrorStatus(err)).json({ error: err.message || "Failed to plan policy change" });
+  }
+});
+
+/**
+ * POST /api/policies?profile=PROFILE
+ * Body: { compartmentId, name, description, statements: [string, ...] }
+ * Returns: 201 with the created policy (with `parsedStatements` and `etag`)
+ *
+ * Requires --allow-writes. Statements are parsed first and rejected with 400 (and `parsedStatements`) if any
+ * does not parse. The policy is created in the home region; cached listings of the compartment are dropped.
+ */
+app.post('/api/policies', async (req, res) => {
+  const { profile } = req.query;
+  const { compartmentId, name, description, statements } = req.body || {};
+  if (!compartmentId) {
+    logger.error({ profile }, 'Missing compartmentId in POST /api/policies');
+    return res.status(400).json({ error: "Missing compartmentId" });
+  }
+  const validation = validatePolicyDetails(req.body, true);
+  if (validation.error) {
+    logger.error({ profile, compartmentId, error: validation.error }, 'Invalid policy in POST /api/policies');
+    return res.status(400).json({ error: validation.error, parsedStatements: validation.parsedStatements });
+  }
+  try {
+    const context = await getWriteContext(profile);
+    if (context.error) {
+      logger.error({ profile, compartmentId }, `${context.error} in POST /api/policies`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const response = await context.identityClient.createPolicy({
+      createPolicyDetails: { compartmentId, name: name.trim(), description, statements }
+    });
+    invalidate(profile, compartmentId);
+    logger.info({ profile, compartmentId, policyId: response.policy.id, region: context.region }, 'Policy created');
+    res.status(201).json({ ...withParsedStatements([response.policy])[0], etag: response.etag });
+  } catch (err) {
+    logger.error({ err, profile, compartmentId }, 'Error in POST /api/policies');
+    res.status(writeErrorStatus(err)).json({ error: err.message || "Failed to create policy" });
+  }
+});
+
+/**
+ * PUT /api/policies/:policyId?profile=PROFILE
+ * Headers: If-Match: ETag from GET /api/policies/:policyId
+ * Body: { description, statements: [string, ...] }
+ * Returns: the updated policy (with `parsedStatements` and the new `etag`)
+ *
+ * Requires --allow-writes. Without If-Match the request is refused (428); if the policy changed since the ETag was
+ * read, OCI answers 412 and nothing is written. Statements are validated as for POST.
+ */
+app.put('/api/policies/:policyId', async (req, res) => {
+  const { profile } = req.query;
+  const { policyId } = req.params;
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    logger.error({ profile, policyId }, 'Missing If-Match in PUT /api/policies/:policyId');
+    return res.status(428).json({ error: "If-Match header with the policy's ETag is required" });
+  }
+  const validation = validatePolicyDetails(req.body, false);
+  if (validation.error) {
+    logger.error({ profile, policyId, error: validation.error }, 'Invalid policy in PUT /api/policies/:policyId');
+    return res.status(400).json({ error: validation.error, parsedStatements: validation.parsedStatements });
+  }
+  try {
+    const context = await getWriteContext(profile);
+    if (context.error) {
+      logger.error({ profile, policyId }, `${context.error} in PUT /api/policies/:policyId`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const { description, statements } = req.body;
+    const response = await context.identityClient.updatePolicy({
+      policyId,
+      updatePolicyDetails: { description, statements },
+      ifMatch
+    });
+    invalidate(profile, response.policy.compartmentId);
+    logger.info({ profile, policyId, region: context.region }, 'Policy updated');
+    res.json({ ...withParsedStatements([response.policy])[0], etag: response.etag });
+  } catch (err) {
+    logger.error({ err, profile, policyId }, 'Error in PUT /api/policies/:policyId');
+    res.status(writeErrorStatus(err)).json({ error: err.message || "Failed to update policy" });
+  }
+});
+
+/**
+ * DELETE /api/policies/:policyId?profile=PROFILE&compartmentId=OCID
+ * Headers: If-Match: ETag from GET /api/policies/:policyId
+ * compartmentId (optional): compartment of the policy, whose cached listings are dropped (the whole profile if omitted)
+ * Returns: { deleted: policyId }
+ *
+ * Requires --allow-writes and If-Match, as for PUT.
+ */
+app.delete('/api/policies/:policyId', async (req, res) => {
   const { profile, compartmentId } = req.query;
-  if (INSTANCE_PRINCIPAL_MODE) {
-    // Only accept magic profile name
-    if (profile !== INSTANCE_PRINCIPAL_PROFILE_NAME) {
-      logger.error({profile, compartmentId}, 'In instance-principal mode, only accept "instance-principal" profile');
-      return res.status(400).json({ error: "Profile must be 'instance-principal' in this mode" });
+  const { policyId } = req.params;
+  const ifMatch = req.get('If-Match');
+  if (!ifMatch) {
+    logger.error({ profile, policyId }, 'Missing If-Match in DELETE /api/policies/:policyId');
+    return res.status(428).json({ error: "If-Match header with the policy's ETag is required" });
+  }
+  try {
+    const context = await getWriteContext(profile);
+    if (context.error) {
+      logger.error({ profile, policyId }, `${context.error} in DELETE /api/policies/:policyId`);
+      return res.status(context.status).json({ error: context.error });
     }
-    if (!compartmentId) {
-      logger.error({profile, compartmentId}, 'Missing compartmentId param in /api/policies');
-      return res.status(400).json({ error: "Missing compartmentId" });
+    await context.identityClient.deletePolicy({ policyId, ifMatch });
+    invalidate(profile, compartmentId || undefined);
+    logger.info({ profile, policyId, region: context.region }, 'Policy deleted');
+    res.json({ deleted: policyId });
+  } catch (err) {
+    logger.error({ err, profile, policyId }, 'Error in DELETE /api/policies/:policyId');
+    res.status(writeErrorStatus(err)).json({ error: err.message || "Failed to delete policy" });
+  }
+});
+
+/**
+ * GET /api/groups?profile=PROFILE
+ * Returns: array of group objects (from OCI IdentityClient); groups of non-default identity domains carry `domain`
+ *
+ * Groups of every identity domain of the tenancy (snapshot profiles: the groups stored in the snapshot).
+ */
+app.get('/api/groups', async (req, res) => {
+  const { profile } = req.query;
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile }, `${context.error} in /api/groups`);
+      return res.status(context.status).json({ error: context.error });
     }
+    const { groups } = context.snapshot || await cachedForRequest(res, { profile, kind: 'identities' }, () => (
+      crawlIdentities(context.identityClient, context.tenancyId, context.domainsClientFor)
+    ));
+    res.json(groups || []);
+  } catch (err) {
+    logger.error({ err, profile }, 'Error in /api/groups');
+    res.status(500).json({ error: err.message || "Failed to list groups" });
+  }
+});
+
+/**
+ * GET /api/dynamic-groups?profile=PROFILE
+ * Returns: array of dynamic group objects (from OCI IdentityClient), each with its `matchingRule`;
+ * dynamic groups of non-default identity domains carry `domain`
+ */
+app.get('/api/dynamic-groups', async (req, res) => {
+  const { profile } = req.query;
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile }, `${context.error} in /api/dynamic-groups`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const { dynamicGroups } = context.snapshot || await cachedForRequest(res, { profile, kind: 'identities' }, () => (
+      crawlIdentities(context.identityClient, context.tenancyId, context.domainsClientFor)
+    ));
+    res.json(dynamicGroups || []);
+  } catch (err) {
+    logger.error({ err, profile }, 'Error in /api/dynamic-groups');
+    res.status(500).json({ error: err.message || "Failed to list dynamic groups" });
+  }
+});
+
+/**
+ * GET /api/users?profile=PROFILE&groupId=OCID
+ * groupId (optional): only return members of this group
+ *
+ * Returns: array of user objects (from OCI IdentityClient), each with `groups: [{ id, name }]`
+ *
+ * Users of the Default identity domain only. Users are not stored in snapshots, so this endpoint needs a live profile.
+ */
+app.get('/api/users', async (req, res) => {
+  const { profile, groupId } = req.query;
+  if (isSnapshotProfile(profile)) {
+    return res.status(400).json({ error: "Users are not stored in snapshots" });
+  }
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, groupId }, `${context.error} in /api/users`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const { groups, users, memberships } = await cachedForRequest(res, { profile, kind: 'users' }, async () => {
+      const [classic, directory] = await Promise.all([
+        crawlGroups(context.identityClient, context.tenancyId),
+        crawlUsers(context.identityClient, context.tenancyId)
+      ]);
+      return { groups: classic.groups, ...directory };
+    });
+    const result = withGroupMemberships(users, groups, memberships)
+      .filter((user) => !groupId || user.groups.some((g) => g.id === groupId));
+    res.json(result);
+  } catch (err) {
+    logger.error({ err, profile, groupId }, 'Error in /api/users');
+    res.status(500).json({ error: err.message || "Failed to list users" });
+  }
+});
+
+/**
+ * GET /api/search?profile=PROFILE&q=TEXT&regex=true|false&caseSensitive=true|false
+ * Returns: { query, regex, caseSensitive, results: [{ policy, compartmentId, compartmentPath, matches: [{ field, statementIndex, text }] }] }
+ *
+ * Crawls every compartment of the profile's tenancy and searches policy names, descriptions and statements
+ * by substring (default) or regular expression.
+ */
+app.get('/api/search', async (req, res) => {
+  const { profile, q } = req.query;
+  const regex = req.query.regex === 'true';
+  const caseSensitive = req.query.caseSensitive === 'true';
+  if (!q) {
+    logger.error({ profile, q }, 'Missing q param in /api/search');
+    return res.status(400).json({ error: "Missing q" });
+  }
+  if (regex) {
     try {
-      // Provider
-      const provider = new ociCommon.InstancePrincipalsAuthenticationDetailsProvider();
-      const identityClient = new ociIdentity.IdentityClient({ authenticationDetailsProvider: provider });
-
-      const request = {
-        compartmentId
-      };
-      const response = await identityClient.listPolicies(request);
-      res.json(response.items || []);
+      new RegExp(q);
     } catch (err) {
-      logger.error({ err, profile, compartmentId }, 'Error in /api/policies (instance-principal)');
-      res.status(500).json({ error: err.message || "Failed to list policies" });
+      logger.error({ profile, q }, 'Invalid regex in /api/search');
+      return res.status(400).json({ error: `Invalid regular expression: ${err.message}` });
+    }
+  }
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, q }, `${context.error} in /api/search`);
+      return res.status(context.status).json({ error: context.error });
     }
-  } else {
-    // Legacy: profile mode
-    if (!profile || !compartmentId) {
-      logger.error({profile, compartmentId}, 'Missing params in /api/policies');
-      return res.status(400).json({ error: "Missing profile or compartmentId" });
+    const tenancy = await loadTenancy(context, res);
+    const results = searchPolicies(tenancy.policies, tenancy.compartmentIndex, q, { regex, caseSensitive });
+    res.json({ query: q, regex, caseSensitive, results });
+  } catch (err) {
+    logger.error({ err, profile, q }, 'Error in /api/search');
+    res.status(500).json({ error: err.message || "Failed to search policies" });
+  }
+});
+
+/**
+ * GET /api/access/subject?profile=PROFILE&type=group|dynamic-group&name=NAME&domain=DOMAIN
+ * domain (optional): identity domain of the group (Default if omitted)
+ *
+ * Returns: { subject, rows: [...], unresolved: [...] } (see accessAnalysis.effectiveAccessForSubject)
+ *
+ * Collects every Allow statement in the tenancy granting the subject anything (directly, or via any-user/any-group)
+ * and expands each grant to the compartment it targets plus all inheriting child compartments.
+ * The subject is resolved against the tenancy's groups (all identity domains) so that statements
+ * referring to it by OCID match as well.
+ */
+app.get('/api/access/subject', async (req, res) => {
+  const { profile, type, name, domain } = req.query;
+  if (type !== 'group' && type !== 'dynamic-group') {
+    logger.error({ profile, type, name }, 'Invalid type param in /api/access/subject');
+    return res.status(400).json({ error: "type must be 'group' or 'dynamic-group'" });
+  }
+  if (!name) {
+    logger.error({ profile, type, name }, 'Missing name param in /api/access/subject');
+    return res.status(400).json({ error: "Missing name" });
+  }
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, type, name }, `${context.error} in /api/access/subject`);
+      return res.status(context.status).json({ error: context.error });
     }
-    const profileConfig = loadOciProfile(profile);
-    if (!profileConfig) {
-      logger.error({profile, compartmentId}, 'Profile not found in /api/policies');
-      return res.status(404).json({ error: "Profile not found" });
+    const tenancy = await loadTenancy(context, res);
+    const subject = { type, name, domain: domain || undefined };
+    const identity = findIdentity(tenancy, subject);
+    if (identity) subject.id = identity.id;
+    res.json({ subject, ...effectiveAccessForSubject(tenancy, subject) });
+  } catch (err) {
+    logger.error({ err, profile, type, name }, 'Error in /api/access/subject');
+    res.status(500).json({ error: err.message || "Failed to compute effective access" });
+  }
+});
+
+/**
+ * GET /api/access/compartment?profile=PROFILE&compartmentId=OCID
+ * compartmentId (optional): target compartment (tenancy root if omitted)
+ *
+ * Returns: { compartmentId, compartmentPath, subjects: [{ subject, label, admitted, grants: [...] }] }
+ *
+ * Reverse lookup: every subject granted permissions on the compartment, whether the grant targets the
+ * compartment itself, one of its ancestors or the whole tenancy (OCI policies inherit downward).
+ */
+app.get('/api/access/compartment', async (req, res) => {
+  const { profile, compartmentId } = req.query;
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, compartmentId }, `${context.error} in /api/access/compartment`);
+      return res.status(context.status).json({ error: context.error });
     }
-    try {
-      const provider = new ociCommon.ConfigFileAuthenticationDetailsProvider(
-        OCI_CONFIG_PATH,
-        profile
-      );
-      const identityClient = new ociIdentity.IdentityClient({ authenticationDetailsProvider: provider });
+    const targetId = compartmentId || context.tenancyId;
+    const ancestry = await loadAncestry(context, targetId, res);
+    const target = ancestry.compartmentIndex.get(targetId);
+    if (!target) {
+      logger.error({ profile, compartmentId }, 'Compartment not found in /api/access/compartment');
+      return res.status(404).json({ error: `Compartment ${targetId} not found` });
+    }
+    res.json({
+      compartmentId: targetId,
+      compartmentPath: displayPath(target.path),
+      subjects: subjectsForCompartment(ancestry, targetId)
+    });
+  } catch (err) {
+    logger.error({ err, profile, compartmentId }, 'Error in /api/access/compartment');
+    // Live profiles look the compartment up in OCI, which answers 404 for an unknown OCID
+    if (err.statusCode === 404) {
+      return res.status(404).json({ error: `Compartment ${compartmentId} not found` });
+    }
+    res.status(500).json({ error: err.message || "Failed to list subjects with access" });
+  }
+});
+
+/**
+ * GET /api/snapshots
+ * Returns: { snapshots: [{ name, profile, createdAt, tenancyId }, ...] } (newest first)
+ */
+app.get('/api/snapshots', (req, res) => {
+  try {
+    res.json({ snapshots: listSnapshots() });
+  } catch (err) {
+    logger.error({ err }, 'Error in /api/snapshots');
+    res.status(500).json({ error: 'Failed to list snapshots' });
+  }
+});
+
+/**
+ * POST /api/snapshots?profile=PROFILE&name=NAME
+ * name (optional): snapshot name (defaults to "<profile>-<timestamp>")
+ *
+ * Returns: { name, profile: "snapshot:<name>", createdAt }; 409 if a snapshot is already stored under that name
+ *
+ * Crawls the profile's full compartment tree and policies and stores them as a snapshot on the server.
+ */
+app.post('/api/snapshots', async (req, res) => {
+  const { profile, name } = req.query;
+  if (isSnapshotProfile(profile)) {
+    return res.status(400).json({ error: "Cannot snapshot a snapshot profile" });
+  }
+  if (name && snapshotExists(name)) {
+    logger.error({ profile, name }, 'Snapshot name taken in POST /api/snapshots');
+    return res.status(409).json({ error: `Snapshot ${sanitizeSnapshotName(name)} already exists` });
+  }
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, name }, `${context.error} in POST /api/snapshots`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const tenancy = await crawlTenancy(context.identityClient, context.tenancyId, context.domainsClientFor);
+    const snapshot = createSnapshot(profile, tenancy);
+    const savedName = saveSnapshot(name || `${profile}-${snapshot.createdAt.replace(/[:.]/g, '-')}`, snapshot);
+    res.json({ name: savedName, profile: snapshotProfileOf(savedName), createdAt: snapshot.createdAt });
+  } catch (err) {
+    logger.error({ err, profile, name }, 'Error in POST /api/snapshots');
+    res.status(err.statusCode === 409 ? 409 : 500).json({ error: err.message || "Failed to create snapshot" });
+  }
+});
 
-      const request = {
-        compartmentId
-      };
-      const response = await identityClient.listPolicies(request);
-      res.json(response.items || []);
+/**
+ * GET /api/snapshots/export?profile=PROFILE
+ * Returns: snapshot JSON document as a file download
+ *
+ * For a live profile the tenancy is crawled now; for a snapshot profile the stored snapshot is returned.
+ */
+app.get('/api/snapshots/export', async (req, res) => {
+  const { profile } = req.query;
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile }, `${context.error} in /api/snapshots/export`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const snapshot = context.snapshot
+      || createSnapshot(profile, await crawlTenancy(context.identityClient, context.tenancyId, context.domainsClientFor));
+    const fileName = `${String(snapshot.profile).replace(/[^A-Za-z0-9._-]+/g, '_')}-${snapshot.createdAt.slice(0, 10)}.json`;
+    logger.info(`API response: GET ${req.originalUrl} snapshot file ${fileName}`);
+    res.attachment(fileName).type('application/json').send(JSON.stringify(snapshot, null, 2));
+  } catch (err) {
+    logger.error({ err, profile }, 'Error in /api/snapshots/export');
+    res.status(500).json({ error: err.message || "Failed to export snapshot" });
+  }
+});
+
+/**
+ * POST /api/snapshots/import?name=NAME
+ * Body: snapshot JSON document (as produced by /api/snapshots/export)
+ * Returns: { name, profile: "snapshot:<name>", createdAt }; 409 if a snapshot is already stored under that name
+ *
+ * Stores an uploaded snapshot so it appears as a read-only profile.
+ */
+app.post('/api/snapshots/import', (req, res) => {
+  const snapshot = req.body;
+  const name = req.query.name || (snapshot && `${snapshot.profile}-${String(snapshot.createdAt).slice(0, 10)}`);
+  try {
+    const savedName = saveSnapshot(name, snapshot);
+    res.json({ name: savedName, profile: snapshotProfileOf(savedName), createdAt: snapshot.createdAt });
+  } catch (err) {
+    logger.error({ err, name }, 'Error in /api/snapshots/import');
+    res.status(err.statusCode === 409 ? 409 : 400).json({ error: err.message || "Invalid snapshot" });
+  }
+});
+
+/**
+ * GET /api/diff?from=PROFILE&to=PROFILE
+ * from/to: snapshot profiles ("snapshot:<name>") or live profiles (the cached crawl, at most CACHE_TTL_SECONDS old)
+ *
+ * capturedAt is when each side was read from OCI: the snapshot's creation time, or when the cached crawl was made
+ * (refresh the profile's cache first to diff against the tenancy as it is now).
+ *
+ * Returns: { from: { profile, capturedAt }, to: { profile, capturedAt }, added, removed, modified, summary }
+ * (see snapshotDiff.diffPolicies)
+ */
+app.get('/api/diff', async (req, res) => {
+  const { from, to } = req.query;
+  if (!from || !to) {
+    logger.error({ from, to }, 'Missing params in /api/diff');
+    return res.status(400).json({ error: "Missing from or to" });
+  }
+  try {
+    const states = [];
+    for (const profile of [from, to]) {
+      const context = await getProfileContext(profile);
+      if (context.error) {
+        logger.error({ from, to, profile }, `${context.error} in /api/diff`);
+        return res.status(context.status).json({ error: `${profile}: ${context.error}` });
+      }
+      states.push({ profile, tenancy: await loadTenancy(context, res) });
+    }
+    const [before, after] = states;
+    res.json({
+      from: { profile: before.profile, capturedAt: before.tenancy.capturedAt },
+      to: { profile: after.profile, capturedAt: after.tenancy.capturedAt },
+      ...diffPolicies(before.tenancy, after.tenancy)
+    });
+  } catch (err) {
+    logger.error({ err, from, to }, 'Error in /api/diff');
+    res.status(500).json({ error: err.message || "Failed to diff policies" });
+  }
+});
+
+/**
+ * GET /api/multi/search?profiles=A,B,...&q=QUERY&regex=true|false&caseSensitive=true|false
+ * Returns: { query, regex, caseSensitive, results: [{ profile, tenancyId, policy, compartmentId, compartmentPath, matches }],
+ *   errors: [{ profile, error }] }
+ *
+ * Runs the /api/search query against every listed profile; results are ordered by profile, then compartment path.
+ * Profiles that cannot be loaded are reported in `errors` instead of failing the whole search.
+ */
+app.get('/api/multi/search', async (req, res) => {
+  const profiles = parseCommaList(req.query.profiles);
+  const { q } = req.query;
+  const regex = req.query.regex === 'true';
+  const caseSensitive = req.query.caseSensitive === 'true';
+  if (profiles.length === 0 || !q) {
+    logger.error({ profiles, q }, 'Missing params in /api/multi/search');
+    return res.status(400).json({ error: "Missing profiles or q" });
+  }
+  if (regex) {
+    try {
+      new RegExp(q);
     } catch (err) {
-      logger.error({ err, profile, compartmentId }, 'Error in /api/policies');
-      res.status(500).json({ error: err.message || "Failed to list policies" });
+      logger.error({ profiles, q }, 'Invalid regex in /api/multi/search');
+      return res.status(400).json({ error: `Invalid regular expression: ${err.message}` });
+    }
+  }
+  try {
+    const { states, errors } = await loadTenancies(profiles, res);
+    const results = states.flatMap(({ profile, tenancy }) => (
+      searchPolicies(tenancy.policies, tenancy.compartmentIndex, q, { regex, caseSensitive })
+        .map((result) => ({ profile, tenancyId: tenancy.tenancyId, ...result }))
+    ));
+    res.json({ query: q, regex, caseSensitive, results, errors });
+  } catch (err) {
+    logger.error({ err, profiles, q }, 'Error in /api/multi/search');
+    res.status(500).json({ error: err.message || "Failed to search policies" });
+  }
+});
+
+/**
+ * GET /api/multi/compare?profiles=A,B,...
+ * Returns: { profiles, compartments, policies, summary, errors: [{ profile, error }] }
+ * (see tenancyCompare.compareTenancies; `profiles` lists the tenancies that could be loaded)
+ *
+ * Matches compartments by name path and policies by compartment path + name across at least two tenancies.
+ */
+app.get('/api/multi/compare', async (req, res) => {
+  const profiles = parseCommaList(req.query.profiles);
+  if (profiles.length < 2) {
+    logger.error({ profiles }, 'Too few profiles in /api/multi/compare');
+    return res.status(400).json({ error: "Select at least two profiles to compare" });
+  }
+  try {
+    const { states, errors } = await loadTenancies(profiles, res);
+    if (states.length < 2) {
+      logger.error({ profiles, errors }, 'Too few tenancies loaded in /api/multi/compare');
+      return res.status(502).json({ error: "Fewer than two tenancies could be loaded", errors });
     }
+    res.json({ ...compareTenancies(states), errors });
+  } catch (err) {
+    logger.error({ err, profiles }, 'Error in /api/multi/compare');
+    res.status(500).json({ error: err.message || "Failed to compare tenancies" });
+  }
+});
+
+/**
+ * GET /api/cross-tenancy?a=PROFILE&b=PROFILE
+ * a/b: live or snapshot profiles of the two tenancies
+ *
+ * Returns: { tenancies, pairs, orphanedEndorses, orphanedAdmits, issues, summary }
+ * (see crossTenancy.analyzeCrossTenancy)
+ */
+app.get('/api/cross-tenancy', async (req, res) => {
+  const { a, b } = req.query;
+  if (!a || !b) {
+    logger.error({ a, b }, 'Missing params in /api/cross-tenancy');
+    return res.status(400).json({ error: "Missing a or b" });
+  }
+  try {
+    const sides = [];
+    for (const profile of [a, b]) {
+      const context = await getProfileContext(profile);
+      if (context.error) {
+        logger.error({ a, b, profile }, `${context.error} in /api/cross-tenancy`);
+        return res.status(context.status).json({ error: `${profile}: ${context.error}` });
+      }
+      sides.push({ profile, tenancy: await loadTenancy(context, res) });
+    }
+    if (sides[0].tenancy.tenancyId === sides[1].tenancy.tenancyId) {
+      logger.error({ a, b }, 'Same tenancy in /api/cross-tenancy');
+      return res.status(400).json({ error: "Both profiles belong to the same tenancy" });
+    }
+    res.json(analyzeCrossTenancy(sides[0], sides[1]));
+  } catch (err) {
+    logger.error({ err, a, b }, 'Error in /api/cross-tenancy');
+    res.status(500).json({ error: err.message || "Failed to analyze cross-tenancy policies" });
+  }
+});
+
+/**
+ * GET /api/lint/rules
+ * Returns: { rules: [{ id, description, enabled, severity, options }, ...] }
+ *
+ * Rule catalogue merged with the configuration in lint-rules.json (or LINT_CONFIG).
+ */
+app.get('/api/lint/rules', (req, res) => {
+  try {
+    res.json({ rules: resolveRules(loadLintConfig()) });
+  } catch (err) {
+    logger.error({ err }, 'Error in /api/lint/rules');
+    res.status(500).json({ error: err.message || "Failed to load lint rules" });
+  }
+});
+
+/**
+ * GET /api/lint?profile=PROFILE&compartmentId=OCID
+ * compartmentId (optional): only return findings for policies attached to this compartment
+ *
+ * Returns: { findings: [{ ruleId, severity, message, policyId, policyName, compartmentPath, statementIndex, statement }, ...] }
+ *
+ * Lints every policy of the tenancy; cross-policy rules (duplicates, unknown groups/compartments) always see the whole tenancy.
+ */
+app.get('/api/lint', async (req, res) => {
+  const { profile, compartmentId } = req.query;
+  try {
+    const config = loadLintConfig();
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, compartmentId }, `${context.error} in /api/lint`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const tenancy = await loadTenancy(context, res);
+    const findings = lintPolicies(tenancy, config)
+      .filter((f) => !compartmentId || f.compartmentId === compartmentId);
+    res.json({ findings });
+  } catch (err) {
+    logger.error({ err, profile, compartmentId }, 'Error in /api/lint');
+    res.status(500).json({ error: err.message || "Failed to lint policies" });
+  }
+});
+
+/**
+ * GET /api/export?profile=PROFILE&format=csv|xlsx|md|tf&compartmentId=OCID&subtree=true|false&policyIds=OCID,OCID
+ * format (optional): csv (default), xlsx or md (one row per statement, see policyExport.EXPORT_COLUMNS),
+ *   or tf (Terraform oci_identity_policy resources with import blocks, see terraformExport.js)
+ * compartmentId (optional): compartment to export (tenancy root if omitted)
+ * subtree (optional): also export the policies of every active compartment below it
+ * policyIds (optional): comma-separated; only export these policies (attached to the exported compartments)
+ *
+ * Returns: file download
+ *
+ * Subtree and Terraform exports read the whole tenancy crawl (Terraform turns compartment OCIDs anywhere in the
+ * tenancy into variables); a single compartment's statements only need its ancestor chain.
+ */
+app.get('/api/export', async (req, res) => {
+  const { profile, compartmentId } = req.query;
+  const format = req.query.format || 'csv';
+  const subtree = req.query.subtree === 'true';
+  const policyIds = parseCommaList(req.query.policyIds);
+  if (!EXPORT_FORMATS[format]) {
+    logger.error({ profile, format }, 'Invalid format param in /api/export');
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  try {
+    const context = await getProfileContext(profile);
+    if (context.error) {
+      logger.error({ profile, compartmentId }, `${context.error} in /api/export`);
+      return res.status(context.status).json({ error: context.error });
+    }
+    const targetId = compartmentId || context.tenancyId;
+    const tenancy = subtree || format === 'tf'
+      ? await loadTenancy(context, res)
+      : await loadAncestry(context, targetId, res);
+    const target = tenancy.compartmentIndex.get(targetId);
+    if (!target) {
+      logger.error({ profile, compartmentId }, 'Compartment not found in /api/export');
+      return res.status(404).json({ error: `Compartment ${targetId} not found` });
+    }
+    const compartmentIds = new Set([targetId, ...(subtree ? descendantIds(tenancy.compartmentIndex, targetId) : [])]);
+    const policies = tenancy.policies.filter((p) => (
+      compartmentIds.has(p.compartmentId) && (policyIds.length === 0 || policyIds.includes(p.id))
+    ));
+    if (policyIds.length > 0 && policies.length < policyIds.length) {
+      const missing = policyIds.filter((id) => !policies.some((p) => p.id === id));
+      logger.error({ profile, compartmentId, missing }, 'Policies not found in /api/export');
+      return res.status(404).json({ error: `Policies not found in ${displayPath(target.path)}: ${missing.join(', ')}` });
+    }
+    const baseName = [
+      profile,
+      target.path || 'root',
+      policyIds.length === 1 ? policies[0].name : '',
+      policyIds.length > 1 ? `${policyIds.length}-policies` : '',
+      subtree ? 'subtree' : ''
+    ].filter(Boolean).join('-').replace(/[^A-Za-z0-9._-]+/g, '_');
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    if (format === 'tf') {
+      const fileName = `${baseName}-policies.${extension}`;
+      logger.info(`API response: GET ${req.originalUrl} export file ${fileName} (${policies.length} policies)`);
+      return res.attachment(fileName).type(contentType).send(renderTerraform(tenancy, policies, { profile }));
+    }
+    const rows = statementRows(tenancy, policies);
+    const title = `Policy statements: ${displayPath(target.path)}${subtree ? ' and sub-compartments' : ''}`;
+    const fileName = `${baseName}-statements.${extension}`;
+    logger.info(`API response: GET ${req.originalUrl} export file ${fileName} (${rows.length} statements)`);
+    res.attachment(fileName).type(contentType).send(renderExport(rows, format, title));
+  } catch (err) {
+    logger.error({ err, profile, compartmentId }, 'Error in /api/export');
+    res.status(500).json({ error: err.message || "Failed to export policies" });
+  }
+});
+
+/**
+ * POST /api/cache/refresh?profile=PROFILE&compartmentId=OCID
+ * profile (optional): profile to refresh (every profile if omitted)
+ * compartmentId (optional): refresh only this compartment and its sub-compartments (the whole profile if omitted)
+ *
+ * Returns: { invalidated: number of cache entries dropped }
+ *
+ * Tenancy-wide entries of the profile (full crawls, group and user lists) are always dropped.
+ */
+app.post('/api/cache/refresh', (req, res) => {
+  const { profile, compartmentId } = req.query;
+  try {
+    res.json({ invalidated: invalidate(profile, compartmentId) });
+  } catch (err) {
+    logger.error({ err, profile, compartmentId }, 'Error in /api/cache/refresh');
+    res.status(500).json({ error: err.message || "Failed to refresh cache" });
   }
 });
 
@@ -327,45 +1583,22 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal Server Error' });
 });
 
-/**
- * Helper: Get tenancy OCID from instance metadata service (cached after first call)
- * Returns Promise<string|null>
- */
-let _instanceMetaTenancyOcid = null;
-function getInstanceTenancyOcid() {
-  return new Promise((resolve) => {
-    if (_instanceMetaTenancyOcid) return resolve(_instanceMetaTenancyOcid);
-    // Fetch from OCI instance metadata (root info)
-    http.get(
-      "http://169.254.169.254/opc/v1/instance/",
-      (resp) => {
-        let data = "";
-        resp.on("data", (chunk) => { data += chunk; });
-        resp.on("end", () => {
-          try {
-            const meta = JSON.parse(data);
-            if (typeof meta.compartmentId === "string" && meta.compartmentId.length) {
-              _instanceMetaTenancyOcid = meta.compartmentId;
-              resolve(_instanceMetaTenancyOcid);
-            } else {
-              resolve(null);
-            }
-          } catch (err) {
-            resolve(null);
-          }
-        });
-      }
-    ).on("error", () => resolve(null));
-  });
-}
-
 /**
  * Start Express server
  */
-app.listen(PORT, () => {
-  logger.info({ port: PORT, logLevel, nodeEnv: process.env.NODE_ENV, instancePrincipalMode: INSTANCE_PRINCIPAL_MODE }, `Server running at http://localhost:${PORT}/`);
+app.listen(PORT, HOST, () => {
+  logger.info({ port: PORT, host: HOST, logLevel, nodeEnv: process.env.NODE_ENV, authMode: AUTH_MODE }, `Server running at http://localhost:${PORT}/`);
+  logger.info({ cacheTtlSeconds: CACHE_TTL_MS / 1000, cachedEntries: loadCacheFile() }, 'OCI identity cache ready');
 
-  if (INSTANCE_PRINCIPAL_MODE) {
-    logger.info("Backend running in INSTANCE PRINCIPAL mode: all OCI API calls use instance principal and expose only the 'instance-principal' profile.");
+  if (IDENTITY_ENDPOINT) {
+    logger.warn({ identityEndpoint: IDENTITY_ENDPOINT }, 'OCI_IDENTITY_ENDPOINT is set: Identity API calls go to this endpoint instead of OCI.');
+  }
+  if (ALLOW_WRITES) {
+    logger.warn({ frontendOrigins: FRONTEND_ORIGINS }, 'Policy writes are ENABLED (--allow-writes): the UI can create, update and delete IAM policies.');
+  }
+  if (PRINCIPAL_PROFILE_NAME) {
+    logger.info(`Backend running in ${AUTH_MODE.replace('_', ' ').toUpperCase()} mode: all OCI API calls use it and expose only the '${PRINCIPAL_PROFILE_NAME}' profile.`);
+  } else if (AUTH_MODE === 'security_token') {
+    logger.info("Backend running in SECURITY TOKEN mode: only session-token profiles from the OCI config file are exposed.");
   }
 });
@@ -0,0 +1,342 @@
+/*
+  backend/mockIdentityServer.js
+
+  Local stand-in for the OCI Identity API (20160918), for running and testing the browser without a tenancy.
+  - Implements the operations the backend calls: compartments (list, get), policies (list, get, create, update,
+    delete), groups, dynamic groups, users, group memberships, region subscriptions and identity domains.
+  - State is seeded from a fixture file (see fixtures/identity-fixture.json; a browser snapshot works too) and kept
+    in memory, so policy changes last until the server stops.
+  - Behaves like the real service where the backend depends on it: limit/page paging with opc-next-page,
+    ETags with if-match (412 NoEtagMatch), and OCI-style error bodies ({ code, message }) with realistic statuses.
+  Start it with `npm run mock-identity` and point the backend at it with OCI_IDENTITY_ENDPOINT (see README).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const pino = require('pino');
+const { parsePolicyStatements } = require('./policyParser');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+// Fixture loaded when none is given with --fixture
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'identity-fixture.json');
+// Page size when a list request has no limit (small, so clients exercise paging); limits above MAX_LIMIT are rejected
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_LIMIT = 1000;
+// OCI's limit on statements per policy
+const MAX_STATEMENTS = 50;
+
+/**
+ * Utility: Error answered in OCI's format; `code` is the OCI service code (e.g. NotAuthorizedOrNotFound)
+ */
+class OciError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// The real service answers "not found" and "not authorized" alike
+function notFound() {
+  return new OciError(404, 'NotAuthorizedOrNotFound', 'Authorization failed or requested resource not found.');
+}
+
+/**
+ * Utility: OCID in the real format (ocid1.<type>.oc1..<60 lowercase base32 characters>)
+ */
+function newOcid(type) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  const bytes = crypto.randomBytes(52);
+  return `ocid1.${type}.oc1..aaaaaaaa${[...bytes].map((b) => alphabet[b % 32]).join('')}`;
+}
+
+/**
+ * Utility: Quoted ETag of a resource's current content
+ */
+function etagOf(resource) {
+  return `"${crypto.createHash('sha256').update(JSON.stringify(resource)).digest('hex').slice(0, 32)}"`;
+}
+
+/**
+ * Loads a fixture (or browser snapshot) into the mock's in-memory state.
+ * Fixture format: { tenancyId, tenancyName?, regions?: [{ regionName, regionKey, status, isHomeRegion }],
+ *   compartments, policies, groups?, dynamicGroups?, users?, memberships?, domains? } with objects shaped like
+ *   the Identity API's. Missing fields (timeCreated, lifecycleState, tags) are filled in. Only Default-domain
+ *   groups and domains are served, since other domains are read through their own SCIM endpoints.
+ * @param {Object} fixture - Parsed fixture document.
+ * @returns {Object} Mock state.
+ */
+function createState(fixture) {
+  if (!fixture || !fixture.tenancyId) throw new Error('Fixture needs a tenancyId');
+  const now = new Date().toISOString();
+  const withDefaults = (item) => ({
+    lifecycleState: 'ACTIVE',
+    timeCreated: now,
+    freeformTags: {},
+    definedTags: {},
+    ...item
+  });
+  return {
+    tenancyId: fixture.tenancyId,
+    tenancyName: fixture.tenancyName || 'mock-tenancy',
+    regions: fixture.regions || [{ regionName: 'us-ashburn-1', regionKey: 'IAD', status: 'READY', isHomeRegion: true }],
+    compartments: (fixture.compartments || []).map(withDefaults),
+    policies: (fixture.policies || []).map((p) => withDefaults({ description: p.name, ...p })),
+    groups: (fixture.groups || []).filter((g) => !g.domain).map(withDefaults),
+    dynamicGroups: (fixture.dynamicGroups || []).filter((g) => !g.domain).map(withDefaults),
+    users: (fixture.users || []).map(withDefaults),
+    memberships: (fixture.memberships || []).map(withDefaults),
+    domains: (fixture.domains || [])
+      .filter((d) => d.type === 'DEFAULT')
+      .map((d) => withDefaults({ displayName: d.name, ...d }))
+  };
+}
+
+/**
+ * Utility: One page of a list (limit/page query parameters); the next page's cursor goes in opc-next-page
+ */
+function sendPage(req, res, items) {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new OciError(400, 'InvalidParameter', `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  let offset = 0;
+  if (req.query.page !== undefined) {
+    offset = Number(Buffer.from(String(req.query.page), 'base64url').toString());
+    if (!Number.isInteger(offset) || offset < 0) throw new OciError(400, 'InvalidParameter', 'Invalid page token');
+  }
+  if (offset + limit < items.length) res.set('opc-next-page', Buffer.from(String(offset + limit)).toString('base64url'));
+  res.json(items.slice(offset, offset + limit));
+}
+
+/**
+ * Builds the mock Identity API as an Express app.
+ * @param {Object} fixture - Fixture document (see createState).
+ * @param {Object} [options] - { domainUrl } advertised as the Default domain's URL.
+ * @returns {Object} Express app serving /20160918/...; `app.locals.state` holds the in-memory state.
+ */
+function createMockIdentityApp(fixture, options = {}) {
+  const state = createState(fixture);
+  const app = express();
+  app.locals.state = state;
+  app.use(express.json({ limit: '5mb' }));
+
+  // Every response carries a request id; the SDK signs every request, so a missing signature is a 401
+  app.use((req, res, next) => {
+    res.set('opc-request-id', crypto.randomBytes(16).toString('hex').toUpperCase());
+    if (!req.get('authorization')) return next(new OciError(401, 'NotAuthenticated', 'The required information to complete authentication was not provided.'));
+    logger.debug({ method: req.method, url: req.originalUrl }, 'Mock Identity request');
+    next();
+  });
+
+  const router = express.Router();
+
+  // Compartment (or the tenancy root) by OCID
+  const findCompartment = (id) => state.compartments.find((c) => c.id === id);
+  const requireCompartment = (id) => {
+    if (!id) throw new OciError(400, 'MissingParameter', 'Missing compartmentId');
+    if (id !== state.tenancyId && !findCompartment(id)) throw notFound();
+  };
+  const requireTenancy = (id) => {
+    requireCompartment(id);
+    if (id !== state.tenancyId) throw new OciError(400, 'InvalidParameter', 'compartmentId must be the tenancy OCID');
+  };
+  const findPolicy = (id) => {
+    const policy = state.policies.find((p) => p.id === id && p.lifecycleState !== 'DELETED');
+    if (!policy) throw notFound();
+    return policy;
+  };
+  const checkIfMatch = (req, resource) => {
+    const ifMatch = req.get('if-match');
+    if (ifMatch && ifMatch !== etagOf(resource)) {
+      throw new OciError(412, 'NoEtagMatch', "The resource's etag does not match the value specified in the if-match header.");
+    }
+  };
+  const checkStatements = (statements) => {
+    if (!Array.isArray(statements) || statements.length === 0) {
+      throw new OciError(400, 'InvalidParameter', 'statements must contain at least one statement');
+    }
+    if (statements.length > MAX_STATEMENTS) {
+      throw new OciError(400, 'InvalidParameter', `A policy can have at most ${MAX_STATEMENTS} statements`);
+    }
+    const invalid = parsePolicyStatements(statements).find((e) => e.error);
+    if (invalid) throw new OciError(400, 'InvalidParameter', `Invalid policy statement: ${invalid.statement}`);
+  };
+
+  router.get('/compartments', (req, res) => {
+    const { compartmentId, lifecycleState } = req.query;
+    requireCompartment(compartmentId);
+    const inSubtree = req.query.compartmentIdInSubtree === 'true';
+    if (inSubtree && compartmentId !== state.tenancyId) {
+      throw new OciError(400, 'InvalidParameter', 'compartmentIdInSubtree can only be used with the tenancy OCID');
+    }
+    const items = state.compartments
+      .filter((c) => inSubtree || c.compartmentId === compartmentId)
+      .filter((c) => !lifecycleState || c.lifecycleState === lifecycleState)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    sendPage(req, res, items);
+  });
+
+  router.get('/compartments/:compartmentId', (req, res) => {
+    const { compartmentId } = req.params;
+    if (compartmentId === state.tenancyId) {
+      return res.json({
+        id: state.tenancyId,
+        compartmentId: state.tenancyId,
+        name: state.tenancyName,
+        description: state.tenancyName,
+        lifecycleState: 'ACTIVE',
+        timeCreated: new Date(0).toISOString()
+      });
+    }
+    const compartment = findCompartment(compartmentId);
+    if (!compartment) throw notFound();
+    res.set('etag', etagOf(compartment)).json(compartment);
+  });
+
+  router.get('/policies', (req, res) => {
+    requireCompartment(req.query.compartmentId);
+    const items = state.policies
+      .filter((p) => p.compartmentId === req.query.compartmentId && p.lifecycleState !== 'DELETED')
+      .sort((a, b) => a.name.localeCompare(b.name));
+    sendPage(req, res, items);
+  });
+
+  router.get('/policies/:policyId', (req, res) => {
+    const policy = findPolicy(req.params.policyId);
+    res.set('etag', etagOf(policy)).json(policy);
+  });
+
+  router.post('/policies', (req, res) => {
+    const { compartmentId, name, description, statements, versionDate, freeformTags, definedTags } = req.body || {};
+    requireCompartment(compartmentId);
+    if (!name || !description) throw new OciError(400, 'InvalidParameter', 'name and description are required');
+    checkStatements(statements);
+    // Policy names are unique within the tenancy
+    if (state.policies.some((p) => p.lifecycleState !== 'DELETED' && p.name.toLowerCase() === name.toLowerCase())) {
+      throw new OciError(409, 'PolicyAlreadyExists', `Policy '${name}' already exists`);
+    }
+    const policy = {
+      id: newOcid('policy'),
+      compartmentId,
+      name,
+      description,
+      statements,
+      versionDate: versionDate || null,
+      lifecycleState: 'ACTIVE',
+      timeCreated: new Date().toISOString(),
+      freeformTags: freeformTags || {},
+      definedTags: definedTags || {}
+    };
+    state.policies.push(policy);
+    logger.info({ policyId: policy.id, compartmentId }, 'Mock policy created');
+    res.set('etag', etagOf(policy)).json(policy);
+  });
+
+  router.put('/policies/:policyId', (req, res) => {
+    const policy = findPolicy(req.params.policyId);
+    checkIfMatch(req, policy);
+    const details = req.body || {};
+    if (details.statements !== undefined) checkStatements(details.statements);
+    for (const key of ['description', 'statements', 'versionDate', 'freeformTags', 'definedTags']) {
+      if (details[key] !== undefined) policy[key] = details[key];
+    }
+    logger.info({ policyId: policy.id }, 'Mock policy updated');
+    res.set('etag', etagOf(policy)).json(policy);
+  });
+
+  router.delete('/policies/:policyId', (req, res) => {
+    const policy = findPolicy(req.params.policyId);
+    checkIfMatch(req, policy);
+    policy.lifecycleState = 'DELETED';
+    logger.info({ policyId: policy.id }, 'Mock policy deleted');
+    res.status(204).end();
+  });
+
+  router.get('/groups', (req, res) => {
+    requireTenancy(req.query.compartmentId);
+    sendPage(req, res, state.groups);
+  });
+
+  router.get('/dynamicGroups', (req, res) => {
+    requireTenancy(req.query.compartmentId);
+    sendPage(req, res, state.dynamicGroups);
+  });
+
+  router.get('/users', (req, res) => {
+    requireTenancy(req.query.compartmentId);
+    sendPage(req, res, state.users);
+  });
+
+  router.get('/userGroupMemberships', (req, res) => {
+    const { compartmentId, userId, groupId } = req.query;
+    requireTenancy(compartmentId);
+    sendPage(req, res, state.memberships.filter((m) => (!userId || m.userId === userId) && (!groupId || m.groupId === groupId)));
+  });
+
+  router.get('/tenancies/:tenancyId/regionSubscriptions', (req, res) => {
+    if (req.params.tenancyId !== state.tenancyId) throw notFound();
+    res.json(state.regions);
+  });
+
+  router.get('/domains', (req, res) => {
+    requireCompartment(req.query.compartmentId);
+    const domains = state.domains.length > 0 ? state.domains : [{
+      id: 'ocid1.domain.oc1..aaaaaaaamockdefaultdomain',
+      compartmentId: state.tenancyId,
+      displayName: 'Default',
+      type: 'DEFAULT',
+      url: options.domainUrl || '',
+      lifecycleState: 'ACTIVE'
+    }];
+    sendPage(req, res, domains.filter((d) => d.compartmentId === req.query.compartmentId
+      && (!req.query.lifecycleState || d.lifecycleState === req.query.lifecycleState)));
+  });
+
+  app.use('/20160918', router);
+
+  // Anything else does not exist in this API (or in the mock)
+  app.use((req, res, next) => next(notFound()));
+
+  // Handlers throw OciError synchronously, which Express passes here; anything else (e.g. malformed JSON) is mapped
+  app.use((err, req, res, next) => {
+    if (!(err instanceof OciError)) {
+      logger.error({ err }, 'Mock Identity error');
+      err = new OciError(err.status === 400 ? 400 : 500, err.status === 400 ? 'InvalidParameter' : 'InternalServerError', err.message);
+    }
+    res.status(err.status).json({ code: err.code, message: err.message });
+  });
+
+  return app;
+}
+
+/**
+ * Utility: Value of a "--name value" command-line option (or the fallback)
+ */
+function optionValue(argv, name, fallback) {
+  const index = argv.indexOf(name);
+  return index !== -1 && argv[index + 1] ? argv[index + 1] : fallback;
+}
+
+// Command line: node mockIdentityServer.js [--fixture FILE] [--port PORT]
+if (require.main === module) {
+  const fixturePath = path.resolve(optionValue(process.argv, '--fixture', process.env.MOCK_IDENTITY_FIXTURE || DEFAULT_FIXTURE));
+  const port = Number(optionValue(process.argv, '--port', process.env.MOCK_IDENTITY_PORT || 4100));
+  const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  const app = createMockIdentityApp(fixture, { domainUrl: `http://localhost:${port}` });
+  app.listen(port, () => {
+    const { state } = app.locals;
+    logger.info(
+      { fixture: fixturePath, tenancyId: state.tenancyId, compartments: state.compartments.length, policies: state.policies.length },
+      `Mock OCI Identity API on http://localhost:${port} (set OCI_IDENTITY_ENDPOINT=http://localhost:${port} for the backend)`
+    );
+  });
+}
+
+module.exports = {
+  createState,
+  createMockIdentityApp,
+};
@@ -0,0 +1,165 @@
+/*
+  backend/policyExport.js
+
+  Statement-level exports of IAM policies for audits.
+  - One row per statement: tenancy, compartment path, policy name and OCID, statement number and text,
+    plus the parsed statement type, verb (or permission list), subjects, resource type and location.
+  - Rendered as CSV (RFC 4180, UTF-8 with BOM so spreadsheet programs detect the encoding), Markdown
+    tables or XLSX (see xlsxWriter.js).
+*/
+
+const { displayPath } = require('./tenancyModel');
+const { buildXlsx } = require('./xlsxWriter');
+
+// Export columns in output order: row property and header
+const EXPORT_COLUMNS = [
+  { key: 'tenancyId', header: 'Tenancy' },
+  { key: 'compartmentPath', header: 'Compartment' },
+  { key: 'policyName', header: 'Policy' },
+  { key: 'policyId', header: 'Policy OCID' },
+  { key: 'statementNumber', header: 'Statement #' },
+  { key: 'statement', header: 'Statement' },
+  { key: 'type', header: 'Type' },
+  { key: 'verb', header: 'Verb' },
+  { key: 'subject', header: 'Subject' },
+  { key: 'resource', header: 'Resource' },
+  { key: 'location', header: 'Location' },
+  { key: 'parseError', header: 'Parse Error' }
+];
+
+// Supported formats: file extension and response content type (tf is rendered per policy by terraformExport.js)
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  tf: { extension: 'tf', contentType: 'text/plain; charset=utf-8' }
+};
+
+/**
+ * Utility: Subject list of a parsed statement as written in policy syntax
+ */
+function formatSubjects(subjects) {
+  return (subjects || []).map((s) => {
+    if (s.type === 'any-user' || s.type === 'any-group') return s.type;
+    if (s.id) return `${s.type} id ${s.id}`;
+    return `${s.type} ${s.domain ? `${s.domain}/` : ''}${s.name}`;
+  }).join(', ');
+}
+
+/**
+ * Utility: Location (or tenancy reference) of a parsed statement as written in policy syntax
+ */
+function formatLocation(location) {
+  if (!location) return '';
+  if (location.type === 'any-tenancy') return 'any-tenancy';
+  if (location.type === 'tenancy') return location.alias ? `tenancy ${location.alias}` : 'tenancy';
+  return location.id ? `compartment id ${location.id}` : `compartment ${location.name}`;
+}
+
+/**
+ * Utility: Export columns of one parsed statement entry (see policyParser.parsePolicyStatements)
+ */
+function parsedColumns(entry) {
+  const parsed = entry.parsed;
+  if (!parsed) {
+    return { type: '', verb: '', subject: '', resource: '', location: '', parseError: entry.error ? entry.error.message : '' };
+  }
+  if (parsed.type === 'define') {
+    return {
+      type: 'define',
+      verb: '',
+      subject: `${parsed.entityType} ${parsed.alias}`,
+      resource: '',
+      location: parsed.ocid,
+      parseError: ''
+    };
+  }
+  const subject = formatSubjects(parsed.subjects);
+  return {
+    type: parsed.type,
+    verb: parsed.permissions ? `{${parsed.permissions.join(', ')}}` : parsed.verb,
+    // Admitted subjects belong to the other tenancy
+    subject: parsed.type === 'admit' ? `${subject} of ${formatLocation(parsed.tenancy)}` : subject,
+    resource: parsed.resourceType || '',
+    location: formatLocation(parsed.location),
+    parseError: ''
+  };
+}
+
+/**
+ * Lists one export row per statement of the given policies.
+ * @param {Object} tenancy - { tenancyId, compartmentIndex } (from loadTenancy or loadAncestry).
+ * @param {Object[]} policies - Policies with parsedStatements.
+ * @returns {Object[]} Rows keyed by EXPORT_COLUMNS keys, ordered by compartment path, policy name and statement.
+ */
+function statementRows(tenancy, policies) {
+  const rows = [];
+  for (const policy of policies) {
+    const compartment = tenancy.compartmentIndex.get(policy.compartmentId);
+    for (const entry of policy.parsedStatements || []) {
+      rows.push({
+        tenancyId: tenancy.tenancyId,
+        compartmentPath: displayPath(compartment ? compartment.path : ''),
+        policyName: policy.name,
+        policyId: policy.id,
+        statementNumber: entry.index + 1,
+        statement: entry.statement,
+        ...parsedColumns(entry)
+      });
+    }
+  }
+  return rows.sort((a, b) => (
+    a.compartmentPath.localeCompare(b.compartmentPath)
+    || a.policyName.localeCompare(b.policyName)
+    || a.statementNumber - b.statementNumber
+  ));
+}
+
+/**
+ * Utility: One CSV field, quoted when needed
+ * Text that a spreadsheet would run as a formula (leading = + - @, or a tab or carriage return before one) is prefixed
+ * with an apostrophe.
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Utility: One Markdown table cell (pipes escaped, line breaks flattened)
+ */
+function markdownCell(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders export rows in one of the statement-level EXPORT_FORMATS.
+ * @param {Object[]} rows - Rows from statementRows.
+ * @param {string} format - 'csv' | 'xlsx' | 'md'.
+ * @param {string} title - Heading of the Markdown document.
+ * @returns {string|Buffer} File contents (Buffer for xlsx).
+ */
+function renderExport(rows, format, title) {
+  const headers = EXPORT_COLUMNS.map((c) => c.header);
+  const values = rows.map((row) => EXPORT_COLUMNS.map((c) => row[c.key]));
+  if (format === 'xlsx') return buildXlsx('Statements', headers, values);
+  if (format === 'md') {
+    return [
+      `# ${title}`,
+      '',
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...values.map((v) => `| ${v.map(markdownCell).join(' | ')} |`),
+      ''
+    ].join('\n');
+  }
+  return `\uFEFF${[headers, ...values].map((v) => v.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  statementRows,
+  renderExport,
+};
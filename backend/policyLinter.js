@@ -0,0 +1,254 @@
+/*
+  backend/policyLinter.js
+
+  Lint engine over parsed policy statements of a whole tenancy.
+  - RULES is the rule catalogue; each rule has an id, description, default severity and default options.
+  - Rules can be enabled/disabled and re-configured in lint-rules.json (path override: LINT_CONFIG).
+  - Findings reference the policy and, for statement-level rules, the statement index.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { displayPath, resolveLocation } = require('./tenancyModel');
+const { normalizeStatement } = require('./snapshotDiff');
+const { isDefaultDomain, findIdentity } = require('./identityDomains');
+
+// Rule configuration file - configurable with LINT_CONFIG, defaults to backend/lint-rules.json
+const LINT_CONFIG_PATH = process.env.LINT_CONFIG || path.join(__dirname, 'lint-rules.json');
+
+/**
+ * Rule catalogue.
+ * check(context, options) returns findings without severity/ruleId: { policy, statementIndex, message }.
+ * context: { tenancyId, policies (with parsedStatements), compartmentIndex, domains?, groups?, dynamicGroups? }
+ */
+const RULES = [
+  {
+    id: 'parse-error',
+    description: 'Statement does not match the policy grammar.',
+    severity: 'error',
+    options: {},
+    check(context) {
+      return eachStatement(context, (policy, s) => (
+        s.error ? `Cannot parse statement: ${s.error.message} (position ${s.error.position})` : null
+      ));
+    }
+  },
+  {
+    id: 'manage-all-resources-in-tenancy',
+    description: "'manage all-resources in tenancy' granted to a subject other than the administrator groups.",
+    severity: 'error',
+    options: { adminGroups: ['Administrators'] },
+    check(context, options) {
+      const admins = new Set(options.adminGroups.map((g) => g.toLowerCase()));
+      return eachStatement(context, (policy, { parsed }) => {
+        if (!parsed || parsed.type !== 'allow' || parsed.location.type !== 'tenancy') return null;
+        if (parsed.verb !== 'manage' || parsed.resourceType !== 'all-resources') return null;
+        const offenders = parsed.subjects.filter((entry) => !(
+          entry.type === 'group' && entry.name && isDefaultDomain(entry) && admins.has(entry.name.toLowerCase())
+        ));
+        if (offenders.length === 0) return null;
+        const names = offenders.map((e) => (e.name ? `${e.type} ${e.name}` : e.type)).join(', ');
+        return `Full tenancy administration granted to ${names}`;
+      });
+    }
+  },
+  {
+    id: 'any-user-without-condition',
+    description: "'any-user' (or 'any-group') granted access without a where clause.",
+    severity: 'warning',
+    options: {},
+    check(context) {
+      return eachStatement(context, (policy, { parsed }) => {
+        if (!parsed || (parsed.type !== 'allow' && parsed.type !== 'admit') || parsed.conditions) return null;
+        const broad = parsed.subjects.find((e) => e.type === 'any-user' || e.type === 'any-group');
+        return broad ? `${broad.type} is granted access with no where condition` : null;
+      });
+    }
+  },
+  {
+    id: 'unknown-compartment',
+    description: 'Statement location refers to a compartment that does not exist (or is not active), or that is outside the policy\'s compartment.',
+    severity: 'warning',
+    options: {},
+    check(context) {
+      const { tenancyId, compartmentIndex } = context;
+      return eachStatement(context, (policy, { parsed }) => {
+        if (!parsed || (parsed.type !== 'allow' && parsed.type !== 'admit')) return null;
+        if (parsed.location.type !== 'compartment') return null;
+        if (resolveLocation(parsed.location, policy.compartmentId, compartmentIndex, tenancyId)) return null;
+        if (parsed.location.id && compartmentIndex.has(parsed.location.id)) {
+          return `Compartment ${parsed.location.id} is not in the policy's compartment or below it`;
+        }
+        return `Compartment ${parsed.location.id || parsed.location.name} not found`;
+      });
+    }
+  },
+  {
+    id: 'unknown-group',
+    description: 'Statement refers to a group, dynamic group or identity domain that does not exist.',
+    severity: 'warning',
+    options: {},
+    check(context) {
+      // Needs group lists (not present in older snapshots)
+      if (!context.groups || !context.dynamicGroups) return [];
+      // Without the domain list (older snapshots) only Default-domain subjects can be checked
+      const domains = context.domains ? new Set(context.domains.map((d) => d.name.toLowerCase())) : null;
+      return eachStatement(context, (policy, { parsed }) => {
+        // Admit subjects live in the other tenancy
+        if (!parsed || (parsed.type !== 'allow' && parsed.type !== 'endorse')) return null;
+        const missing = parsed.subjects.filter((e) => {
+          if (e.type !== 'group' && e.type !== 'dynamic-group') return false;
+          if (!e.id && !isDefaultDomain(e) && !domains) return false;
+          return !findIdentity(context, e);
+        });
+        if (missing.length === 0) return null;
+        return `Unknown ${missing.map((e) => {
+          if (e.id) return `${e.type} ${e.id}`;
+          if (!isDefaultDomain(e) && !domains.has(e.domain.toLowerCase())) return `identity domain ${e.domain}`;
+          return `${e.type} ${e.domain ? `${e.domain}/` : ''}${e.name}`;
+        }).join(', ')}`;
+      });
+    }
+  },
+  {
+    id: 'duplicate-statement',
+    description: 'The same statement appears more than once (within or across policies).',
+    severity: 'info',
+    options: {},
+    check(context) {
+      const seen = new Map();
+      const findings = [];
+      for (const policy of context.policies) {
+        for (const s of policy.parsedStatements || []) {
+          const key = normalizeStatement(s.statement).toLowerCase();
+          const first = seen.get(key);
+          if (first) {
+            const where = first.policy === policy ? 'earlier in this policy' : `in policy ${first.policy.name}`;
+            findings.push({ policy, statementIndex: s.index, message: `Duplicate of statement #${first.index + 1} ${where}` });
+          } else {
+            seen.set(key, { policy, index: s.index });
+          }
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'deprecated-name',
+    description: 'Statement uses a deprecated verb or resource type.',
+    severity: 'warning',
+    // Names are matched case-insensitively. OCI has not deprecated any of its four verbs so far, so `verbs`
+    // ({ verb: replacement }) is empty by default; configure it to discourage a verb (e.g. { "manage": "use" }).
+    options: {
+      resourceTypes: {
+        'autonomous-data-warehouse-family': 'autonomous-database-family',
+        'autonomous-transaction-processing-family': 'autonomous-database-family',
+        'autonomous-data-warehouse': 'autonomous-databases',
+        'autonomous-transaction-processing': 'autonomous-databases'
+      },
+      verbs: {}
+    },
+    check(context, options) {
+      const lowerKeys = (names) => Object.fromEntries(Object.entries(names || {}).map(([k, v]) => [k.toLowerCase(), v]));
+      const verbs = lowerKeys(options.verbs);
+      const resourceTypes = lowerKeys(options.resourceTypes);
+      return eachStatement(context, (policy, { parsed }) => {
+        if (!parsed || !parsed.verb) return null;
+        const verb = parsed.verb.toLowerCase();
+        const resourceType = parsed.resourceType.toLowerCase();
+        const messages = [];
+        if (Object.hasOwn(verbs, verb)) {
+          messages.push(`verb '${verb}' is deprecated; use '${verbs[verb]}'`);
+        }
+        if (Object.hasOwn(resourceTypes, resourceType)) {
+          messages.push(`resource type '${resourceType}' is deprecated; use '${resourceTypes[resourceType]}'`);
+        }
+        return messages.length > 0 ? messages.join('; ') : null;
+      });
+    }
+  }
+];
+
+/**
+ * Utility: Run a per-statement check over every statement of every policy
+ * check(policy, parsedStatement) returns a message or null
+ */
+function eachStatement(context, check) {
+  const findings = [];
+  for (const policy of context.policies) {
+    for (const s of policy.parsedStatements || []) {
+      const message = check(policy, s);
+      if (message) findings.push({ policy, statementIndex: s.index, message });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Loads the rule configuration file.
+ * Format: { "rules": { "<rule-id>": { "enabled": bool, "severity": "error|warning|info", "options": {...} } } }
+ * @param {string} [configPath] - Path to the config file.
+ * @returns {Object} Parsed config ({ rules: {} } if the file is missing).
+ * @throws {Error} If the file exists but is not valid JSON.
+ */
+function loadLintConfig(configPath = LINT_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) return { rules: {} };
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  return { rules: config.rules || {} };
+}
+
+/**
+ * Resolves the effective settings of every rule (catalogue defaults overlaid with config).
+ * @param {Object} config - Config from loadLintConfig.
+ * @returns {Object[]} [{ id, description, enabled, severity, options }]
+ */
+function resolveRules(config) {
+  return RULES.map((rule) => {
+    const override = config.rules[rule.id] || {};
+    return {
+      id: rule.id,
+      description: rule.description,
+      enabled: override.enabled !== false,
+      severity: override.severity || rule.severity,
+      options: { ...rule.options, ...(override.options || {}) }
+    };
+  });
+}
+
+/**
+ * Lints all policies of a tenancy.
+ * @param {Object} context - { tenancyId, policies (with parsedStatements), compartmentIndex, groups?, dynamicGroups? }
+ * @param {Object} config - Config from loadLintConfig.
+ * @returns {Object[]} Findings: { ruleId, severity, message, policyId, policyName, compartmentId, compartmentPath,
+ *   statementIndex, statement } (statementIndex/statement are null for policy-level findings).
+ */
+function lintPolicies(context, config) {
+  const settings = new Map(resolveRules(config).map((r) => [r.id, r]));
+  const findings = [];
+  for (const rule of RULES) {
+    const { enabled, severity, options } = settings.get(rule.id);
+    if (!enabled) continue;
+    for (const f of rule.check(context, options)) {
+      const compartment = context.compartmentIndex.get(f.policy.compartmentId);
+      findings.push({
+        ruleId: rule.id,
+        severity,
+        message: f.message,
+        policyId: f.policy.id,
+        policyName: f.policy.name,
+        compartmentId: f.policy.compartmentId,
+        compartmentPath: displayPath(compartment ? compartment.path : ''),
+        statementIndex: f.statementIndex ?? null,
+        statement: f.statementIndex != null ? f.policy.statements[f.statementIndex] : null
+      });
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  RULES,
+  loadLintConfig,
+  resolveRules,
+  lintPolicies,
+};
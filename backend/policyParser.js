@@ -0,0 +1,422 @@
+/*
+  backend/policyParser.js
+
+  Parser for OCI IAM policy statements.
+  - Tokenizes a raw statement string (keywords are case-insensitive, names may be quoted).
+  - Produces a structured model for the four statement forms:
+      Allow   <subject> to <verb> <resource-type> | {PERMISSIONS} in <location> [where <conditions>]
+      Endorse <subject> to <verb> <resource-type> | {PERMISSIONS} in tenancy <alias> | any-tenancy [where ...]
+      Admit   <subject> of tenancy <alias> | any-tenancy to <verb> <resource-type> | {PERMISSIONS} in <location> [where ...]
+      Define  tenancy | group | dynamic-group | compartment <alias> as <ocid>
+  - Unparseable statements raise a PolicyParseError carrying the character offset of the problem.
+  - Every consumed token is tagged with its grammatical role (verb, subject, resource, ...) so
+    clients can render highlighted statements without re-implementing the grammar.
+*/
+
+const VERBS = ['inspect', 'read', 'use', 'manage'];
+const DEFINE_ENTITY_TYPES = ['tenancy', 'group', 'dynamic-group', 'compartment'];
+const CONDITION_WORD_OPERATORS = ['before', 'after', 'between', 'in'];
+
+/**
+ * Error raised for a statement that does not match the policy grammar.
+ * `position` is the 0-based character offset in the statement where parsing failed.
+ */
+class PolicyParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'PolicyParseError';
+    this.position = position;
+  }
+}
+
+/**
+ * Utility: Split a statement into tokens
+ * Token types: word, string (quoted), pattern (/.../), punct ({ } ( ) , = != /)
+ * Each token records its start/end offsets in the source text.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if (ch === "'" || ch === '"') {
+      const end = text.indexOf(ch, i + 1);
+      if (end === -1) throw new PolicyParseError('Unterminated quoted string', start);
+      tokens.push({ type: 'string', value: text.slice(i + 1, end), start, end: end + 1 });
+      i = end + 1;
+      continue;
+    }
+    if (ch === '!') {
+      if (text[i + 1] !== '=') throw new PolicyParseError("Unexpected character '!'", start);
+      tokens.push({ type: 'punct', value: '!=', start, end: i + 2 });
+      i += 2;
+      continue;
+    }
+    if ('{}(),='.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, start, end: i + 1 });
+      i++;
+      continue;
+    }
+    if (ch === '/') {
+      // Directly after a quoted string this separates domain and name ('Domain'/'Group'),
+      // otherwise it opens a pattern value such as /bucket-*/
+      const prev = tokens[tokens.length - 1];
+      if (prev && prev.type === 'string' && prev.end === i) {
+        tokens.push({ type: 'punct', value: '/', start, end: i + 1 });
+        i++;
+        continue;
+      }
+      const end = text.indexOf('/', i + 1);
+      if (end === -1) throw new PolicyParseError('Unterminated pattern', start);
+      tokens.push({ type: 'pattern', value: text.slice(i + 1, end), start, end: end + 1 });
+      i = end + 1;
+      continue;
+    }
+    while (i < text.length && !/[\s'"{}(),=!]/.test(text[i])) i++;
+    tokens.push({ type: 'word', value: text.slice(start, i), start, end: i });
+  }
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser over the token list of a single statement.
+ */
+class StatementParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  // Consume the next token, tagging it with its role (and extra fields such as subjectIndex)
+  next(role, extra) {
+    const token = this.tokens[this.pos++];
+    if (token) Object.assign(token, { role }, extra);
+    return token;
+  }
+
+  // Tokens with their roles; tokens not reached before a parse error have role 'text'
+  roleTokens() {
+    return this.tokens.map(({ start, end, role, subjectIndex }) => (
+      subjectIndex === undefined ? { start, end, role: role || 'text' } : { start, end, role, subjectIndex }
+    ));
+  }
+
+  fail(message, token = this.peek()) {
+    throw new PolicyParseError(message, token ? token.start : this.text.length);
+  }
+
+  describe(token) {
+    return token ? `'${this.text.slice(token.start, token.end)}'` : 'end of statement';
+  }
+
+  isKeyword(keyword, token = this.peek()) {
+    return !!token && token.type === 'word' && token.value.toLowerCase() === keyword;
+  }
+
+  isPunct(value, token = this.peek()) {
+    return !!token && token.type === 'punct' && token.value === value;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.isKeyword(keyword)) this.fail(`Expected '${keyword}' but found ${this.describe(this.peek())}`);
+    return this.next('keyword');
+  }
+
+  expectPunct(value) {
+    if (!this.isPunct(value)) this.fail(`Expected '${value}' but found ${this.describe(this.peek())}`);
+    return this.next('punct');
+  }
+
+  expectName(what, role, extra) {
+    const token = this.peek();
+    if (!token || (token.type !== 'word' && token.type !== 'string')) {
+      this.fail(`Expected ${what} but found ${this.describe(token)}`);
+    }
+    return this.next(role, extra).value;
+  }
+
+  parse() {
+    const first = this.peek();
+    if (!first) this.fail('Empty statement');
+    let result;
+    if (this.isKeyword('allow')) result = this.parseAllow();
+    else if (this.isKeyword('endorse')) result = this.parseEndorse();
+    else if (this.isKeyword('admit')) result = this.parseAdmit();
+    else if (this.isKeyword('define')) result = this.parseDefine();
+    else this.fail(`Expected 'Allow', 'Endorse', 'Admit' or 'Define' but found ${this.describe(first)}`);
+    if (this.peek()) this.fail(`Unexpected ${this.describe(this.peek())}`);
+    return result;
+  }
+
+  parseAllow() {
+    this.next('keyword');
+    const subjects = this.parseSubjects();
+    this.expectKeyword('to');
+    const grant = this.parseGrant();
+    this.expectKeyword('in');
+    const location = this.parseLocation();
+    return { type: 'allow', subjects, ...grant, location, conditions: this.parseWhere() };
+  }
+
+  parseEndorse() {
+    this.next('keyword');
+    const subjects = this.parseSubjects();
+    this.expectKeyword('to');
+    const grant = this.parseGrant();
+    this.expectKeyword('in');
+    const location = this.parseTenancyReference();
+    return { type: 'endorse', subjects, ...grant, location, conditions: this.parseWhere() };
+  }
+
+  parseAdmit() {
+    this.next('keyword');
+    const subjects = this.parseSubjects();
+    this.expectKeyword('of');
+    const tenancy = this.parseTenancyReference();
+    this.expectKeyword('to');
+    const grant = this.parseGrant();
+    this.expectKeyword('in');
+    const location = this.parseLocation();
+    return { type: 'admit', subjects, tenancy, ...grant, location, conditions: this.parseWhere() };
+  }
+
+  parseDefine() {
+    this.next('keyword');
+    const token = this.peek();
+    const entityType = token && token.type === 'word' ? token.value.toLowerCase() : null;
+    if (!DEFINE_ENTITY_TYPES.includes(entityType)) {
+      this.fail(`Expected one of ${DEFINE_ENTITY_TYPES.join(', ')} but found ${this.describe(token)}`);
+    }
+    this.next('keyword');
+    const alias = this.expectName(`${entityType} alias`, 'alias');
+    this.expectKeyword('as');
+    const ocid = this.expectName('OCID', 'ocid');
+    return { type: 'define', entityType, alias, ocid };
+  }
+
+  // Subject list: group A, group 'B', dynamic-group id ocid1..., any-user, service objectstorage, ...
+  parseSubjects() {
+    const subjects = [];
+    let previousType = null;
+    do {
+      if (subjects.length > 0) this.next('punct'); // the comma
+      const token = this.peek();
+      const word = token && token.type === 'word' ? token.value.toLowerCase() : null;
+      if (word === 'any-user' || word === 'any-group') {
+        this.next('subject-type', { subjectIndex: subjects.length });
+        subjects.push({ type: word });
+        previousType = null;
+      } else if (word === 'group' || word === 'dynamic-group' || word === 'service') {
+        this.next('subject-type');
+        subjects.push(this.parseSubjectName(word, subjects.length));
+        previousType = word;
+      } else if (previousType && previousType !== 'service' && token && (token.type === 'string' || token.type === 'word')) {
+        // "group A, B" - type keyword carried over from the previous entry
+        subjects.push(this.parseSubjectName(previousType, subjects.length));
+      } else if (previousType === 'service' && token && token.type === 'word') {
+        subjects.push(this.parseSubjectName(previousType, subjects.length));
+      } else {
+        this.fail(`Expected subject (group, dynamic-group, service, any-user or any-group) but found ${this.describe(token)}`);
+      }
+    } while (this.isPunct(','));
+    return subjects;
+  }
+
+  parseSubjectName(type, subjectIndex) {
+    const subjectRef = { subjectIndex };
+    if (type !== 'service' && this.isKeyword('id')) {
+      this.next('keyword');
+      return { type, id: this.expectName(`${type} OCID`, 'subject', subjectRef) };
+    }
+    const token = this.peek();
+    const first = this.expectName(`${type} name`, 'subject', subjectRef);
+    if (type === 'service') return { type, name: first };
+    if (this.isPunct('/')) {
+      this.next('subject', subjectRef);
+      return { type, domain: first, name: this.expectName(`${type} name`, 'subject', subjectRef) };
+    }
+    if (token.type === 'word' && first.includes('/')) {
+      const idx = first.indexOf('/');
+      return { type, domain: first.slice(0, idx), name: first.slice(idx + 1) };
+    }
+    return { type, name: first };
+  }
+
+  // Either "<verb> <resource-type>" or "{PERMISSION, ...}"
+  parseGrant() {
+    if (this.isPunct('{')) {
+      this.next('punct');
+      const permissions = [];
+      do {
+        if (permissions.length > 0) this.next('punct'); // the comma
+        const token = this.peek();
+        if (!token || token.type !== 'word') this.fail(`Expected permission name but found ${this.describe(token)}`);
+        permissions.push(this.next('permission').value);
+      } while (this.isPunct(','));
+      this.expectPunct('}');
+      return { verb: null, resourceType: null, permissions };
+    }
+    const token = this.peek();
+    const verb = token && token.type === 'word' ? token.value.toLowerCase() : null;
+    if (!VERBS.includes(verb)) {
+      this.fail(`Expected verb (${VERBS.join(', ')}) or permission list but found ${this.describe(token)}`);
+    }
+    this.next('verb');
+    const resourceToken = this.peek();
+    if (!resourceToken || resourceToken.type !== 'word' || this.isKeyword('in')) {
+      this.fail(`Expected resource type but found ${this.describe(resourceToken)}`);
+    }
+    return { verb, resourceType: this.next('resource').value.toLowerCase(), permissions: null };
+  }
+
+  // "tenancy" | "compartment <name|path>" | "compartment id <ocid>"
+  parseLocation() {
+    if (this.isKeyword('tenancy')) {
+      this.next('location-type');
+      return { type: 'tenancy' };
+    }
+    if (this.isKeyword('compartment')) {
+      this.next('location-type');
+      if (this.isKeyword('id')) {
+        this.next('keyword');
+        return { type: 'compartment', id: this.expectName('compartment OCID', 'compartment') };
+      }
+      const name = this.expectName('compartment name', 'compartment');
+      return { type: 'compartment', name, path: name.split(':') };
+    }
+    return this.fail(`Expected 'tenancy' or 'compartment' but found ${this.describe(this.peek())}`);
+  }
+
+  // "tenancy <alias>" | "any-tenancy" (used by endorse/admit)
+  parseTenancyReference() {
+    if (this.isKeyword('any-tenancy')) {
+      this.next('location-type');
+      return { type: 'any-tenancy' };
+    }
+    this.expectKeyword('tenancy');
+    return { type: 'tenancy', alias: this.expectName('tenancy alias', 'tenancy-alias') };
+  }
+
+  parseWhere() {
+    if (!this.isKeyword('where')) return null;
+    this.next('keyword');
+    return this.parseConditionExpression();
+  }
+
+  // "any {...}" | "all {...}" | single condition
+  parseConditionExpression() {
+    if ((this.isKeyword('any') || this.isKeyword('all')) && this.isPunct('{', this.peek(1))) {
+      const type = this.next('keyword').value.toLowerCase();
+      this.next('punct');
+      const conditions = [];
+      do {
+        if (conditions.length > 0) this.next('punct'); // the comma
+        conditions.push(this.parseConditionExpression());
+      } while (this.isPunct(','));
+      this.expectPunct('}');
+      return { type, conditions };
+    }
+    return this.parseCondition();
+  }
+
+  parseCondition() {
+    const variableToken = this.peek();
+    if (!variableToken || variableToken.type !== 'word') {
+      this.fail(`Expected condition variable but found ${this.describe(variableToken)}`);
+    }
+    const variable = this.next('variable').value;
+    const opToken = this.peek();
+    let operator;
+    if (this.isPunct('=') || this.isPunct('!=')) {
+      operator = this.next('operator').value;
+    } else if (this.isKeyword('not') && this.isKeyword('in', this.peek(1))) {
+      this.next('operator');
+      this.next('operator');
+      operator = 'not in';
+    } else if (opToken && opToken.type === 'word' && CONDITION_WORD_OPERATORS.includes(opToken.value.toLowerCase())) {
+      operator = this.next('operator').value.toLowerCase();
+    } else {
+      this.fail(`Expected operator (=, !=, before, after, between, in, not in) but found ${this.describe(opToken)}`);
+    }
+
+    if (operator === 'between') {
+      const low = this.parseValue();
+      this.expectKeyword('and');
+      return { type: 'condition', variable, operator, values: [low, this.parseValue()] };
+    }
+    if (operator === 'in' || operator === 'not in') {
+      this.expectPunct('(');
+      const values = [];
+      do {
+        if (values.length > 0) this.next('punct'); // the comma
+        values.push(this.parseValue());
+      } while (this.isPunct(','));
+      this.expectPunct(')');
+      return { type: 'condition', variable, operator, values };
+    }
+    return { type: 'condition', variable, operator, value: this.parseValue() };
+  }
+
+  // Value: 'quoted' | /pattern/ | bare identifier (e.g. another variable)
+  parseValue() {
+    const token = this.peek();
+    if (token && token.type === 'string') return { kind: 'string', value: this.next('value').value };
+    if (token && token.type === 'pattern') return { kind: 'pattern', value: this.next('value').value };
+    if (token && token.type === 'word') return { kind: 'identifier', value: this.next('value').value };
+    return this.fail(`Expected value but found ${this.describe(token)}`);
+  }
+}
+
+/**
+ * Parses a single policy statement into its structured model.
+ * @param {string} statement - Raw statement text.
+ * @returns {Object} Statement model (type: allow | endorse | admit | define).
+ * @throws {PolicyParseError} If the statement does not match the grammar.
+ */
+function parseStatement(statement) {
+  return new StatementParser(String(statement)).parse();
+}
+
+/**
+ * Parses every statement of a policy without throwing.
+ * @param {string[]} statements - Raw statements (policy.statements).
+ * @returns {Object[]} One entry per statement: { index, statement, parsed, error, tokens }
+ *   where error is { message, position } for unparseable statements and null otherwise, and
+ *   tokens is [{ start, end, role, subjectIndex? }] (role: keyword, subject-type, subject, verb, resource,
+ *   permission, location-type, compartment, tenancy-alias, alias, ocid, variable, operator, value, punct, text).
+ */
+function parsePolicyStatements(statements) {
+  return (statements || []).map((statement, index) => {
+    let parser = null;
+    try {
+      parser = new StatementParser(String(statement));
+      return { index, statement, parsed: parser.parse(), error: null, tokens: parser.roleTokens() };
+    } catch (err) {
+      if (!(err instanceof PolicyParseError)) throw err;
+      return {
+        index,
+        statement,
+        parsed: null,
+        error: { message: err.message, position: err.position },
+        tokens: parser ? parser.roleTokens() : []
+      };
+    }
+  });
+}
+
+module.exports = {
+  VERBS,
+  PolicyParseError,
+  parseStatement,
+  parsePolicyStatements,
+};
@@ -0,0 +1,65 @@
+/*
+  backend/policySearch.js
+
+  Full-text search over all policies of a crawled tenancy.
+  Matches policy names, descriptions and individual statements by substring or regular expression.
+*/
+
+const { displayPath } = require('./tenancyModel');
+
+/**
+ * Utility: Build a matcher function for the query
+ * Throws SyntaxError if `regex` is set and the pattern is invalid.
+ */
+function buildMatcher(query, { regex = false, caseSensitive = false } = {}) {
+  if (regex) {
+    const re = new RegExp(query, caseSensitive ? '' : 'i');
+    return (text) => re.test(text);
+  }
+  const needle = caseSensitive ? query : query.toLowerCase();
+  return (text) => (caseSensitive ? text : text.toLowerCase()).includes(needle);
+}
+
+/**
+ * Searches policy names, descriptions and statements across a tenancy.
+ * @param {Object[]} policies - Policies to search (each with compartmentId).
+ * @param {Map} compartmentIndex - Index from tenancyModel.buildCompartmentIndex.
+ * @param {string} query - Substring or regular expression.
+ * @param {Object} [options]
+ * @param {boolean} [options.regex=false] - Treat query as a regular expression.
+ * @param {boolean} [options.caseSensitive=false] - Match case.
+ * @returns {Object[]} One result per matching policy:
+ *   { policy, compartmentId, compartmentPath, matches: [{ field: 'name'|'description'|'statement', statementIndex, text }] }
+ * @throws {SyntaxError} If `regex` is set and the query is not a valid regular expression.
+ */
+function searchPolicies(policies, compartmentIndex, query, options) {
+  const matches = buildMatcher(query, options);
+  const results = [];
+  for (const policy of policies) {
+    const found = [];
+    if (policy.name && matches(policy.name)) {
+      found.push({ field: 'name', statementIndex: null, text: policy.name });
+    }
+    if (policy.description && matches(policy.description)) {
+      found.push({ field: 'description', statementIndex: null, text: policy.description });
+    }
+    (policy.statements || []).forEach((statement, statementIndex) => {
+      if (matches(statement)) found.push({ field: 'statement', statementIndex, text: statement });
+    });
+    if (found.length > 0) {
+      const compartment = compartmentIndex.get(policy.compartmentId);
+      results.push({
+        policy,
+        compartmentId: policy.compartmentId,
+        compartmentPath: compartment ? displayPath(compartment.path) : policy.compartmentId,
+        matches: found
+      });
+    }
+  }
+  results.sort((a, b) => a.compartmentPath.localeCompare(b.compartmentPath) || a.policy.name.localeCompare(b.policy.name));
+  return results;
+}
+
+module.exports = {
+  searchPolicies,
+};
@@ -0,0 +1,126 @@
+/*
+  backend/snapshotDiff.js
+
+  Diff engine for two states of a tenancy's policies (two snapshots, or a snapshot and the live tenancy).
+  - Policies are matched by OCID, then by compartment path + name (recreated policies).
+  - Reports added, removed and modified policies; modified policies list added/removed statements.
+*/
+
+const { buildCompartmentIndex, displayPath } = require('./tenancyModel');
+
+/**
+ * Utility: Normalize a statement for comparison (whitespace-insensitive)
+ */
+function normalizeStatement(statement) {
+  return String(statement).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Utility: Multiset difference of statements: entries of `a` not matched by an entry of `b`
+ */
+function statementsNotIn(a, b) {
+  const remaining = new Map();
+  for (const s of b) {
+    const key = normalizeStatement(s);
+    remaining.set(key, (remaining.get(key) || 0) + 1);
+  }
+  const result = [];
+  for (const s of a) {
+    const key = normalizeStatement(s);
+    if (remaining.get(key) > 0) remaining.set(key, remaining.get(key) - 1);
+    else result.push(s);
+  }
+  return result;
+}
+
+/**
+ * Utility: Policies of a tenancy state keyed for lookup, each with its compartment path
+ */
+function indexPolicies(state) {
+  const compartmentIndex = buildCompartmentIndex(state.tenancyId, state.compartments);
+  return state.policies.map((policy) => {
+    const compartment = compartmentIndex.get(policy.compartmentId);
+    const compartmentPath = displayPath(compartment ? compartment.path : '');
+    return { policy, compartmentPath, pathKey: `${compartmentPath}\u0000${policy.name}` };
+  });
+}
+
+/**
+ * Compares the policies of two tenancy states.
+ * @param {Object} before - Older state: { tenancyId, compartments, policies } (e.g. a snapshot).
+ * @param {Object} after - Newer state in the same shape.
+ * @returns {Object} { added, removed, modified, summary }
+ *   added/removed: [{ policy, compartmentPath }];
+ *   modified: [{ policyId, name, compartmentPath, previousCompartmentPath, nameChanged, descriptionChanged,
+ *     previousName, previousDescription, description, addedStatements, removedStatements }];
+ *   summary: counts of added/removed/modified policies and added/removed statements.
+ */
+function diffPolicies(before, after) {
+  const beforeEntries = indexPolicies(before);
+  const afterEntries = indexPolicies(after);
+  const beforeById = new Map(beforeEntries.map((e) => [e.policy.id, e]));
+  const beforeByPath = new Map(beforeEntries.map((e) => [e.pathKey, e]));
+  const matched = new Set();
+
+  const added = [];
+  const modified = [];
+  for (const entry of afterEntries) {
+    let previous = beforeById.get(entry.policy.id);
+    if (!previous || matched.has(previous)) previous = beforeByPath.get(entry.pathKey);
+    if (!previous || matched.has(previous)) {
+      added.push({ policy: entry.policy, compartmentPath: entry.compartmentPath });
+      continue;
+    }
+    matched.add(previous);
+
+    const addedStatements = statementsNotIn(entry.policy.statements || [], previous.policy.statements || []);
+    const removedStatements = statementsNotIn(previous.policy.statements || [], entry.policy.statements || []);
+    const nameChanged = previous.policy.name !== entry.policy.name;
+    const descriptionChanged = (previous.policy.description || '') !== (entry.policy.description || '');
+    const moved = previous.compartmentPath !== entry.compartmentPath;
+    if (addedStatements.length || removedStatements.length || nameChanged || descriptionChanged || moved) {
+      modified.push({
+        policyId: entry.policy.id,
+        name: entry.policy.name,
+        previousName: previous.policy.name,
+        compartmentPath: entry.compartmentPath,
+        previousCompartmentPath: previous.compartmentPath,
+        nameChanged,
+        descriptionChanged,
+        description: entry.policy.description,
+        previousDescription: previous.policy.description,
+        addedStatements,
+        removedStatements
+      });
+    }
+  }
+
+  const removed = beforeEntries
+    .filter((e) => !matched.has(e))
+    .map((e) => ({ policy: e.policy, compartmentPath: e.compartmentPath }));
+
+  const byPath = (a, b) => a.compartmentPath.localeCompare(b.compartmentPath);
+  added.sort(byPath);
+  removed.sort(byPath);
+  modified.sort(byPath);
+
+  return {
+    added,
+    removed,
+    modified,
+    summary: {
+      addedPolicies: added.length,
+      removedPolicies: removed.length,
+      modifiedPolicies: modified.length,
+      addedStatements: modified.reduce((n, m) => n + m.addedStatements.length, 0)
+        + added.reduce((n, a) => n + (a.policy.statements || []).length, 0),
+      removedStatements: modified.reduce((n, m) => n + m.removedStatements.length, 0)
+        + removed.reduce((n, r) => n + (r.policy.statements || []).length, 0)
+    }
+  };
+}
+
+module.exports = {
+  normalizeStatement,
+  diffPolicies,
+};
@@ -0,0 +1,173 @@
+/*
+  backend/snapshotStore.js
+
+  Versioned JSON snapshots of a tenancy's compartments and policies.
+  - A snapshot is a single JSON document produced from a tenancy crawl (see tenancyCrawler.js).
+  - groups/dynamicGroups and domains are optional: snapshots of older versions of the browser lack them.
+  - Snapshots are stored as <name>.json in the snapshot directory and exposed as read-only
+    "snapshot:<name>" profiles, so they can be browsed without OCI credentials. Stored snapshots are never overwritten.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FORMAT = 'oci-policy-browser-snapshot';
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_PROFILE_PREFIX = 'snapshot:';
+
+// Snapshot directory - configurable with SNAPSHOT_DIR, defaults to backend/snapshots
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'snapshots');
+
+/**
+ * Utility: Is this profile name a snapshot profile ("snapshot:<name>")?
+ */
+function isSnapshotProfile(profile) {
+  return typeof profile === 'string' && profile.startsWith(SNAPSHOT_PROFILE_PREFIX);
+}
+
+/**
+ * Utility: Snapshot name for a snapshot profile, and vice versa
+ */
+function snapshotNameOf(profile) {
+  return profile.slice(SNAPSHOT_PROFILE_PREFIX.length);
+}
+function snapshotProfileOf(name) {
+  return `${SNAPSHOT_PROFILE_PREFIX}${name}`;
+}
+
+/**
+ * Utility: Restrict a snapshot name to safe file-name characters
+ */
+function sanitizeSnapshotName(name) {
+  return String(name).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '').slice(0, 100);
+}
+
+/**
+ * Builds a snapshot document from a crawled tenancy.
+ * @param {string} profile - Profile the tenancy was crawled with.
+ * @param {Object} tenancy - { tenancyId, compartments, policies, domains, groups, dynamicGroups } from tenancyCrawler.crawlTenancy.
+ * @returns {Object} Snapshot document.
+ */
+function createSnapshot(profile, tenancy) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    profile,
+    tenancyId: tenancy.tenancyId,
+    compartments: tenancy.compartments,
+    domains: tenancy.domains,
+    groups: tenancy.groups,
+    dynamicGroups: tenancy.dynamicGroups,
+    // Parsed statements are derived data; they are recomputed when the snapshot is loaded
+    policies: tenancy.policies.map(({ parsedStatements, ...policy }) => policy)
+  };
+}
+
+/**
+ * Checks that a document is a snapshot this version can read.
+ * @param {Object} snapshot - Parsed JSON document.
+ * @throws {Error} With a descriptive message if the document is not a supported snapshot.
+ */
+function validateSnapshot(snapshot) {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a policy browser snapshot');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (typeof snapshot.tenancyId !== 'string' || !Array.isArray(snapshot.compartments) || !Array.isArray(snapshot.policies)) {
+    throw new Error('Snapshot is missing tenancyId, compartments or policies');
+  }
+}
+
+/**
+ * Utility: Is there a stored snapshot with this (sanitized) name?
+ * Different names can sanitize to the same file name, e.g. "prod/a" and "prod a".
+ */
+function snapshotExists(name) {
+  const safeName = sanitizeSnapshotName(name);
+  return !!safeName && fs.existsSync(path.join(SNAPSHOT_DIR, `${safeName}.json`));
+}
+
+/**
+ * Writes a snapshot to the snapshot directory. Existing snapshots are never overwritten.
+ * @param {string} name - Snapshot name (sanitized to a safe file name).
+ * @param {Object} snapshot - Snapshot document.
+ * @returns {string} The name the snapshot was stored under.
+ * @throws {Error} With statusCode 409 if a snapshot is already stored under that name.
+ */
+function saveSnapshot(name, snapshot) {
+  validateSnapshot(snapshot);
+  const safeName = sanitizeSnapshotName(name);
+  if (!safeName) throw new Error('Invalid snapshot name');
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  try {
+    fs.writeFileSync(path.join(SNAPSHOT_DIR, `${safeName}.json`), JSON.stringify(snapshot), { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    const conflict = new Error(`Snapshot ${safeName} already exists`);
+    conflict.statusCode = 409;
+    throw conflict;
+  }
+  return safeName;
+}
+
+/**
+ * Reads a stored snapshot.
+ * @param {string} name - Snapshot name.
+ * @returns {Object|null} Snapshot document, or null if there is no such snapshot.
+ * @throws {Error} If the file exists but is not a valid snapshot.
+ */
+function loadSnapshot(name) {
+  const safeName = sanitizeSnapshotName(name);
+  const file = path.join(SNAPSHOT_DIR, `${safeName}.json`);
+  if (!safeName || !fs.existsSync(file)) return null;
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  validateSnapshot(snapshot);
+  return snapshot;
+}
+
+/**
+ * Lists stored snapshots (metadata only).
+ * @returns {Object[]} [{ name, profile, createdAt, tenancyId }], newest first; unreadable files are skipped.
+ */
+function listSnapshots() {
+  let files;
+  try {
+    files = fs.readdirSync(SNAPSHOT_DIR).filter((f) => f.endsWith('.json'));
+  } catch (err) {
+    // Directory not created yet
+    return [];
+  }
+  const snapshots = [];
+  for (const file of files) {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, file), 'utf-8'));
+      validateSnapshot(snapshot);
+      snapshots.push({
+        name: file.slice(0, -'.json'.length),
+        profile: snapshot.profile,
+        createdAt: snapshot.createdAt,
+        tenancyId: snapshot.tenancyId
+      });
+    } catch (err) {
+      // Not a readable snapshot - ignore
+    }
+  }
+  return snapshots.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  isSnapshotProfile,
+  snapshotNameOf,
+  snapshotProfileOf,
+  sanitizeSnapshotName,
+  createSnapshot,
+  validateSnapshot,
+  snapshotExists,
+  saveSnapshot,
+  loadSnapshot,
+  listSnapshots,
+};
@@ -0,0 +1,87 @@
+/*
+  backend/tenancyCompare.js
+
+  Side-by-side comparison of several tenancies (one per profile).
+  - Compartments are matched by name path from the root, policies by compartment path + policy name.
+  - Statements are compared whitespace-insensitively and regardless of order.
+*/
+
+const { displayPath } = require('./tenancyModel');
+const { normalizeStatement } = require('./snapshotDiff');
+
+/**
+ * Utility: Order-insensitive fingerprint of a policy's statements
+ */
+function statementsKey(statements) {
+  return (statements || []).map(normalizeStatement).sort().join('\n');
+}
+
+/**
+ * Compares compartments and policies of several tenancies by path and name.
+ * @param {Object[]} states - [{ profile, tenancy }] with tenancy from loadTenancy ({ policies, compartmentIndex }).
+ * @returns {Object} { profiles, compartments, policies, summary }
+ *   compartments: [{ path, ids: { [profile]: compartmentId|null }, inAll }];
+ *   policies: [{ compartmentPath, name, entries: { [profile]: { id, description, statements }|null }, status }]
+ *     with status 'identical' (same statements everywhere), 'different' or 'missing' (absent from some tenancies);
+ *   summary: counts of compartments present in only some tenancies and of policies per status.
+ */
+function compareTenancies(states) {
+  const profiles = states.map((s) => s.profile);
+  const empty = () => Object.fromEntries(profiles.map((p) => [p, null]));
+
+  const compartments = new Map();
+  const policies = new Map();
+  for (const { profile, tenancy } of states) {
+    for (const compartment of tenancy.compartmentIndex.values()) {
+      const path = displayPath(compartment.path);
+      if (!compartments.has(path)) compartments.set(path, { path, ids: empty() });
+      compartments.get(path).ids[profile] = compartment.id;
+    }
+    for (const policy of tenancy.policies) {
+      const compartment = tenancy.compartmentIndex.get(policy.compartmentId);
+      const compartmentPath = displayPath(compartment ? compartment.path : '');
+      const key = `${compartmentPath}\u0000${policy.name}`;
+      if (!policies.has(key)) policies.set(key, { compartmentPath, name: policy.name, entries: empty() });
+      policies.get(key).entries[profile] = {
+        id: policy.id,
+        description: policy.description,
+        statements: policy.statements || []
+      };
+    }
+  }
+
+  const compartmentRows = [...compartments.values()].map((row) => ({
+    ...row,
+    inAll: profiles.every((p) => row.ids[p])
+  }));
+  const policyRows = [...policies.values()].map((row) => {
+    const present = profiles.filter((p) => row.entries[p]);
+    let status = 'missing';
+    if (present.length === profiles.length) {
+      const keys = new Set(present.map((p) => statementsKey(row.entries[p].statements)));
+      status = keys.size === 1 ? 'identical' : 'different';
+    }
+    return { ...row, status };
+  });
+
+  compartmentRows.sort((a, b) => a.path.localeCompare(b.path));
+  policyRows.sort((a, b) => a.compartmentPath.localeCompare(b.compartmentPath) || a.name.localeCompare(b.name));
+
+  const countStatus = (status) => policyRows.filter((r) => r.status === status).length;
+  return {
+    profiles,
+    compartments: compartmentRows,
+    policies: policyRows,
+    summary: {
+      compartments: compartmentRows.length,
+      partialCompartments: compartmentRows.filter((r) => !r.inAll).length,
+      identicalPolicies: countStatus('identical'),
+      differentPolicies: countStatus('different'),
+      missingPolicies: countStatus('missing')
+    }
+  };
+}
+
+module.exports = {
+  compareTenancies,
+};
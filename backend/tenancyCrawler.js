@@ -0,0 +1,269 @@
+/*
+  backend/tenancyCrawler.js
+
+  Walks a whole tenancy through the OCI IdentityClient:
+  - Lists every compartment below the tenancy root (compartmentIdInSubtree).
+  - Lists the policies attached to the root and to every active compartment.
+  - Lists the tenancy's identity domains, and the groups and dynamic groups of the classic IAM API
+    plus those of every non-default domain (used to resolve and validate statement subjects).
+  - Lists the tenancy's users and their group memberships.
+  - Or, for a single compartment, only its ancestor chain and the policies along it.
+  - Or only the compartments needed to resolve one statement location.
+  Every list call follows opc-next-page to the last page (listAllPages).
+*/
+
+const { crawlDomainGroups } = require('./identityDomains');
+
+// Number of list calls (policies, identity domains) kept in flight at once while crawling
+const CRAWL_CONCURRENCY = 5;
+
+/**
+ * Utility: Map over items with at most `limit` async calls in flight
+ * Returns results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  async function worker() {
+    while (nextIndex < items.length) {
+      const i = nextIndex++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Calls an OCI list operation page by page until opc-next-page is exhausted.
+ * @param {Function} list - List operation, e.g. (request) => identityClient.listPolicies(request).
+ * @param {Object} request - Request without `page`.
+ * @returns {Promise<Object[]>} Items of all pages, in order.
+ */
+async function listAllPages(list, request) {
+  const items = [];
+  let page;
+  do {
+    const response = await list(page ? { ...request, page } : request);
+    items.push(...(response.items || []));
+    page = response.opcNextPage;
+  } while (page);
+  return items;
+}
+
+/**
+ * Lists every compartment below the tenancy root (any lifecycle state) with compartmentIdInSubtree.
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @returns {Promise<Object[]>} Compartments as returned by listCompartments.
+ */
+function listAllCompartments(identityClient, tenancyId) {
+  return listAllPages((r) => identityClient.listCompartments(r), {
+    compartmentId: tenancyId,
+    accessLevel: "ANY",
+    compartmentIdInSubtree: true
+  });
+}
+
+/**
+ * Utility: OCIDs of the root and every ACTIVE compartment
+ */
+function activeCompartmentIds(tenancyId, compartments) {
+  return [tenancyId, ...compartments.filter((c) => c.lifecycleState === 'ACTIVE').map((c) => c.id)];
+}
+
+/**
+ * Crawls all compartments and policies of a tenancy.
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @param {Function} [domainsClientFor] - domainsClientFor(domainUrl) returns the OCI IdentityDomainsClient of a domain
+ *   (see clientRegistry); without it identity domains are not crawled.
+ * @returns {Promise<{tenancyId: string, compartments: Object[], policies: Object[], domains: Object[], groups: Object[], dynamicGroups: Object[]}>}
+ *   compartments: every compartment below the root (any lifecycle state);
+ *   policies: policies of the root and all ACTIVE compartments;
+ *   domains / groups / dynamicGroups: see crawlIdentities.
+ */
+async function crawlTenancy(identityClient, tenancyId, domainsClientFor) {
+  const compartments = await listAllCompartments(identityClient, tenancyId);
+  const compartmentIds = activeCompartmentIds(tenancyId, compartments);
+  const policyLists = await mapWithConcurrency(compartmentIds, CRAWL_CONCURRENCY, (compartmentId) => (
+    listAllPages((r) => identityClient.listPolicies(r), { compartmentId })
+  ));
+
+  const identities = await crawlIdentities(identityClient, tenancyId, domainsClientFor, compartmentIds);
+
+  return {
+    tenancyId,
+    compartments,
+    policies: policyLists.flat(),
+    ...identities
+  };
+}
+
+/**
+ * Lists the active identity domains of a tenancy (domains can live in any compartment).
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string[]} compartmentIds - Compartments to look in (root and all active compartments).
+ * @returns {Promise<Object[]>} [{ id, name, type ('DEFAULT'|'SECONDARY'), url, compartmentId }]
+ */
+async function crawlDomains(identityClient, compartmentIds) {
+  const domainLists = await mapWithConcurrency(compartmentIds, CRAWL_CONCURRENCY, (compartmentId) => (
+    listAllPages((r) => identityClient.listDomains(r), { compartmentId, lifecycleState: 'ACTIVE' })
+  ));
+  return domainLists.flat().map((d) => ({
+    id: d.id,
+    name: d.displayName,
+    type: d.type,
+    url: d.url,
+    compartmentId: d.compartmentId
+  }));
+}
+
+/**
+ * Lists the groups and dynamic groups of a tenancy (classic IAM API: Default identity domain).
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @returns {Promise<{groups: Object[], dynamicGroups: Object[]}>} dynamicGroups include their `matchingRule`.
+ */
+async function crawlGroups(identityClient, tenancyId) {
+  const [groups, dynamicGroups] = await Promise.all([
+    listAllPages((r) => identityClient.listGroups(r), { compartmentId: tenancyId }),
+    listAllPages((r) => identityClient.listDynamicGroups(r), { compartmentId: tenancyId })
+  ]);
+  return { groups, dynamicGroups };
+}
+
+/**
+ * Lists identity domains and the groups and dynamic groups of all domains.
+ * Default-domain groups come from the classic IAM API (no `domain` field); groups of every other domain
+ * come from that domain's SCIM endpoint and carry the domain's name in `domain`.
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @param {Function} [domainsClientFor] - domainsClientFor(domainUrl) returns the OCI IdentityDomainsClient of a domain;
+ *   without it only the classic groups are listed.
+ * @param {string[]} [compartmentIds] - Compartments to look for domains in (listed from the tenancy if omitted).
+ * @returns {Promise<{domains: Object[]|undefined, groups: Object[], dynamicGroups: Object[]}>}
+ *   domains is undefined when domains were not crawled.
+ */
+async function crawlIdentities(identityClient, tenancyId, domainsClientFor, compartmentIds) {
+  const { groups, dynamicGroups } = await crawlGroups(identityClient, tenancyId);
+  if (!domainsClientFor) return { domains: undefined, groups, dynamicGroups };
+
+  const ids = compartmentIds || activeCompartmentIds(tenancyId, await listAllCompartments(identityClient, tenancyId));
+  const domains = await crawlDomains(identityClient, ids);
+  const otherDomains = domains.filter((d) => d.type !== 'DEFAULT');
+  const domainGroups = await mapWithConcurrency(otherDomains, CRAWL_CONCURRENCY, (domain) => (
+    crawlDomainGroups(domainsClientFor(domain.url), domain)
+  ));
+  for (const found of domainGroups) {
+    groups.push(...found.groups);
+    dynamicGroups.push(...found.dynamicGroups);
+  }
+  return { domains, groups, dynamicGroups };
+}
+
+/**
+ * Lists the users of a tenancy (Default identity domain) and their group memberships.
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @returns {Promise<{users: Object[], memberships: Object[]}>} memberships: UserGroupMembership objects ({ userId, groupId, ... }).
+ */
+async function crawlUsers(identityClient, tenancyId) {
+  const [users, memberships] = await Promise.all([
+    listAllPages((r) => identityClient.listUsers(r), { compartmentId: tenancyId }),
+    listAllPages((r) => identityClient.listUserGroupMemberships(r), { compartmentId: tenancyId })
+  ]);
+  return { users, memberships };
+}
+
+/**
+ * Crawls the ancestor chain of one compartment and the policies attached along it.
+ * Only these policies can grant access on the compartment (policies apply to their own compartment and below).
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @param {string} compartmentId - Target compartment OCID.
+ * @returns {Promise<{tenancyId: string, compartments: Object[], policies: Object[]}>}
+ *   compartments: the chain from the root's child down to the target (empty if the target is the root).
+ */
+async function crawlAncestry(identityClient, tenancyId, compartmentId) {
+  const compartments = await crawlCompartmentChain(identityClient, tenancyId, compartmentId);
+  const policyLists = await mapWithConcurrency([tenancyId, ...compartments.map((c) => c.id)], CRAWL_CONCURRENCY, (id) => (
+    listAllPages((r) => identityClient.listPolicies(r), { compartmentId: id })
+  ));
+
+  return { tenancyId, compartments, policies: policyLists.flat() };
+}
+
+/**
+ * Fetches a compartment and its ancestors below the root.
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @param {string} compartmentId - Compartment OCID.
+ * @returns {Promise<Object[]>} Compartments from the root's child down to the compartment (empty for the root).
+ * @throws {Error} If the compartment is not part of the tenancy.
+ */
+async function crawlCompartmentChain(identityClient, tenancyId, compartmentId) {
+  const compartments = [];
+  let currentId = compartmentId;
+  while (currentId && currentId !== tenancyId) {
+    const response = await identityClient.getCompartment({ compartmentId: currentId });
+    compartments.unshift(response.compartment);
+    currentId = response.compartment.compartmentId;
+  }
+  if (currentId !== tenancyId) {
+    throw new Error(`Compartment ${compartmentId} is not in tenancy ${tenancyId}`);
+  }
+  return compartments;
+}
+
+/**
+ * Fetches the compartments needed to resolve a parsed statement location (see tenancyModel.resolveLocation).
+ * @param {Object} identityClient - OCI IdentityClient authenticated for the tenancy.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @param {string} policyCompartmentId - Compartment the policy belongs to (names are relative to it).
+ * @param {Object} location - `location` of a parsed statement.
+ * @returns {Promise<Object[]>} Compartments along the way; the location may still not resolve against them.
+ */
+async function crawlLocationChain(identityClient, tenancyId, policyCompartmentId, location) {
+  if (location.type !== 'compartment') return [];
+  if (location.id) return crawlCompartmentChain(identityClient, tenancyId, location.id);
+
+  const compartments = await crawlCompartmentChain(identityClient, tenancyId, policyCompartmentId);
+  const own = compartments[compartments.length - 1];
+  let names = location.path;
+  let parentId = policyCompartmentId;
+  for (let i = 0; i < names.length; i++) {
+    const children = await listAllPages((r) => identityClient.listCompartments(r), { compartmentId: parentId, accessLevel: "ANY" });
+    const child = children.find((c) => (
+      c.lifecycleState === 'ACTIVE' && c.name.toLowerCase() === names[i].toLowerCase()
+    ));
+    if (!child) {
+      // The first name may be the policy's own compartment rather than a child of it
+      if (i === 0 && names === location.path && own && own.name.toLowerCase() === names[0].toLowerCase()) {
+        names = names.slice(1);
+        i = -1;
+        continue;
+      }
+      break;
+    }
+    compartments.push(child);
+    parentId = child.id;
+  }
+  return compartments;
+}
+
+module.exports = {
+  CRAWL_CONCURRENCY,
+  mapWithConcurrency,
+  listAllPages,
+  listAllCompartments,
+  crawlTenancy,
+  crawlGroups,
+  crawlIdentities,
+  crawlUsers,
+  crawlAncestry,
+  crawlCompartmentChain,
+  crawlLocationChain,
+};
@@ -0,0 +1,172 @@
+/*
+  backend/tenancyModel.js
+
+  Pure helpers over a crawled tenancy (see tenancyCrawler.js):
+  - Builds an index of compartments by OCID with parent, depth and name path.
+  - Resolves parsed statement locations to compartments and walks the hierarchy.
+*/
+
+const ROOT_COMPARTMENT_NAME = '(Tenancy Root)';
+
+/**
+ * Builds a lookup of every compartment in the tenancy, including the root.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @param {Object[]} compartments - Compartments below the root (from listCompartments).
+ * @returns {Map<string, {id: string, name: string, parentId: (string|null), lifecycleState: string, depth: number, path: string}>}
+ *   `path` is the slash-separated list of names from the root ('' for the root itself).
+ */
+function buildCompartmentIndex(tenancyId, compartments) {
+  const byId = new Map(compartments.map((c) => [c.id, c]));
+  const index = new Map();
+  index.set(tenancyId, {
+    id: tenancyId,
+    name: ROOT_COMPARTMENT_NAME,
+    parentId: null,
+    lifecycleState: 'ACTIVE',
+    depth: 0,
+    path: ''
+  });
+
+  function resolve(id) {
+    if (index.has(id)) return index.get(id);
+    const c = byId.get(id);
+    // Parent outside the listed set (e.g. not visible to the caller): hang it off the root
+    const parent = c.compartmentId && byId.has(c.compartmentId) ? resolve(c.compartmentId) : index.get(tenancyId);
+    const entry = {
+      id: c.id,
+      name: c.name,
+      parentId: parent.id,
+      lifecycleState: c.lifecycleState,
+      depth: parent.depth + 1,
+      path: parent.path ? `${parent.path}/${c.name}` : c.name
+    };
+    index.set(id, entry);
+    return entry;
+  }
+
+  for (const c of compartments) resolve(c.id);
+  return index;
+}
+
+/**
+ * Lists every compartment of an index, root first, then depth-first in name order.
+ * @param {Map} compartmentIndex - Index from buildCompartmentIndex.
+ * @returns {Object[]} [{ id, name, parentId, lifecycleState, depth, path }]
+ */
+function compartmentList(compartmentIndex) {
+  return [...compartmentIndex.values()].sort((a, b) => {
+    const aNames = a.path ? a.path.split('/') : [];
+    const bNames = b.path ? b.path.split('/') : [];
+    for (let i = 0; i < Math.min(aNames.length, bNames.length); i++) {
+      const order = aNames[i].localeCompare(bNames[i]);
+      if (order !== 0) return order;
+    }
+    return aNames.length - bNames.length;
+  });
+}
+
+/**
+ * Utility: Display label for a compartment path ('' means the tenancy root)
+ */
+function displayPath(path) {
+  return path || ROOT_COMPARTMENT_NAME;
+}
+
+/**
+ * Lists the OCIDs of all ACTIVE compartments below a compartment (not including itself).
+ * @param {Map} compartmentIndex - Index from buildCompartmentIndex.
+ * @param {string} compartmentId - Compartment to start from.
+ * @returns {string[]} Descendant OCIDs, parents before children.
+ */
+function descendantIds(compartmentIndex, compartmentId) {
+  const children = new Map();
+  for (const c of compartmentIndex.values()) {
+    if (!c.parentId || c.lifecycleState !== 'ACTIVE') continue;
+    if (!children.has(c.parentId)) children.set(c.parentId, []);
+    children.get(c.parentId).push(c.id);
+  }
+  const result = [];
+  const queue = [...(children.get(compartmentId) || [])];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    result.push(id);
+    queue.push(...(children.get(id) || []));
+  }
+  return result;
+}
+
+/**
+ * Lists a compartment and its ancestors up to the root.
+ * @param {Map} compartmentIndex - Index from buildCompartmentIndex.
+ * @param {string} compartmentId - Compartment to start from.
+ * @returns {string[]} OCIDs from the compartment itself up to the tenancy root.
+ */
+function ancestorIds(compartmentIndex, compartmentId) {
+  const result = [];
+  let current = compartmentIndex.get(compartmentId);
+  while (current) {
+    result.push(current.id);
+    current = current.parentId ? compartmentIndex.get(current.parentId) : null;
+  }
+  return result;
+}
+
+/**
+ * Utility: Follows a list of compartment names down from a compartment (ACTIVE children, case-insensitive)
+ * Returns the OCID reached, or null if a name does not match
+ */
+function followPath(compartmentIndex, startId, names) {
+  let currentId = startId;
+  for (const name of names) {
+    const lower = name.toLowerCase();
+    let next = null;
+    for (const c of compartmentIndex.values()) {
+      if (c.parentId === currentId && c.lifecycleState === 'ACTIVE' && c.name.toLowerCase() === lower) {
+        next = c;
+        break;
+      }
+    }
+    if (!next) return null;
+    currentId = next.id;
+  }
+  return currentId;
+}
+
+/**
+ * Resolves the location of a parsed statement to a compartment OCID.
+ * Compartment names and A:B paths are relative to the compartment the policy is attached to; as in OCI, a policy
+ * may also name that compartment itself (e.g. "in compartment Security" in a policy attached to Security).
+ * Compartment OCIDs only resolve to the policy's compartment or one below it.
+ * @param {Object} location - `location` of a parsed allow/admit statement.
+ * @param {string} policyCompartmentId - Compartment the policy belongs to.
+ * @param {Map} compartmentIndex - Index from buildCompartmentIndex.
+ * @param {string} tenancyId - Tenancy (root compartment) OCID.
+ * @returns {string|null} Compartment OCID, or null if the location does not resolve in this tenancy.
+ */
+function resolveLocation(location, policyCompartmentId, compartmentIndex, tenancyId) {
+  if (!location) return null;
+  if (location.type === 'tenancy') return tenancyId;
+  if (location.type !== 'compartment') return null;
+  if (location.id) {
+    return ancestorIds(compartmentIndex, location.id).includes(policyCompartmentId) ? location.id : null;
+  }
+
+  const childId = followPath(compartmentIndex, policyCompartmentId, location.path);
+  if (childId) return childId;
+  // A child of the same name takes precedence over the policy's own compartment
+  const own = compartmentIndex.get(policyCompartmentId);
+  if (own && policyCompartmentId !== tenancyId && own.name.toLowerCase() === location.path[0].toLowerCase()) {
+    return followPath(compartmentIndex, policyCompartmentId, location.path.slice(1));
+  }
+  return null;
+}
+
+module.exports = {
+  ROOT_COMPARTMENT_NAME,
+  buildCompartmentIndex,
+  compartmentList,
+  displayPath,
+  descendantIds,
+  ancestorIds,
+  resolveLocation,
+};
@@ -0,0 +1,160 @@
+/*
+  backend/terraformExport.js
+
+  Terraform (HCL) export of IAM policies, for adopting click-ops policies into Terraform.
+  - One `oci_identity_policy` resource per policy, with a matching `import` block (Terraform 1.5+) for its OCID
+    so `terraform apply` adopts the existing policy instead of creating a new one.
+  - Compartments (the policies' own ones and every known compartment OCID inside a statement) become `variable`s
+    whose defaults are the current OCIDs; the tenancy root is `var.tenancy_ocid`.
+  - Strings are escaped for HCL quoted templates (backslashes, quotes, `${` and `%{` sequences).
+*/
+
+const { displayPath } = require('./tenancyModel');
+
+// Variable holding the tenancy (root compartment) OCID, named as in the OCI provider's examples
+const TENANCY_VARIABLE = 'tenancy_ocid';
+
+/**
+ * Utility: HCL identifier from arbitrary text (lowercase letters, digits and underscores, not starting with a digit)
+ */
+function identifier(text, fallback) {
+  const name = String(text || '').toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!name) return fallback;
+  return /^[0-9]/.test(name) ? `${fallback}_${name}` : name;
+}
+
+/**
+ * Utility: Reserve a unique name in `taken`, adding _2, _3, ... on collisions
+ */
+function uniqueName(base, taken) {
+  let name = base;
+  for (let n = 2; taken.has(name); n++) name = `${base}_${n}`;
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Utility: Contents of an HCL quoted string (without the quotes); template sequences are escaped so they stay literal
+ */
+function hclEscape(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/\$\{/g, () => '$${')
+    .replace(/%\{/g, '%%{');
+}
+
+/**
+ * Utility: Render `key = value` lines of one block with the `=` signs aligned (as `terraform fmt` does)
+ */
+function attributeLines(pairs, indent = '  ') {
+  const width = Math.max(...pairs.map(([key]) => key.length));
+  return pairs.map(([key, value]) => `${indent}${key.padEnd(width)} = ${value}`);
+}
+
+/**
+ * Utility: Single-line HCL map of string values ({ "a" = "b", ... })
+ */
+function hclMap(entries) {
+  return `{ ${entries.map(([k, v]) => `"${hclEscape(k)}" = "${hclEscape(v)}"`).join(', ')} }`;
+}
+
+/**
+ * Renders policies as a Terraform configuration.
+ * @param {Object} tenancy - { tenancyId, compartmentIndex } (from loadTenancy; the full index lets statement
+ *   OCIDs of compartments outside the exported subtree become variables too).
+ * @param {Object[]} policies - OCI policy objects (id, name, description, compartmentId, statements, tags, versionDate).
+ * @param {Object} [options] - { profile } named in the file header.
+ * @returns {string} HCL with variables, resources and import blocks.
+ */
+function renderTerraform(tenancy, policies, options = {}) {
+  const variables = new Map(); // compartment OCID -> variable name
+  const variableNames = new Set([TENANCY_VARIABLE]);
+  variables.set(tenancy.tenancyId, TENANCY_VARIABLE);
+  const variableOf = (compartmentId) => {
+    if (!variables.has(compartmentId)) {
+      const compartment = tenancy.compartmentIndex.get(compartmentId);
+      const base = `compartment_${identifier(compartment && compartment.path, 'compartment')}`;
+      variables.set(compartmentId, uniqueName(base, variableNames));
+    }
+    return variables.get(compartmentId);
+  };
+
+  // Compartment OCIDs in statements (locations and conditions), longest first so no OCID replaces part of another
+  const knownIds = [...tenancy.compartmentIndex.keys()].sort((a, b) => b.length - a.length);
+  const statementExpression = (statement) => {
+    let text = hclEscape(statement);
+    for (const id of knownIds) {
+      if (text.includes(id)) text = text.split(id).join(`\${var.${variableOf(id)}}`);
+    }
+    return `"${text}"`;
+  };
+
+  const resourceNames = new Set();
+  const sorted = [...policies].sort((a, b) => {
+    const pathOf = (p) => displayPath((tenancy.compartmentIndex.get(p.compartmentId) || {}).path);
+    return pathOf(a).localeCompare(pathOf(b)) || a.name.localeCompare(b.name);
+  });
+  const blocks = sorted.map((policy) => {
+    const resourceName = uniqueName(identifier(policy.name, 'policy'), resourceNames);
+    const header = [
+      ['compartment_id', `var.${variableOf(policy.compartmentId)}`],
+      ['name', `"${hclEscape(policy.name)}"`],
+      ['description', `"${hclEscape(policy.description || policy.name)}"`]
+    ];
+    if (policy.versionDate) header.push(['version_date', `"${new Date(policy.versionDate).toISOString().slice(0, 10)}"`]);
+    const tags = [];
+    const freeform = Object.entries(policy.freeformTags || {});
+    if (freeform.length > 0) tags.push(['freeform_tags', hclMap(freeform)]);
+    const defined = Object.entries(policy.definedTags || {})
+      .flatMap(([namespace, values]) => Object.entries(values || {}).map(([key, value]) => [`${namespace}.${key}`, value]));
+    if (defined.length > 0) tags.push(['defined_tags', hclMap(defined)]);
+
+    const lines = [
+      `resource "oci_identity_policy" "${resourceName}" {`,
+      ...attributeLines(header),
+      '  statements = [',
+      ...(policy.statements || []).map((s) => `    ${statementExpression(s)},`),
+      '  ]'
+    ];
+    if (tags.length > 0) lines.push('', ...attributeLines(tags));
+    lines.push(
+      '}',
+      '',
+      'import {',
+      ...attributeLines([['to', `oci_identity_policy.${resourceName}`], ['id', `"${hclEscape(policy.id)}"`]]),
+      '}'
+    );
+    return lines.join('\n');
+  });
+
+  // Variables are declared once all references are known (only referenced compartments get one), root first
+  const pathOfId = (id) => (tenancy.compartmentIndex.get(id) || {}).path || '';
+  const variableBlocks = [...variables.entries()]
+    .sort(([a], [b]) => (a === tenancy.tenancyId ? -1 : b === tenancy.tenancyId ? 1 : pathOfId(a).localeCompare(pathOfId(b))))
+    .map(([id, name]) => {
+      const compartment = tenancy.compartmentIndex.get(id);
+      const description = name === TENANCY_VARIABLE
+        ? 'OCID of the tenancy (root compartment)'
+        : `OCID of compartment ${displayPath(compartment && compartment.path)}`;
+      return [
+        `variable "${name}" {`,
+        ...attributeLines([['description', `"${hclEscape(description)}"`], ['type', 'string'], ['default', `"${hclEscape(id)}"`]]),
+        '}'
+      ].join('\n');
+    });
+
+  const headerComment = [
+    `# Generated by the OCI Policy Browser${options.profile ? ` from profile ${options.profile}` : ''} on ${new Date().toISOString()}`,
+    `# Tenancy: ${tenancy.tenancyId}; ${policies.length} policies.`,
+    '# The import blocks (Terraform 1.5+) adopt the existing policies on the first apply instead of recreating them.'
+  ].join('\n');
+  return `${[headerComment, ...variableBlocks, ...blocks].join('\n\n')}\n`;
+}
+
+module.exports = {
+  renderTerraform,
+};
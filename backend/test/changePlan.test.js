@@ -0,0 +1,132 @@
+/*
+  backend/test/changePlan.test.js
+
+  Access gained and lost in change plans, over the compartments of the mock identity fixture.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('../fixtures/identity-fixture.json');
+const { parsePolicyStatements } = require('../policyParser');
+const { buildCompartmentIndex } = require('../tenancyModel');
+const { planPolicyChange } = require('../changePlan');
+
+const { tenancyId } = fixture;
+const compartmentIndex = buildCompartmentIndex(tenancyId, fixture.compartments);
+const LINT_CONFIG = { rules: {} };
+
+// Policy attached to the tenancy root (unless another compartment is given)
+function policy(id, statements, compartmentId = tenancyId) {
+  return { id, name: id, compartmentId, description: '', statements, parsedStatements: parsePolicyStatements(statements) };
+}
+
+// Plan of replacing the statements of `current` (null: delete it) with `statements`, next to `others`
+function planUpdate(current, statements, others = []) {
+  const tenancy = { tenancyId, compartmentIndex, policies: [...others, current] };
+  const proposed = statements ? { ...policy(current.id, statements, current.compartmentId), name: current.name } : null;
+  return planPolicyChange(tenancy, current, proposed, LINT_CONFIG);
+}
+
+// "verb resource-type in location" (or permissions) of each gained/lost grant of a plan
+function grantSummary(plan, kind) {
+  return plan.access.flatMap((a) => a[kind].map((g) => (
+    `${a.subject}: ${g.permissions ? `{${g.permissions.join(', ')}}` : `${g.verb} ${g.resourceType}`} in ${g.location}`
+  )));
+}
+
+test('deleting a policy loses its grants and flags policy administration', () => {
+  const current = policy('ops', [
+    'Allow group Ops to manage instances in compartment Apps',
+    'Allow group Ops to manage policies in tenancy'
+  ]);
+  const plan = planUpdate(current, null);
+  assert.equal(plan.action, 'delete');
+  assert.deepEqual(plan.summary, { added: 0, removed: 2, unchanged: 0 });
+  assert.deepEqual(grantSummary(plan, 'lost'), [
+    'group Ops: manage instances in Apps',
+    'group Ops: manage policies in (Tenancy Root)'
+  ]);
+  assert.deepEqual(plan.access[0].lost.map((g) => g.policyAdmin), [false, true]);
+  assert.deepEqual(grantSummary(plan, 'gained'), []);
+});
+
+test('creating a policy gains only what is not already granted', () => {
+  const existing = policy('existing', ['Allow group Ops to manage instances in compartment Apps']);
+  const tenancy = { tenancyId, compartmentIndex, policies: [existing] };
+  const proposed = policy('new', [
+    'Allow group Ops to read instances in compartment Apps:Dev',
+    'Allow group Ops to read buckets in compartment Apps:Dev'
+  ]);
+  const plan = planPolicyChange(tenancy, null, { ...proposed, id: undefined }, LINT_CONFIG);
+  assert.equal(plan.action, 'create');
+  assert.deepEqual(grantSummary(plan, 'gained'), ['group Ops: read buckets in Apps/Dev']);
+});
+
+test('moving a grant up the hierarchy loses nothing; moving it down loses the parent', () => {
+  const atDev = policy('ops', ['Allow group Ops to manage instances in compartment Apps:Dev']);
+  const up = planUpdate(atDev, ['Allow group Ops to manage instances in compartment Apps']);
+  assert.deepEqual(grantSummary(up, 'lost'), []);
+  assert.deepEqual(grantSummary(up, 'gained'), ['group Ops: manage instances in Apps']);
+
+  const atApps = policy('ops', ['Allow group Ops to manage instances in compartment Apps']);
+  const down = planUpdate(atApps, ['Allow group Ops to manage instances in compartment Apps:Dev']);
+  assert.deepEqual(grantSummary(down, 'lost'), ['group Ops: manage instances in Apps']);
+  assert.deepEqual(grantSummary(down, 'gained'), []);
+});
+
+test('widening a verb gains access; narrowing it loses the stronger verb', () => {
+  const reader = policy('ops', ['Allow group Ops to read instances in compartment Apps']);
+  const widen = planUpdate(reader, ['Allow group Ops to manage instances in compartment Apps']);
+  assert.deepEqual(grantSummary(widen, 'lost'), []);
+  assert.deepEqual(grantSummary(widen, 'gained'), ['group Ops: manage instances in Apps']);
+
+  const manager = policy('ops', ['Allow group Ops to manage instances in compartment Apps']);
+  const narrow = planUpdate(manager, ['Allow group Ops to read instances in compartment Apps']);
+  assert.deepEqual(grantSummary(narrow, 'lost'), ['group Ops: manage instances in Apps']);
+  assert.deepEqual(grantSummary(narrow, 'gained'), []);
+});
+
+test('resource families cover their member resource types', () => {
+  const instances = policy('ops', ['Allow group Ops to manage instances in compartment Apps']);
+  const toFamily = planUpdate(instances, ['Allow group Ops to manage instance-family in compartment Apps']);
+  assert.deepEqual(grantSummary(toFamily, 'lost'), []);
+  assert.deepEqual(grantSummary(toFamily, 'gained'), ['group Ops: manage instance-family in Apps']);
+
+  const family = policy('ops', ['Allow group Ops to manage instance-family in compartment Apps']);
+  const toMember = planUpdate(family, ['Allow group Ops to manage instances in compartment Apps']);
+  assert.deepEqual(grantSummary(toMember, 'lost'), ['group Ops: manage instance-family in Apps']);
+
+  const network = policy('net', ['Allow group Ops to manage vcns in compartment Network']);
+  const otherFamily = planUpdate(network, ['Allow group Ops to manage object-family in compartment Network']);
+  assert.deepEqual(grantSummary(otherFamily, 'lost'), ['group Ops: manage vcns in Network']);
+});
+
+test('a conditional grant does not replace an unconditional one', () => {
+  const unconditional = policy('ops', ['Allow group Ops to manage buckets in compartment Apps']);
+  const conditional = "Allow group Ops to manage buckets in compartment Apps where request.permission != 'BUCKET_DELETE'";
+  const restrict = planUpdate(unconditional, [conditional]);
+  assert.deepEqual(grantSummary(restrict, 'lost'), ['group Ops: manage buckets in Apps']);
+  assert.equal(restrict.access[0].lost[0].conditional, false);
+  // The unconditional grant it replaces already covered the conditional one
+  assert.deepEqual(grantSummary(restrict, 'gained'), []);
+
+  const loosen = planUpdate(policy('ops', [conditional]), ['Allow group Ops to manage buckets in compartment Apps']);
+  assert.deepEqual(grantSummary(loosen, 'lost'), []);
+  assert.deepEqual(grantSummary(loosen, 'gained'), ['group Ops: manage buckets in Apps']);
+  assert.equal(loosen.access[0].gained[0].conditional, false);
+
+  const both = policy('ops', ['Allow group Ops to manage buckets in compartment Apps', conditional]);
+  const dropCondition = planUpdate(both, ['Allow group Ops to manage buckets in compartment Apps']);
+  assert.deepEqual(grantSummary(dropCondition, 'lost'), []);
+});
+
+test('grants still given by other policies are not lost', () => {
+  const admins = policy('admins', ['Allow group Ops to manage all-resources in tenancy']);
+  const current = policy('ops', ['Allow group Ops to manage policies in tenancy', 'Allow group Ops to {POLICY_UPDATE} in tenancy']);
+  const plan = planUpdate(current, null, [admins]);
+  assert.deepEqual(plan.access, []);
+
+  const alone = planUpdate(current, null);
+  assert.deepEqual(alone.access[0].lost.map((g) => g.policyAdmin), [true, true]);
+  assert.deepEqual(planUpdate(admins, null).access[0].lost.map((g) => g.policyAdmin), [true]);
+});
@@ -0,0 +1,35 @@
+/*
+  backend/test/clientRegistry.test.js
+
+  Identity Domains clients of a config-file profile: one per domain URL, never re-pointed.
+*/
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createOciHome } = require('./ociConfig');
+
+// The registry reads ~/.oci/config from the home directory at load time
+const home = createOciHome({ DEFAULT: { tenancy: 'ocid1.tenancy.oc1..aaaaaaaatest', region: 'us-ashburn-1' } });
+process.env.HOME = home;
+const { getConfigFileClients } = require('../clientRegistry');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('each domain URL gets its own client, reused across lookups', () => {
+  const { domainsClientFor } = getConfigFileClients('DEFAULT');
+  const a = domainsClientFor('https://idcs-a.identity.oraclecloud.com:443');
+  const b = domainsClientFor('https://idcs-b.identity.oraclecloud.com:443');
+  assert.notEqual(a, b);
+  assert.equal(a.endpoint, 'https://idcs-a.identity.oraclecloud.com:443');
+  assert.equal(b.endpoint, 'https://idcs-b.identity.oraclecloud.com:443');
+  assert.equal(domainsClientFor('https://idcs-a.identity.oraclecloud.com:443'), a);
+  assert.equal(getConfigFileClients('DEFAULT').domainsClientFor('https://idcs-a.identity.oraclecloud.com:443'), a);
+});
+
+test('regions of a profile do not share domain clients', () => {
+  const url = 'https://idcs-a.identity.oraclecloud.com:443';
+  const ashburn = getConfigFileClients('DEFAULT').domainsClientFor(url);
+  const frankfurt = getConfigFileClients('DEFAULT', 'eu-frankfurt-1').domainsClientFor(url);
+  assert.notEqual(ashburn, frankfurt);
+});
@@ -0,0 +1,70 @@
+/*
+  backend/test/identityCache.test.js
+
+  Sharing of loads in progress between concurrent callers of the identity cache.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { cached, invalidate } = require('../identityCache');
+
+// Loader whose result is settled by the test; `calls` counts how often it was started
+function deferredLoader() {
+  const loader = () => {
+    loader.calls++;
+    return new Promise((resolve, reject) => {
+      loader.resolve = resolve;
+      loader.reject = reject;
+    });
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+test('concurrent callers share one load', async () => {
+  const key = { profile: 'concurrent', kind: 'policies', compartmentId: 'ocid1.compartment.oc1..a' };
+  const loader = deferredLoader();
+  const first = cached(key, loader);
+  const second = cached(key, loader);
+  loader.resolve(['policy']);
+  const results = await Promise.all([first, second]);
+  assert.equal(loader.calls, 1);
+  assert.deepEqual(results.map((r) => r.value), [['policy'], ['policy']]);
+
+  const third = await cached(key, loader);
+  assert.equal(loader.calls, 1);
+  assert.equal(third.hit, true);
+});
+
+test('a failed load is shared, then retried by the next caller', async () => {
+  const key = { profile: 'failing', kind: 'tenancy' };
+  const loader = deferredLoader();
+  const first = cached(key, loader);
+  const second = cached(key, loader);
+  loader.reject(new Error('TooManyRequests'));
+  await assert.rejects(first, /TooManyRequests/);
+  await assert.rejects(second, /TooManyRequests/);
+  assert.equal(loader.calls, 1);
+
+  const retry = cached(key, loader);
+  loader.resolve({ compartments: [] });
+  assert.deepEqual((await retry).value, { compartments: [] });
+  assert.equal(loader.calls, 2);
+});
+
+test('a load invalidated while in progress is not shared or stored', async () => {
+  const key = { profile: 'invalidated', kind: 'policies', compartmentId: 'ocid1.compartment.oc1..b' };
+  const stale = deferredLoader();
+  const first = cached(key, stale);
+  invalidate('invalidated');
+  const fresh = deferredLoader();
+  const second = cached(key, fresh);
+  stale.resolve(['before the change']);
+  fresh.resolve(['after the change']);
+  assert.deepEqual((await first).value, ['before the change']);
+  assert.deepEqual((await second).value, ['after the change']);
+
+  const third = await cached(key, deferredLoader());
+  assert.equal(third.hit, true);
+  assert.deepEqual(third.value, ['after the change']);
+});
@@ -0,0 +1,291 @@
+/*
+  backend/test/identityEndpoint.test.js
+
+  The backend (index.js) run against the mock Identity API through OCI_IDENTITY_ENDPOINT, with a config-file
+  profile from a temporary home directory: read endpoints, and the If-Match and statement checks of the write endpoints.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fixture = require('../fixtures/identity-fixture.json');
+const { createMockIdentityApp } = require('../mockIdentityServer');
+const { createOciHome } = require('./ociConfig');
+
+const TENANCY = fixture.tenancyId;
+const SECURITY = 'ocid1.compartment.oc1..aaaaaaaamocksecurity';
+const STARTUP_TIMEOUT_MS = 30000;
+
+let mockServer;
+let backend;
+let backendUrl;
+let home;
+let snapshotDir;
+
+/**
+ * Utility: A port nobody listens on right now
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Utility: Resolves once the backend answers, rejects if it exits or does not start in time
+ */
+async function waitForBackend(child, url) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Backend exited with code ${child.exitCode}`);
+    try {
+      const response = await fetch(`${url}/api/profiles`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error('Backend did not start in time');
+}
+
+before(async () => {
+  const app = createMockIdentityApp(JSON.parse(JSON.stringify(fixture)));
+  await new Promise((resolve) => {
+    mockServer = app.listen(0, '127.0.0.1', resolve);
+  });
+  home = createOciHome({ DEFAULT: { tenancy: TENANCY, region: 'us-ashburn-1' } });
+  snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  const port = await freePort();
+  const env = {
+    ...process.env,
+    HOME: home,
+    PORT: String(port),
+    OCI_IDENTITY_ENDPOINT: `http://127.0.0.1:${mockServer.address().port}`,
+    SNAPSHOT_DIR: snapshotDir,
+    CACHE_TTL_SECONDS: '0',
+    LOG_LEVEL: 'silent'
+  };
+  delete env.OCI_CLI_AUTH;
+  delete env.OCI_CONFIG_FILE;
+  delete env.CACHE_FILE;
+  delete env.FRONTEND_ORIGIN;
+  delete env.HOST;
+  backend = spawn(process.execPath, [path.join(__dirname, '..', 'index.js'), '--allow-writes'], { env, stdio: 'ignore' });
+  backendUrl = `http://127.0.0.1:${port}`;
+  await waitForBackend(backend, backendUrl);
+});
+
+after(async () => {
+  if (backend && backend.exitCode === null) {
+    const exited = new Promise((resolve) => backend.once('exit', resolve));
+    backend.kill();
+    await exited;
+  }
+  if (mockServer) await new Promise((resolve) => mockServer.close(resolve));
+  for (const dir of [home, snapshotDir]) {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function api(method, urlPath, { body, headers = {} } = {}) {
+  return fetch(`${backendUrl}${urlPath}`, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+test('the config-file profile is listed', async () => {
+  const data = await (await api('GET', '/api/profiles')).json();
+  assert.deepEqual(data.profiles, ['DEFAULT']);
+  assert.equal(data.allowWrites, true);
+});
+
+test('regions come from the tenancy subscriptions', async () => {
+  const data = await (await api('GET', '/api/regions?profile=DEFAULT')).json();
+  assert.equal(data.homeRegion, 'us-ashburn-1');
+  assert.deepEqual(data.regions.map((r) => r.name).sort(), ['eu-frankfurt-1', 'us-ashburn-1']);
+});
+
+test('compartments are listed and paged through the mock', async () => {
+  const all = await (await api('GET', '/api/compartments?profile=DEFAULT')).json();
+  const rootChildren = fixture.compartments.filter((c) => c.compartmentId === TENANCY);
+  assert.deepEqual(all.map((c) => c.name).sort(), rootChildren.map((c) => c.name).sort());
+
+  const names = [];
+  let page = null;
+  do {
+    const params = new URLSearchParams({ profile: 'DEFAULT', limit: '2' });
+    if (page) params.set('page', page);
+    const response = await api('GET', `/api/compartments?${params}`);
+    assert.equal(response.status, 200);
+    names.push(...(await response.json()).map((c) => c.name));
+    page = response.headers.get('opc-next-page');
+  } while (page);
+  assert.deepEqual(names.sort(), rootChildren.map((c) => c.name).sort());
+});
+
+test('policies, groups and compartment access are read through the mock', async () => {
+  const policies = await (await api('GET', `/api/policies?profile=DEFAULT&compartmentId=${SECURITY}`)).json();
+  assert.ok(policies.length > 0);
+  assert.ok(policies.every((p) => p.compartmentId === SECURITY && Array.isArray(p.parsedStatements)));
+
+  const groups = await (await api('GET', '/api/groups?profile=DEFAULT')).json();
+  assert.deepEqual(groups.map((g) => g.name).sort(), fixture.groups.map((g) => g.name).sort());
+
+  const access = await api('GET', `/api/access/compartment?profile=DEFAULT&compartmentId=${SECURITY}`);
+  assert.equal(access.status, 200);
+  assert.equal((await access.json()).compartmentId, SECURITY);
+
+  const unknown = await api('GET', '/api/access/compartment?profile=DEFAULT&compartmentId=ocid1.compartment.oc1..aaaaaaaanotthere');
+  assert.equal(unknown.status, 404);
+});
+
+test('updates and deletes without If-Match are refused with 428', async () => {
+  const policyId = 'ocid1.policy.oc1..aaaaaaaamocksecurity';
+  const update = await api('PUT', `/api/policies/${policyId}?profile=DEFAULT`, {
+    body: { description: 'No ETag', statements: ['Allow group Auditors to read vaults in tenancy'] }
+  });
+  assert.equal(update.status, 428);
+  const remove = await api('DELETE', `/api/policies/${policyId}?profile=DEFAULT`);
+  assert.equal(remove.status, 428);
+});
+
+test('statements that do not parse are rejected before reaching OCI', async () => {
+  const create = await api('POST', '/api/policies?profile=DEFAULT', {
+    body: { compartmentId: SECURITY, name: 'Broken', description: 'Does not parse', statements: ['Allow group Auditors to frobnicate'] }
+  });
+  assert.equal(create.status, 400);
+  const { parsedStatements } = await create.json();
+  assert.ok(parsedStatements[0].error);
+
+  const update = await api('PUT', '/api/policies/ocid1.policy.oc1..aaaaaaaamocksecurity?profile=DEFAULT', {
+    body: { description: 'Does not parse', statements: ['Allow group Auditors manage all-resources in tenancy'] },
+    headers: { 'If-Match': 'any' }
+  });
+  assert.equal(update.status, 400);
+});
+
+test('a policy is created, updated with its ETag and refused with a stale one', async () => {
+  const create = await api('POST', '/api/policies?profile=DEFAULT', {
+    body: {
+      compartmentId: SECURITY,
+      name: 'Auditors-Keys',
+      description: 'Auditors read keys',
+      statements: ['Allow group Auditors to read keys in compartment Security']
+    }
+  });
+  assert.equal(create.status, 201);
+  const created = await create.json();
+  assert.ok(created.etag);
+
+  const read = await (await api('GET', `/api/policies/${created.id}?profile=DEFAULT`)).json();
+  assert.equal(read.etag, created.etag);
+
+  const update = await api('PUT', `/api/policies/${created.id}?profile=DEFAULT`, {
+    body: { description: 'Auditors read keys and vaults', statements: [...created.statements, 'Allow group Auditors to read vaults in compartment Security'] },
+    headers: { 'If-Match': created.etag }
+  });
+  assert.equal(update.status, 200);
+  const updated = await update.json();
+  assert.equal(updated.statements.length, 2);
+
+  const stale = await api('PUT', `/api/policies/${created.id}?profile=DEFAULT`, {
+    body: { description: 'Lost update', statements: created.statements },
+    headers: { 'If-Match': created.etag }
+  });
+  assert.equal(stale.status, 412);
+
+  const remove = await api('DELETE', `/api/policies/${created.id}?profile=DEFAULT&compartmentId=${SECURITY}`, {
+    headers: { 'If-Match': updated.etag }
+  });
+  assert.equal(remove.status, 200);
+  assert.deepEqual(await remove.json(), { deleted: created.id });
+});
+
+test('write requests from a foreign origin are refused', async () => {
+  const foreign = { Origin: 'https://attacker.example' };
+  const policyId = 'ocid1.policy.oc1..aaaaaaaamocksecurity';
+
+  const read = await api('GET', `/api/policies/${policyId}?profile=DEFAULT`, { headers: foreign });
+  assert.equal(read.headers.get('access-control-allow-origin'), null);
+  const { etag, statements } = await read.json();
+
+  const preflight = await api('OPTIONS', `/api/policies/${policyId}?profile=DEFAULT`, {
+    headers: { ...foreign, 'Access-Control-Request-Method': 'PUT', 'Access-Control-Request-Headers': 'if-match,content-type' }
+  });
+  assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+
+  const update = await api('PUT', `/api/policies/${policyId}?profile=DEFAULT`, {
+    body: { description: 'Rewritten', statements },
+    headers: { ...foreign, 'If-Match': etag }
+  });
+  assert.equal(update.status, 403);
+  const remove = await api('DELETE', `/api/policies/${policyId}?profile=DEFAULT`, { headers: { ...foreign, 'If-Match': etag } });
+  assert.equal(remove.status, 403);
+  const create = await api('POST', '/api/policies?profile=DEFAULT', {
+    body: { compartmentId: SECURITY, name: 'Foreign', description: 'Foreign', statements },
+    headers: foreign
+  });
+  assert.equal(create.status, 403);
+
+  const unchanged = await (await api('GET', `/api/policies/${policyId}?profile=DEFAULT`)).json();
+  assert.equal(unchanged.etag, etag);
+
+  const allowed = await api('OPTIONS', `/api/policies/${policyId}?profile=DEFAULT`, {
+    headers: { Origin: 'http://localhost:5173', 'Access-Control-Request-Method': 'PUT' }
+  });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+});
+
+test('a change is planned against the current version without writing anything', async () => {
+  const policyId = 'ocid1.policy.oc1..aaaaaaaamocktenantadmin';
+  const before = await (await api('GET', `/api/policies/${policyId}?profile=DEFAULT`)).json();
+
+  const remove = await api('POST', '/api/policies/plan?profile=DEFAULT', { body: { action: 'delete', policyId } });
+  assert.equal(remove.status, 200);
+  const plan = await remove.json();
+  assert.equal(plan.action, 'delete');
+  assert.equal(plan.etag, before.etag);
+  const administrators = plan.access.find((a) => a.subject === 'group Administrators');
+  assert.deepEqual(administrators.lost.map((g) => [g.verb, g.resourceType, g.policyAdmin]), [['manage', 'all-resources', true]]);
+
+  const widen = await api('POST', '/api/policies/plan?profile=DEFAULT', {
+    body: {
+      action: 'update',
+      policyId: 'ocid1.policy.oc1..aaaaaaaamocknetwork',
+      description: 'Network admins',
+      statements: [
+        'Allow group NetworkAdmins to manage virtual-network-family in compartment Network',
+        'Allow group NetworkAdmins to manage vcns in compartment Network',
+        'Allow group AppDevs to use virtual-network-family in compartment Network'
+      ]
+    }
+  });
+  const widened = await widen.json();
+  assert.deepEqual(widened.summary, { added: 2, removed: 1, unchanged: 1 });
+  // vcns are part of virtual-network-family, which NetworkAdmins already manage
+  assert.deepEqual(widened.access.map((a) => [a.subject, a.gained.length, a.lost.length]), [['group AppDevs', 1, 0]]);
+
+  const after = await (await api('GET', `/api/policies/${policyId}?profile=DEFAULT`)).json();
+  assert.equal(after.etag, before.etag);
+});
+
+test('a diff reports when each live side was read from OCI', async () => {
+  const requestedAt = Date.now();
+  const diff = await (await api('GET', '/api/diff?from=DEFAULT&to=DEFAULT')).json();
+  assert.deepEqual([diff.added, diff.removed, diff.modified], [[], [], []]);
+  for (const side of [diff.from, diff.to]) {
+    assert.ok(Date.parse(side.capturedAt) >= requestedAt - 1000 && Date.parse(side.capturedAt) <= Date.now());
+  }
+});
@@ -0,0 +1,140 @@
+/*
+  backend/test/mockIdentityServer.test.js
+
+  The mock Identity API on its own: paging, ETags with if-match, and statement validation on create/update.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('../fixtures/identity-fixture.json');
+const { createMockIdentityApp } = require('../mockIdentityServer');
+
+const TENANCY = fixture.tenancyId;
+const SECURITY = 'ocid1.compartment.oc1..aaaaaaaamocksecurity';
+let server;
+let baseUrl;
+
+before(async () => {
+  // A fresh copy of the fixture, since the mock changes its state in place
+  const app = createMockIdentityApp(JSON.parse(JSON.stringify(fixture)));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/20160918`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Signed-looking request (the mock only checks that an Authorization header is present)
+function call(method, urlPath, { body, headers = {} } = {}) {
+  return fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: { authorization: 'Signature test', 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+test('requests without a signature are rejected', async () => {
+  const response = await fetch(`${baseUrl}/compartments?compartmentId=${TENANCY}`);
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'NotAuthenticated');
+});
+
+test('lists are paged with opc-next-page', async () => {
+  const names = [];
+  let page = null;
+  let pages = 0;
+  do {
+    const params = new URLSearchParams({ compartmentId: TENANCY, compartmentIdInSubtree: 'true', limit: '2' });
+    if (page) params.set('page', page);
+    const response = await call('GET', `/compartments?${params}`);
+    assert.equal(response.status, 200);
+    const items = await response.json();
+    assert.ok(items.length <= 2);
+    names.push(...items.map((c) => c.name));
+    page = response.headers.get('opc-next-page');
+    pages += 1;
+  } while (page);
+  assert.equal(pages, Math.ceil(fixture.compartments.length / 2));
+  assert.deepEqual(names, fixture.compartments.map((c) => c.name).sort((a, b) => a.localeCompare(b)));
+});
+
+test('invalid paging parameters are rejected', async () => {
+  for (const query of ['limit=0', 'limit=1001', 'limit=abc', 'page=not-a-cursor']) {
+    const response = await call('GET', `/compartments?compartmentId=${TENANCY}&${query}`);
+    assert.equal(response.status, 400, query);
+    assert.equal((await response.json()).code, 'InvalidParameter');
+  }
+});
+
+test('updates and deletes with a stale if-match fail with 412', async () => {
+  const policyId = 'ocid1.policy.oc1..aaaaaaaamocksecurity';
+  const read = await call('GET', `/policies/${policyId}`);
+  const etag = read.headers.get('etag');
+  assert.ok(etag);
+
+  const update = await call('PUT', `/policies/${policyId}`, {
+    body: { description: 'Vault readers' },
+    headers: { 'if-match': etag }
+  });
+  assert.equal(update.status, 200);
+  assert.notEqual(update.headers.get('etag'), etag);
+
+  const staleUpdate = await call('PUT', `/policies/${policyId}`, {
+    body: { description: 'Lost update' },
+    headers: { 'if-match': etag }
+  });
+  assert.equal(staleUpdate.status, 412);
+  assert.equal((await staleUpdate.json()).code, 'NoEtagMatch');
+
+  const staleDelete = await call('DELETE', `/policies/${policyId}`, { headers: { 'if-match': etag } });
+  assert.equal(staleDelete.status, 412);
+  assert.equal((await call('GET', `/policies/${policyId}`)).status, 200);
+});
+
+test('statements that do not parse are rejected on create and update', async () => {
+  const create = await call('POST', '/policies', {
+    body: {
+      compartmentId: SECURITY,
+      name: 'Broken',
+      description: 'Does not parse',
+      statements: ['Allow group Auditors to read vaults in compartment Security', 'Allow group Auditors to frobnicate']
+    }
+  });
+  assert.equal(create.status, 400);
+  const error = await create.json();
+  assert.equal(error.code, 'InvalidParameter');
+  assert.match(error.message, /frobnicate/);
+
+  const update = await call('PUT', '/policies/ocid1.policy.oc1..aaaaaaaamocktenantadmin', {
+    body: { statements: ['Allow group Administrators manage all-resources in tenancy'] }
+  });
+  assert.equal(update.status, 400);
+  assert.equal((await update.json()).code, 'InvalidParameter');
+});
+
+test('policies are created, listed and deleted', async () => {
+  const create = await call('POST', '/policies', {
+    body: {
+      compartmentId: SECURITY,
+      name: 'Auditors-Vaults',
+      description: 'Auditors read vaults',
+      statements: ['Allow group Auditors to read vaults in compartment Security']
+    }
+  });
+  assert.equal(create.status, 200);
+  const policy = await create.json();
+  assert.match(policy.id, /^ocid1\.policy\.oc1\.\.aaaaaaaa[a-z2-7]{52}$/);
+
+  const duplicate = await call('POST', '/policies', {
+    body: { ...policy, statements: policy.statements, name: 'auditors-vaults' }
+  });
+  assert.equal(duplicate.status, 409);
+
+  const listed = await (await call('GET', `/policies?compartmentId=${SECURITY}`)).json();
+  assert.ok(listed.some((p) => p.id === policy.id));
+
+  const remove = await call('DELETE', `/policies/${policy.id}`, { headers: { 'if-match': create.headers.get('etag') } });
+  assert.equal(remove.status, 204);
+  assert.equal((await call('GET', `/policies/${policy.id}`)).status, 404);
+});
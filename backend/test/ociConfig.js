@@ -0,0 +1,43 @@
+/*
+  backend/test/ociConfig.js
+
+  Test helper: a temporary home directory with an OCI config file (~/.oci/config) and a freshly generated API key,
+  so config-file profiles can be used without a real tenancy. The key is never sent anywhere but the local mock.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates the home directory.
+ * @param {Object} profiles - { name: { tenancy, region } } profiles to write.
+ * @returns {string} Path of the home directory (remove it when done).
+ */
+function createOciHome(profiles) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'oci-home-'));
+  const ociDir = path.join(home, '.oci');
+  fs.mkdirSync(ociDir);
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  const keyFile = path.join(ociDir, 'key.pem');
+  fs.writeFileSync(keyFile, privateKey);
+  const sections = Object.entries(profiles).map(([name, { tenancy, region }]) => [
+    `[${name}]`,
+    'user=ocid1.user.oc1..aaaaaaaatestuser',
+    'fingerprint=00:11:22:33:44:55:66:77:88:99:aa:bb:cc:dd:ee:ff',
+    `tenancy=${tenancy}`,
+    `region=${region}`,
+    `key_file=${keyFile}`
+  ].join('\n'));
+  fs.writeFileSync(path.join(ociDir, 'config'), `${sections.join('\n\n')}\n`);
+  return home;
+}
+
+module.exports = {
+  createOciHome,
+};
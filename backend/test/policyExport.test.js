@@ -0,0 +1,56 @@
+/*
+  backend/test/policyExport.test.js
+
+  Statement rows and the CSV rendering (quoting, formula-injection guard).
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('../fixtures/identity-fixture.json');
+const { parsePolicyStatements } = require('../policyParser');
+const { buildCompartmentIndex } = require('../tenancyModel');
+const { EXPORT_COLUMNS, statementRows, renderExport } = require('../policyExport');
+
+const { tenancyId } = fixture;
+const tenancy = { tenancyId, compartmentIndex: buildCompartmentIndex(tenancyId, fixture.compartments) };
+
+// CSV records of rows, split on the record separator (no field in these tests spans lines)
+function csvLines(rows) {
+  const csv = renderExport(rows, 'csv', 'Test');
+  assert.ok(csv.startsWith('﻿'));
+  assert.ok(csv.endsWith('\r\n'));
+  return csv.slice(1, -2).split('\r\n');
+}
+
+test('statement rows carry the parsed columns', () => {
+  const statements = ['Allow group Admins to manage all-resources in tenancy', 'Allow group A to read'];
+  const rows = statementRows(tenancy, [{
+    id: 'ocid1.policy.oc1..p', name: 'P', compartmentId: tenancyId, statements, parsedStatements: parsePolicyStatements(statements)
+  }]);
+  assert.equal(rows.length, 2);
+  assert.deepEqual(
+    [rows[0].statementNumber, rows[0].verb, rows[0].subject, rows[0].resource, rows[0].location, rows[0].parseError],
+    [1, 'manage', 'group Admins', 'all-resources', 'tenancy', '']
+  );
+  assert.equal(rows[1].parseError, 'Expected resource type but found end of statement');
+});
+
+test('CSV fields are quoted when needed', () => {
+  const row = Object.fromEntries(EXPORT_COLUMNS.map((c) => [c.key, '']));
+  const [header, line] = csvLines([{ ...row, policyName: 'Admins, "core"', statementNumber: 3, statement: 'plain' }]);
+  assert.equal(header, EXPORT_COLUMNS.map((c) => c.header).join(','));
+  assert.equal(line.split(',').slice(2, 7).join(','), '"Admins, ""core""",,3,plain');
+});
+
+test('text a spreadsheet would run as a formula is neutralized', () => {
+  const row = Object.fromEntries(EXPORT_COLUMNS.map((c) => [c.key, '']));
+  const policyNames = ['=1+1', '+SUM(A1)', '-2', '@cmd', '\t=1+1', 'a=b', 'Prod-Admins'];
+  const names = csvLines(policyNames.map((policyName) => ({ ...row, policyName })))
+    .slice(1)
+    .map((line) => line.split(',')[2]);
+  assert.deepEqual(names, ["'=1+1", "'+SUM(A1)", "'-2", "'@cmd", "'\t=1+1", 'a=b', 'Prod-Admins']);
+
+  // Numbers are written as numbers even when negative
+  const [, numberLine] = csvLines([{ ...row, statementNumber: -1 }]);
+  assert.equal(numberLine.split(',')[4], '-1');
+});
@@ -0,0 +1,200 @@
+/*
+  backend/test/policyLinter.test.js
+
+  The lint rule catalogue, its configuration (enable/disable, severity, options, LINT_CONFIG) and each rule's findings.
+*/
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fixture = require('../fixtures/identity-fixture.json');
+const { parsePolicyStatements } = require('../policyParser');
+const { buildCompartmentIndex } = require('../tenancyModel');
+const { RULES, loadLintConfig, resolveRules, lintPolicies } = require('../policyLinter');
+
+const { tenancyId } = fixture;
+const compartmentIndex = buildCompartmentIndex(tenancyId, fixture.compartments);
+const APPS = 'ocid1.compartment.oc1..aaaaaaaamockapps';
+
+// Tenancy context with one policy per statement list, attached to the tenancy root
+function context(...statementLists) {
+  const policies = statementLists.map((statements, i) => ({
+    id: `policy-${i + 1}`,
+    name: `Policy ${i + 1}`,
+    compartmentId: tenancyId,
+    statements,
+    parsedStatements: parsePolicyStatements(statements)
+  }));
+  return { tenancyId, compartmentIndex, policies, groups: fixture.groups, dynamicGroups: fixture.dynamicGroups };
+}
+
+// [ruleId, statementIndex, message] of the findings of one rule (all rules enabled with their defaults)
+function findings(ruleId, tenancy, config = { rules: {} }) {
+  return lintPolicies(tenancy, config)
+    .filter((f) => f.ruleId === ruleId)
+    .map((f) => [f.policyName, f.statementIndex, f.message]);
+}
+
+const configDirs = [];
+after(() => {
+  for (const dir of configDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Writes a config file to a temporary directory; returns its path
+function writeConfig(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lint-config-'));
+  configDirs.push(dir);
+  const file = path.join(dir, 'lint-rules.json');
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return file;
+}
+
+test('the catalogue lists every rule once with a description and severity', () => {
+  const ids = RULES.map((r) => r.id);
+  assert.deepEqual(ids, [
+    'parse-error', 'manage-all-resources-in-tenancy', 'any-user-without-condition', 'unknown-compartment',
+    'unknown-group', 'duplicate-statement', 'deprecated-name'
+  ]);
+  for (const rule of RULES) {
+    assert.ok(rule.description, rule.id);
+    assert.ok(['error', 'warning', 'info'].includes(rule.severity), rule.id);
+  }
+  // The shipped configuration only refers to catalogue rules
+  assert.deepEqual(Object.keys(loadLintConfig(path.join(__dirname, '..', 'lint-rules.json')).rules).filter((id) => !ids.includes(id)), []);
+});
+
+test('rules can be disabled and re-configured', () => {
+  const settings = resolveRules({
+    rules: {
+      'duplicate-statement': { enabled: false },
+      'unknown-group': { severity: 'error' },
+      'manage-all-resources-in-tenancy': { options: { adminGroups: ['Administrators', 'NetworkAdmins'] } }
+    }
+  });
+  const byId = new Map(settings.map((s) => [s.id, s]));
+  assert.equal(byId.get('duplicate-statement').enabled, false);
+  assert.equal(byId.get('parse-error').enabled, true);
+  assert.equal(byId.get('unknown-group').severity, 'error');
+  assert.equal(byId.get('unknown-compartment').severity, 'warning');
+  assert.deepEqual(byId.get('manage-all-resources-in-tenancy').options.adminGroups, ['Administrators', 'NetworkAdmins']);
+
+  const tenancy = context(['Allow group A to read buckets in tenancy', 'Allow group A to read buckets in tenancy']);
+  assert.equal(findings('duplicate-statement', tenancy).length, 1);
+  assert.deepEqual(findings('duplicate-statement', tenancy, { rules: { 'duplicate-statement': { enabled: false } } }), []);
+  const [finding] = lintPolicies(tenancy, { rules: { 'unknown-group': { severity: 'error' } } }).filter((f) => f.ruleId === 'unknown-group');
+  assert.equal(finding.severity, 'error');
+});
+
+test('the config file is read from LINT_CONFIG', () => {
+  const file = writeConfig({ rules: { 'parse-error': { enabled: false } } });
+  const loaded = execFileSync(process.execPath, ['-e', "console.log(JSON.stringify(require('./policyLinter').loadLintConfig()))"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, LINT_CONFIG: file },
+    encoding: 'utf-8'
+  });
+  assert.deepEqual(JSON.parse(loaded), { rules: { 'parse-error': { enabled: false } } });
+
+  assert.deepEqual(loadLintConfig(path.join(path.dirname(file), 'missing.json')), { rules: {} });
+  assert.throws(() => loadLintConfig(writeConfig('{ not json')), SyntaxError);
+});
+
+test('parse errors', () => {
+  assert.deepEqual(findings('parse-error', context(['Allow group A to read all-resources'])), [
+    ['Policy 1', 0, "Cannot parse statement: Expected 'in' but found end of statement (position 35)"]
+  ]);
+});
+
+test('manage all-resources in tenancy for anyone but the admin groups', () => {
+  const tenancy = context([
+    'Allow group Administrators to manage all-resources in tenancy',
+    'Allow group NetworkAdmins, any-user to manage all-resources in tenancy',
+    'Allow group AppDevs to manage all-resources in compartment Apps',
+    "Allow group 'OtherDomain'/'Administrators' to manage all-resources in tenancy"
+  ]);
+  assert.deepEqual(findings('manage-all-resources-in-tenancy', tenancy), [
+    ['Policy 1', 1, 'Full tenancy administration granted to group NetworkAdmins, any-user'],
+    ['Policy 1', 3, 'Full tenancy administration granted to group Administrators']
+  ]);
+  const config = { rules: { 'manage-all-resources-in-tenancy': { options: { adminGroups: ['networkadmins'] } } } };
+  assert.deepEqual(findings('manage-all-resources-in-tenancy', tenancy, config).map(([, index]) => index), [0, 1, 3]);
+});
+
+test('any-user and any-group without a where clause', () => {
+  const tenancy = context([
+    'Allow any-user to read buckets in tenancy',
+    "Allow any-group to read buckets in tenancy where request.region = 'iad'",
+    'Admit any-group of tenancy Partner to read objects in tenancy',
+    'Endorse any-user to read objects in any-tenancy'
+  ]);
+  assert.deepEqual(findings('any-user-without-condition', tenancy), [
+    ['Policy 1', 0, 'any-user is granted access with no where condition'],
+    ['Policy 1', 2, 'any-group is granted access with no where condition']
+  ]);
+});
+
+test('unknown compartments', () => {
+  const tenancy = context([
+    'Allow group AppDevs to read buckets in compartment Apps:Dev',
+    'Allow group AppDevs to read buckets in compartment Apps:Staging',
+    'Allow group AppDevs to read buckets in compartment Sandbox',
+    `Allow group AppDevs to read buckets in compartment id ${APPS}`
+  ]);
+  assert.deepEqual(findings('unknown-compartment', tenancy), [
+    ['Policy 1', 1, 'Compartment Apps:Staging not found'],
+    ['Policy 1', 2, 'Compartment Sandbox not found']
+  ]);
+});
+
+test('unknown groups and identity domains', () => {
+  const tenancy = context([
+    'Allow group AppDevs, group Ghosts to read buckets in tenancy',
+    'Allow dynamic-group ProdInstances to read buckets in tenancy',
+    'Allow dynamic-group Missing to read buckets in tenancy',
+    "Allow group 'Default'/'appdevs' to read buckets in tenancy"
+  ]);
+  assert.deepEqual(findings('unknown-group', tenancy), [
+    ['Policy 1', 0, 'Unknown group Ghosts'],
+    ['Policy 1', 2, 'Unknown dynamic-group Missing']
+  ]);
+  // Other domains are only checked when the domain list is known
+  const domainStatement = ["Allow group 'Partners'/'Readers' to read buckets in tenancy"];
+  assert.deepEqual(findings('unknown-group', context(domainStatement)), []);
+  const withDomains = { ...context(domainStatement), domains: [{ name: 'Default' }] };
+  assert.deepEqual(findings('unknown-group', withDomains), [['Policy 1', 0, 'Unknown identity domain Partners']]);
+  // Older snapshots without group lists are not checked at all
+  assert.deepEqual(findings('unknown-group', { ...tenancy, groups: undefined }), []);
+});
+
+test('duplicate statements within and across policies', () => {
+  const tenancy = context(
+    ['Allow group A to read buckets in tenancy', 'allow  group A to read buckets in tenancy'],
+    ['ALLOW GROUP A TO READ BUCKETS IN TENANCY']
+  );
+  assert.deepEqual(findings('duplicate-statement', tenancy), [
+    ['Policy 1', 1, 'Duplicate of statement #1 earlier in this policy'],
+    ['Policy 2', 0, 'Duplicate of statement #1 in policy Policy 1']
+  ]);
+});
+
+test('deprecated resource types and configured verbs, matched case-insensitively', () => {
+  const tenancy = context([
+    'Allow group A to manage Autonomous-Data-Warehouse in tenancy',
+    'Allow group A to read autonomous-transaction-processing-family in tenancy',
+    'Allow group A to read autonomous-database-family in tenancy',
+    'Allow group A to read constructor in tenancy',
+    'Allow group A to {INSTANCE_READ} in tenancy'
+  ]);
+  assert.deepEqual(findings('deprecated-name', tenancy), [
+    ['Policy 1', 0, "resource type 'autonomous-data-warehouse' is deprecated; use 'autonomous-databases'"],
+    ['Policy 1', 1, "resource type 'autonomous-transaction-processing-family' is deprecated; use 'autonomous-database-family'"]
+  ]);
+
+  const config = { rules: { 'deprecated-name': { options: { verbs: { Manage: 'use' }, resourceTypes: { 'Autonomous-Database-Family': 'databases' } } } } };
+  assert.deepEqual(findings('deprecated-name', tenancy, config), [
+    ['Policy 1', 0, "verb 'manage' is deprecated; use 'use'"],
+    ['Policy 1', 2, "resource type 'autonomous-database-family' is deprecated; use 'databases'"]
+  ]);
+});
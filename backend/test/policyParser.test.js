@@ -0,0 +1,171 @@
+/*
+  backend/test/policyParser.test.js
+
+  Statement models of the four statement forms, and error positions for statements that do not parse.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PolicyParseError, parseStatement, parsePolicyStatements } = require('../policyParser');
+
+// Position and message of the PolicyParseError raised for `statement`
+function parseError(statement) {
+  try {
+    parseStatement(statement);
+  } catch (err) {
+    assert.ok(err instanceof PolicyParseError, `${statement}: ${err}`);
+    return { position: err.position, message: err.message };
+  }
+  return assert.fail(`Parsed: ${statement}`);
+}
+
+test('allow statements', () => {
+  assert.deepEqual(parseStatement('Allow group Admins to manage all-resources in tenancy'), {
+    type: 'allow',
+    subjects: [{ type: 'group', name: 'Admins' }],
+    verb: 'manage',
+    resourceType: 'all-resources',
+    permissions: null,
+    location: { type: 'tenancy' },
+    conditions: null
+  });
+  assert.deepEqual(parseStatement('ALLOW GROUP Devs TO READ Buckets IN COMPARTMENT Apps:Dev'), {
+    type: 'allow',
+    subjects: [{ type: 'group', name: 'Devs' }],
+    verb: 'read',
+    resourceType: 'buckets',
+    permissions: null,
+    location: { type: 'compartment', name: 'Apps:Dev', path: ['Apps', 'Dev'] },
+    conditions: null
+  });
+});
+
+test('subject lists, ids, services and any-user', () => {
+  const { subjects } = parseStatement(
+    'Allow group A, B, dynamic-group id ocid1.dynamicgroup.oc1..x, service objectstorage-us-ashburn-1, any-user to read buckets in tenancy'
+  );
+  assert.deepEqual(subjects, [
+    { type: 'group', name: 'A' },
+    { type: 'group', name: 'B' },
+    { type: 'dynamic-group', id: 'ocid1.dynamicgroup.oc1..x' },
+    { type: 'service', name: 'objectstorage-us-ashburn-1' },
+    { type: 'any-user' }
+  ]);
+});
+
+test('domain-qualified and quoted names', () => {
+  const { subjects, location } = parseStatement(
+    "Allow group 'My Domain'/'Cloud Admins', group Ops/NetAdmins, group \"Quoted Group\" to use instances in compartment 'Prod Apps'"
+  );
+  assert.deepEqual(subjects, [
+    { type: 'group', domain: 'My Domain', name: 'Cloud Admins' },
+    { type: 'group', domain: 'Ops', name: 'NetAdmins' },
+    { type: 'group', name: 'Quoted Group' }
+  ]);
+  assert.deepEqual(location, { type: 'compartment', name: 'Prod Apps', path: ['Prod Apps'] });
+});
+
+test('permission lists and compartment ids', () => {
+  const parsed = parseStatement('Allow group Ops to {INSTANCE_READ, INSTANCE_UPDATE} in compartment id ocid1.compartment.oc1..abc');
+  assert.equal(parsed.verb, null);
+  assert.equal(parsed.resourceType, null);
+  assert.deepEqual(parsed.permissions, ['INSTANCE_READ', 'INSTANCE_UPDATE']);
+  assert.deepEqual(parsed.location, { type: 'compartment', id: 'ocid1.compartment.oc1..abc' });
+});
+
+test('endorse, admit and define statements', () => {
+  assert.deepEqual(parseStatement('Endorse group Auditors to read all-resources in tenancy Partner'), {
+    type: 'endorse',
+    subjects: [{ type: 'group', name: 'Auditors' }],
+    verb: 'read',
+    resourceType: 'all-resources',
+    permissions: null,
+    location: { type: 'tenancy', alias: 'Partner' },
+    conditions: null
+  });
+  assert.deepEqual(parseStatement('Endorse any-user to {OBJECT_READ} in any-tenancy').location, { type: 'any-tenancy' });
+  assert.deepEqual(parseStatement('Admit group Auditors of tenancy Source to read buckets in compartment Shared'), {
+    type: 'admit',
+    subjects: [{ type: 'group', name: 'Auditors' }],
+    tenancy: { type: 'tenancy', alias: 'Source' },
+    verb: 'read',
+    resourceType: 'buckets',
+    permissions: null,
+    location: { type: 'compartment', name: 'Shared', path: ['Shared'] },
+    conditions: null
+  });
+  assert.deepEqual(parseStatement('Define tenancy Partner as ocid1.tenancy.oc1..partner'), {
+    type: 'define', entityType: 'tenancy', alias: 'Partner', ocid: 'ocid1.tenancy.oc1..partner'
+  });
+  assert.deepEqual(parseStatement('define dynamic-group Fns as ocid1.dynamicgroup.oc1..fns'), {
+    type: 'define', entityType: 'dynamic-group', alias: 'Fns', ocid: 'ocid1.dynamicgroup.oc1..fns'
+  });
+});
+
+test('conditions: operators, values and any/all groups', () => {
+  assert.deepEqual(parseStatement("Allow group A to manage buckets in tenancy where target.bucket.name = 'logs'").conditions, {
+    type: 'condition', variable: 'target.bucket.name', operator: '=', value: { kind: 'string', value: 'logs' }
+  });
+  const { conditions } = parseStatement(
+    "Allow any-user to read objects in tenancy where any { request.permission != 'OBJECT_DELETE', " +
+    "all { target.bucket.name = /logs-*/, request.user.id = target.user.id }, " +
+    "request.region in ('iad', 'phx'), request.operation not in ('Delete'), " +
+    "request.utc-timestamp between '2026-01-01T00:00:00Z' and '2026-12-31T00:00:00Z' }"
+  );
+  assert.deepEqual(conditions, {
+    type: 'any',
+    conditions: [
+      { type: 'condition', variable: 'request.permission', operator: '!=', value: { kind: 'string', value: 'OBJECT_DELETE' } },
+      {
+        type: 'all',
+        conditions: [
+          { type: 'condition', variable: 'target.bucket.name', operator: '=', value: { kind: 'pattern', value: 'logs-*' } },
+          { type: 'condition', variable: 'request.user.id', operator: '=', value: { kind: 'identifier', value: 'target.user.id' } }
+        ]
+      },
+      {
+        type: 'condition',
+        variable: 'request.region',
+        operator: 'in',
+        values: [{ kind: 'string', value: 'iad' }, { kind: 'string', value: 'phx' }]
+      },
+      { type: 'condition', variable: 'request.operation', operator: 'not in', values: [{ kind: 'string', value: 'Delete' }] },
+      {
+        type: 'condition',
+        variable: 'request.utc-timestamp',
+        operator: 'between',
+        values: [{ kind: 'string', value: '2026-01-01T00:00:00Z' }, { kind: 'string', value: '2026-12-31T00:00:00Z' }]
+      }
+    ]
+  });
+});
+
+test('malformed statements fail at the offending position', () => {
+  assert.deepEqual(parseError('Allow group A to read all-resources'), {
+    position: 35, message: "Expected 'in' but found end of statement"
+  });
+  assert.equal(parseError('').position, 0);
+  assert.equal(parseError('Permit group A to read buckets in tenancy').position, 0);
+  assert.equal(parseError('Allow group A to write buckets in tenancy').position, 17);
+  assert.equal(parseError('Allow group A read buckets in tenancy').position, 14);
+  assert.equal(parseError('Allow group A to read in tenancy').position, 22);
+  assert.equal(parseError('Allow group A to read buckets in region us-ashburn-1').position, 33);
+  assert.equal(parseError('Allow group A to read buckets in tenancy extra').position, 41);
+  assert.equal(parseError("Allow group 'A to read buckets in tenancy").position, 12);
+  assert.equal(parseError('Allow group A to {BUCKET_READ in tenancy').position, 30);
+  assert.equal(parseError("Allow group A to read buckets in tenancy where request.region ~ 'iad'").position, 62);
+  assert.equal(parseError('Define user Bob as ocid1.user.oc1..bob').position, 7);
+  assert.equal(parseError('Admit group A to read buckets in tenancy').position, 14);
+});
+
+test('parsePolicyStatements reports errors and token roles without throwing', () => {
+  const [ok, bad] = parsePolicyStatements(['Allow group A to read buckets in tenancy', 'Allow group A to read']);
+  assert.equal(ok.error, null);
+  assert.deepEqual(ok.tokens.map((t) => t.role), [
+    'keyword', 'subject-type', 'subject', 'keyword', 'verb', 'resource', 'keyword', 'location-type'
+  ]);
+  assert.equal(ok.tokens[2].subjectIndex, 0);
+  assert.equal(bad.parsed, null);
+  assert.deepEqual(bad.error, { message: 'Expected resource type but found end of statement', position: 21 });
+  assert.deepEqual(bad.tokens.map((t) => t.role), ['keyword', 'subject-type', 'subject', 'keyword', 'verb']);
+});
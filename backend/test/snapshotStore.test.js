@@ -0,0 +1,45 @@
+/*
+  backend/test/snapshotStore.test.js
+
+  Storing snapshots under sanitized names (in a temporary SNAPSHOT_DIR).
+*/
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+process.env.SNAPSHOT_DIR = snapshotDir;
+const { saveSnapshot, loadSnapshot, listSnapshots, snapshotExists } = require('../snapshotStore');
+
+after(() => fs.rmSync(snapshotDir, { recursive: true, force: true }));
+
+// Smallest document validateSnapshot accepts
+function snapshotOf(tenancyId) {
+  return {
+    format: 'oci-policy-browser-snapshot',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    profile: 'DEFAULT',
+    tenancyId,
+    compartments: [],
+    policies: []
+  };
+}
+
+test('names are stored under their sanitized file name', () => {
+  assert.equal(saveSnapshot('audit/2024 Q1', snapshotOf('ocid1.tenancy.oc1..a')), 'audit_2024_Q1');
+  assert.equal(loadSnapshot('audit_2024_Q1').tenancyId, 'ocid1.tenancy.oc1..a');
+  assert.ok(snapshotExists('audit 2024 Q1'));
+});
+
+test('a name that sanitizes to a stored snapshot is refused with 409', () => {
+  saveSnapshot('prod/a', snapshotOf('ocid1.tenancy.oc1..prod'));
+  assert.throws(() => saveSnapshot('prod a', snapshotOf('ocid1.tenancy.oc1..other')), (err) => (
+    err.statusCode === 409 && err.message === 'Snapshot prod_a already exists'
+  ));
+  assert.equal(loadSnapshot('prod_a').tenancyId, 'ocid1.tenancy.oc1..prod');
+  assert.equal(listSnapshots().filter((s) => s.name === 'prod_a').length, 1);
+});
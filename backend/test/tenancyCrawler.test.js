@@ -0,0 +1,77 @@
+/*
+  backend/test/tenancyCrawler.test.js
+
+  Identity crawls against fake clients: groups of every identity domain come from that domain's own client,
+  also when several crawls run at once.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { crawlIdentities } = require('../tenancyCrawler');
+
+const TENANCY = 'ocid1.tenancy.oc1..aaaaaaaatest';
+const DOMAINS = ['default', 'partners', 'workforce'].map((name) => ({
+  id: `ocid1.domain.oc1..${name}`,
+  displayName: name === 'default' ? 'Default' : name,
+  type: name === 'default' ? 'DEFAULT' : 'SECONDARY',
+  url: `https://idcs-${name}.identity.oraclecloud.com:443`,
+  compartmentId: TENANCY
+}));
+
+// Resolves after a few milliseconds, so calls of concurrent crawls interleave
+const tick = () => new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+
+// Classic IAM client of the tenancy: no classic groups, the three domains above
+const identityClient = {
+  listGroups: async () => ({ items: [] }),
+  listDynamicGroups: async () => ({ items: [] }),
+  listDomains: async () => ({ items: DOMAINS })
+};
+
+// Fake IdentityDomainsClient lookup; each client names its results after the endpoint it calls at the time of the call
+function domainsClientLookup() {
+  const byUrl = new Map();
+  return (domainUrl) => {
+    if (!byUrl.has(domainUrl)) {
+      const client = {
+        endpoint: domainUrl,
+        async listGroups() {
+          const endpoint = this.endpoint;
+          await tick();
+          return { groups: { resources: [{ ocid: `group@${endpoint}`, displayName: `group@${endpoint}` }], totalResults: 1 } };
+        },
+        async listDynamicResourceGroups() {
+          const endpoint = this.endpoint;
+          await tick();
+          return { dynamicResourceGroups: { resources: [{ ocid: `dg@${endpoint}`, displayName: `dg@${endpoint}` }], totalResults: 1 } };
+        }
+      };
+      byUrl.set(domainUrl, client);
+    }
+    return byUrl.get(domainUrl);
+  };
+}
+
+test('concurrent crawls read every domain from its own endpoint', async () => {
+  const domainsClientFor = domainsClientLookup();
+  const crawls = await Promise.all([1, 2, 3].map(() => (
+    crawlIdentities(identityClient, TENANCY, domainsClientFor, [TENANCY])
+  )));
+  for (const { domains, groups, dynamicGroups } of crawls) {
+    assert.equal(domains.length, 3);
+    assert.deepEqual(groups.map((g) => [g.domain, g.name]).sort(), [
+      ['partners', 'group@https://idcs-partners.identity.oraclecloud.com:443'],
+      ['workforce', 'group@https://idcs-workforce.identity.oraclecloud.com:443']
+    ]);
+    assert.deepEqual(dynamicGroups.map((g) => [g.domain, g.name]).sort(), [
+      ['partners', 'dg@https://idcs-partners.identity.oraclecloud.com:443'],
+      ['workforce', 'dg@https://idcs-workforce.identity.oraclecloud.com:443']
+    ]);
+  }
+});
+
+test('without a domains client only the classic groups are listed', async () => {
+  const { domains, groups } = await crawlIdentities(identityClient, TENANCY, undefined, [TENANCY]);
+  assert.equal(domains, undefined);
+  assert.deepEqual(groups, []);
+});
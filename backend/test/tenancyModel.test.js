@@ -0,0 +1,70 @@
+/*
+  backend/test/tenancyModel.test.js
+
+  Resolution of statement locations against the compartments of the mock identity fixture.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('../fixtures/identity-fixture.json');
+const { parseStatement, parsePolicyStatements } = require('../policyParser');
+const { lintPolicies } = require('../policyLinter');
+const { buildCompartmentIndex, resolveLocation } = require('../tenancyModel');
+
+const { tenancyId } = fixture;
+const index = buildCompartmentIndex(tenancyId, fixture.compartments);
+const APPS = 'ocid1.compartment.oc1..aaaaaaaamockapps';
+const DEV = 'ocid1.compartment.oc1..aaaaaaaamockappsdev';
+const PROD = 'ocid1.compartment.oc1..aaaaaaaamockappsprod';
+const SECURITY = 'ocid1.compartment.oc1..aaaaaaaamocksecurity';
+
+// Compartment the location of `statement` resolves to for a policy attached to `policyCompartmentId`
+function resolve(statement, policyCompartmentId) {
+  return resolveLocation(parseStatement(statement).location, policyCompartmentId, index, tenancyId);
+}
+
+test('names and paths are relative to the policy compartment', () => {
+  assert.equal(resolve('Allow group AppDevs to read buckets in compartment Apps:Dev', tenancyId), DEV);
+  assert.equal(resolve('Allow group AppDevs to read buckets in compartment Dev', APPS), DEV);
+  assert.equal(resolve('Allow group AppDevs to read buckets in compartment Dev', tenancyId), null);
+  assert.equal(resolve('Allow group AppDevs to read buckets in tenancy', APPS), tenancyId);
+});
+
+test('a policy may name the compartment it is attached to', () => {
+  assert.equal(resolve('Allow any-user to read vaults in compartment Security', SECURITY), SECURITY);
+  assert.equal(resolve('Allow group AppDevs to read buckets in compartment apps:Prod', APPS), PROD);
+  assert.equal(resolve('Allow group AppDevs to read buckets in compartment Apps:Security', APPS), null);
+});
+
+test('deleted compartments do not resolve', () => {
+  assert.equal(resolve('Allow group AppDevs to read buckets in compartment Sandbox', tenancyId), null);
+});
+
+test('compartment ids resolve only within the policy compartment subtree', () => {
+  assert.equal(resolve(`Allow group AppDevs to read buckets in compartment id ${DEV}`, tenancyId), DEV);
+  assert.equal(resolve(`Allow group AppDevs to read buckets in compartment id ${DEV}`, APPS), DEV);
+  assert.equal(resolve(`Allow group AppDevs to read buckets in compartment id ${APPS}`, APPS), APPS);
+  assert.equal(resolve(`Allow group AppDevs to read buckets in compartment id ${SECURITY}`, APPS), null);
+  assert.equal(resolve(`Allow group AppDevs to read buckets in compartment id ${APPS}`, DEV), null);
+  assert.equal(resolve('Allow group AppDevs to read buckets in compartment id ocid1.compartment.oc1..unknown', tenancyId), null);
+});
+
+test('the unknown-compartment rule accepts self-referencing policies', () => {
+  const policies = fixture.policies.map((p) => ({ ...p, parsedStatements: parsePolicyStatements(p.statements) }));
+  const findings = lintPolicies({ tenancyId, policies, compartmentIndex: index }, { rules: {} })
+    .filter((f) => f.ruleId === 'unknown-compartment');
+  assert.deepEqual(findings, []);
+});
+
+test('the unknown-compartment rule flags compartment ids outside the policy compartment', () => {
+  const policy = {
+    id: 'ocid1.policy.oc1..test',
+    compartmentId: APPS,
+    name: 'Test',
+    statements: [`Allow group AppDevs to read buckets in compartment id ${SECURITY}`]
+  };
+  policy.parsedStatements = parsePolicyStatements(policy.statements);
+  const findings = lintPolicies({ tenancyId, policies: [policy], compartmentIndex: index }, { rules: {} })
+    .filter((f) => f.ruleId === 'unknown-compartment');
+  assert.deepEqual(findings.map((f) => f.message), [`Compartment ${SECURITY} is not in the policy's compartment or below it`]);
+});
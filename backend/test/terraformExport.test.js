@@ -0,0 +1,86 @@
+/*
+  backend/test/terraformExport.test.js
+
+  Generated Terraform: HCL escaping, compartment OCIDs replaced by variables, and unique resource names.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('../fixtures/identity-fixture.json');
+const { buildCompartmentIndex } = require('../tenancyModel');
+const { renderTerraform } = require('../terraformExport');
+
+const { tenancyId } = fixture;
+const tenancy = { tenancyId, compartmentIndex: buildCompartmentIndex(tenancyId, fixture.compartments) };
+const APPS = 'ocid1.compartment.oc1..aaaaaaaamockapps';
+const DEV = 'ocid1.compartment.oc1..aaaaaaaamockappsdev';
+
+function policy(fields) {
+  return { id: `ocid1.policy.oc1..${fields.name.replace(/\W/g, '').toLowerCase()}`, compartmentId: tenancyId, statements: [], ...fields };
+}
+
+// Lines of the resource block of one policy
+function resourceBlock(hcl, resourceName) {
+  const start = hcl.indexOf(`resource "oci_identity_policy" "${resourceName}" {`);
+  assert.notEqual(start, -1, `resource ${resourceName}`);
+  return hcl.slice(start, hcl.indexOf('\n}\n', start) + 2).split('\n');
+}
+
+test('strings are escaped for HCL quoted templates', () => {
+  const hcl = renderTerraform(tenancy, [policy({
+    name: 'Escapes',
+    description: 'Say "hi" \\ tab\there\nnext line',
+    statements: [
+      "Allow group A to read buckets in tenancy where target.bucket.name = '${prefix}-logs'",
+      "Allow group A to read objects in tenancy where target.bucket.name = '%{if}' and request.path = 'C:\\\\logs'",
+      'Allow group "Quoted" to read buckets in tenancy'
+    ],
+    freeformTags: { 'cost"center': '${team}' }
+  })]);
+  const block = resourceBlock(hcl, 'escapes');
+  assert.ok(block.includes('  description    = "Say \\"hi\\" \\\\ tab\\there\\nnext line"'), block.join('\n'));
+  assert.ok(block.includes(`    "Allow group A to read buckets in tenancy where target.bucket.name = '$\${prefix}-logs'",`));
+  assert.ok(block.includes(`    "Allow group A to read objects in tenancy where target.bucket.name = '%%{if}' and request.path = 'C:\\\\\\\\logs'",`));
+  assert.ok(block.includes('    "Allow group \\"Quoted\\" to read buckets in tenancy",'));
+  assert.ok(block.includes('  freeform_tags = { "cost\\"center" = "$${team}" }'));
+  // No unescaped template sequence is left anywhere in the file except variable references
+  assert.deepEqual(hcl.match(/(?<![$%])[$%]\{(?!var\.)/g), null);
+});
+
+test('compartment OCIDs become variables, longest OCID first', () => {
+  const hcl = renderTerraform(tenancy, [policy({
+    name: 'Apps',
+    compartmentId: APPS,
+    statements: [
+      `Allow group A to read buckets in compartment id ${DEV}`,
+      `Allow group A to read buckets in compartment id ${APPS} where target.compartment.id != '${DEV}'`,
+      `Allow group A to read buckets in compartment id ${tenancyId}`,
+      'Allow group A to read buckets in compartment id ocid1.compartment.oc1..unknown'
+    ]
+  })]);
+  const block = resourceBlock(hcl, 'apps');
+  assert.ok(block.includes('  compartment_id = var.compartment_apps'));
+  assert.deepEqual(block.filter((l) => l.startsWith('    "')), [
+    '    "Allow group A to read buckets in compartment id ${var.compartment_apps_dev}",',
+    "    \"Allow group A to read buckets in compartment id ${var.compartment_apps} where target.compartment.id != '${var.compartment_apps_dev}'\",",
+    '    "Allow group A to read buckets in compartment id ${var.tenancy_ocid}",',
+    '    "Allow group A to read buckets in compartment id ocid1.compartment.oc1..unknown",'
+  ]);
+  // Only referenced compartments are declared, root first, each defaulting to its OCID
+  const declared = [...hcl.matchAll(/variable "([^"]+)" \{\n[^}]*default\s+= "([^"]+)"/g)].map((m) => [m[1], m[2]]);
+  assert.deepEqual(declared, [['tenancy_ocid', tenancyId], ['compartment_apps', APPS], ['compartment_apps_dev', DEV]]);
+});
+
+test('resource names are valid identifiers and unique', () => {
+  const hcl = renderTerraform(tenancy, [
+    policy({ name: 'My Policy' }),
+    policy({ name: 'my-policy' }),
+    policy({ name: 'my_policy' }),
+    policy({ name: '2024 audit' }),
+    policy({ name: '---' })
+  ]);
+  const names = [...hcl.matchAll(/resource "oci_identity_policy" "([^"]+)"/g)].map((m) => m[1]);
+  assert.deepEqual(names, ['policy', 'policy_2024_audit', 'my_policy', 'my_policy_2', 'my_policy_3']);
+  const imports = [...hcl.matchAll(/to = oci_identity_policy\.(\S+)\n\s+id = "([^"]+)"/g)].map((m) => m[1]);
+  assert.deepEqual(imports, names);
+});
@@ -0,0 +1,100 @@
+/*
+  backend/test/xlsxWriter.test.js
+
+  The generated workbook read back with an independent ZIP reader: entry table, checksums and sheet XML.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { buildXlsx } = require('../xlsxWriter');
+
+// Bitwise CRC-32 (no lookup table, so it does not share code with the writer)
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Utility: Entries of a ZIP archive from its central directory, checked against their local headers
+ * Returns Map name -> contents (utf-8)
+ */
+function readZip(archive) {
+  const endOffset = archive.length - 22;
+  assert.equal(archive.readUInt32LE(endOffset), 0x06054b50, 'end of central directory');
+  const count = archive.readUInt16LE(endOffset + 10);
+  assert.equal(archive.readUInt16LE(endOffset + 8), count);
+  const centralSize = archive.readUInt32LE(endOffset + 12);
+  let central = archive.readUInt32LE(endOffset + 16);
+  assert.equal(central + centralSize, endOffset, 'central directory ends where the end record starts');
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(central), 0x02014b50, 'central directory header');
+    const method = archive.readUInt16LE(central + 10);
+    const crc = archive.readUInt32LE(central + 16);
+    const compressedSize = archive.readUInt32LE(central + 20);
+    const size = archive.readUInt32LE(central + 24);
+    const nameLength = archive.readUInt16LE(central + 28);
+    const extraLength = archive.readUInt16LE(central + 30);
+    const commentLength = archive.readUInt16LE(central + 32);
+    const localOffset = archive.readUInt32LE(central + 42);
+    const name = archive.toString('utf8', central + 46, central + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(localOffset), 0x04034b50, `local header of ${name}`);
+    assert.equal(archive.readUInt32LE(localOffset + 14), crc, `local CRC of ${name}`);
+    assert.equal(archive.readUInt32LE(localOffset + 18), compressedSize);
+    assert.equal(archive.readUInt32LE(localOffset + 22), size);
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    assert.equal(archive.toString('utf8', localOffset + 30, localOffset + 30 + localNameLength), name);
+    const dataStart = localOffset + 30 + localNameLength + archive.readUInt16LE(localOffset + 28);
+    const stored = archive.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(stored) : stored;
+    assert.equal(data.length, size, `size of ${name}`);
+    assert.equal(crc32(data), crc, `CRC of ${name}`);
+
+    entries.set(name, data.toString('utf8'));
+    central += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+test('the workbook is a valid ZIP archive with the spreadsheet parts', () => {
+  const entries = readZip(buildXlsx('Statements', ['Policy', 'Statement #'], [['Admins', 1], ['Readers', 2]]));
+  assert.deepEqual([...entries.keys()].sort(), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml'
+  ]);
+  const sheet = entries.get('xl/worksheets/sheet1.xml');
+  assert.match(sheet, /<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Policy<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B3"><v>2<\/v><\/c>/);
+  assert.match(sheet, /<autoFilter ref="A1:B3"\/>/);
+  assert.match(entries.get('xl/workbook.xml'), /<sheet name="Statements" sheetId="1" r:id="rId1"\/>/);
+});
+
+test('text is escaped for XML and cut to the cell limit without splitting entities', () => {
+  const long = `${'x'.repeat(32766)}&more`;
+  const entries = readZip(buildXlsx('A/B: [x]', ['Text'], [
+    ['<b>"Tom" & Jerry</b>'],
+    ['bell\u0007 and\ttab'],
+    ['=HYPERLINK("http://example.com")'],
+    [long],
+    [null]
+  ]));
+  const sheet = entries.get('xl/worksheets/sheet1.xml');
+  const texts = [...sheet.matchAll(/<c r="(A\d+)"[^>]*><is><t xml:space="preserve">([^<]*)<\/t>/g)].map((m) => [m[1], m[2]]);
+  assert.deepEqual(texts.slice(1, 4), [
+    ['A2', '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;'],
+    ['A3', 'bell and\ttab'],
+    // Inline strings are never evaluated, so formulas stay plain text
+    ['A4', '=HYPERLINK(&quot;http://example.com&quot;)']
+  ]);
+  assert.equal(texts[4][1], `${'x'.repeat(32766)}&amp;`);
+  assert.doesNotMatch(sheet, /<f>/);
+  assert.match(sheet, /<row r="6"><\/row>/);
+  assert.match(entries.get('xl/workbook.xml'), /<sheet name="A_B_ _x_" /);
+});
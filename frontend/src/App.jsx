@@ -1,45 +1,396 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
+import { API_ROOT, fetchAllPages } from './api';
+import { parseRoute, formatRoute } from './routes';
+import ProfileSelector from './components/ProfileSelector';
 import CompartmentBrowser from './components/CompartmentBrowser';
+import PolicySearch from './components/PolicySearch';
+import EffectiveAccess from './components/EffectiveAccess';
+import CompartmentAccess from './components/CompartmentAccess';
+import PolicyHistory from './components/PolicyHistory';
+import GroupBrowser from './components/GroupBrowser';
+import DynamicGroupBrowser from './components/DynamicGroupBrowser';
+import UserBrowser from './components/UserBrowser';
 import PolicyDetail from './components/PolicyDetail';
+import MultiTenancy from './components/MultiTenancy';
+
+// Path from the root's child down to a compartment ([{ id, name }]), walked up through the loaded hierarchy
+function stackOf(byId, compartmentId) {
+  const stack = [];
+  for (let c = byId[compartmentId]; c && c.parentId; c = byId[c.parentId]) {
+    stack.unshift({ id: c.id, name: c.name });
+  }
+  return stack;
+}
 
 function App() {
+  // Route the page was opened with (see routes.js); seeds the initial state below
+  const [initialRoute] = useState(() => parseRoute(window.location.hash));
+
   // App state for page/tab and current policy
-  const [tab, setTab] = useState('main'); // 'main' | 'policyDetail'
+  const [tab, setTab] = useState(initialRoute.view === 'policyDetail' ? 'main' : initialRoute.view); // 'main' | 'search' | 'access' | 'groups' | 'dynamicGroups' | 'users' | 'history' | 'multi' | 'compartmentAccess' | 'policyDetail'
+  const [returnTab, setReturnTab] = useState('main'); // tab to go back to from policyDetail
   const [selectedPolicy, setSelectedPolicy] = useState(null);
+  const [accessCompartment, setAccessCompartment] = useState(null); // { id, path } for compartmentAccess
 
   // LIFT state from CompartmentBrowser for persistence on navigation
-  const [selectedProfile, setSelectedProfile] = useState('');
+  const [selectedProfile, setSelectedProfile] = useState(initialRoute.profile);
   const [profileRootId, setProfileRootId] = useState('');
   const [compartmentStack, setCompartmentStack] = useState([]);
+  const [selectedRegion, setSelectedRegion] = useState(''); // '' = the profile's configured region
+
+  // LIFT state from PolicySearch so results survive opening a policy
+  const [search, setSearch] = useState({ query: '', regex: false, caseSensitive: false, results: null });
+
+  // LIFT state from EffectiveAccess so the last analysis survives tab switches
+  const [access, setAccess] = useState({ type: 'group', name: '', domain: '', result: null });
+
+  // LIFT state from MultiTenancy: selected profiles, search and comparison across tenancies
+  const [multi, setMulti] = useState({
+    profiles: [], query: '', regex: false, caseSensitive: false, results: null, comparison: null, crossTenancy: null,
+    errors: []
+  });
+
+  // Lint findings of the selected profile, loaded in the background: { profile, byPolicy: { policyId: [finding] } }
+  const [lint, setLint] = useState({ profile: '', byPolicy: {} });
+  const findingsByPolicy = lint.profile === selectedProfile ? lint.byPolicy : {};
+
+  // Compartment hierarchy of the selected profile: { profile, rootId, byId: { id: { name, parentId, depth, path } }, error? }
+  const [hierarchy, setHierarchy] = useState({ profile: '', rootId: '', byId: {} });
+  const compartmentsById = hierarchy.profile === selectedProfile ? hierarchy.byId : {};
+
+  // Route from the URL waiting for the profile's compartment hierarchy to resolve its path (null if none)
+  const [pendingRoute, setPendingRoute] = useState(
+    initialRoute.path.length > 0 || initialRoute.policyId ? initialRoute : null
+  );
+  const [routeError, setRouteError] = useState('');
+
+  // Whether the backend accepts policy changes (started with --allow-writes); snapshots stay read-only
+  const [allowWrites, setAllowWrites] = useState(false);
+  const canWrite = allowWrites && !!selectedProfile && !selectedProfile.startsWith('snapshot:');
+  // Bumped per applied route and profile change, so a hierarchy or policy lookup finishing after further
+  // navigation no longer settles the route it was started for
+  const routeLoad = useRef(0);
+
+  // Fetch the whole compartment hierarchy of a profile, so compartment OCIDs can be shown as paths and URL paths
+  // resolved to compartments; `route` (optional) is the pending route to settle once it has loaded
+  function loadHierarchy(profile, route = null) {
+    if (!profile) return;
+    const load = routeLoad.current;
+    const loaded = (loadedHierarchy) => {
+      setHierarchy(loadedHierarchy);
+      if (route && load === routeLoad.current) resolveRoute(route, loadedHierarchy);
+    };
+    const failed = (error) => loaded({ profile, rootId: '', byId: {}, error });
+    fetch(`${API_ROOT}/api/compartments/tree?profile=${encodeURIComponent(profile)}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (!Array.isArray(data.compartments)) {
+          failed(data.error || 'Could not load the compartment hierarchy.');
+          return;
+        }
+        loaded({
+          profile,
+          rootId: data.tenancyId,
+          byId: Object.fromEntries(data.compartments.map((c) => [c.id, c]))
+        });
+      })
+      .catch(() => failed('Could not load the compartment hierarchy.'));
+  }
+
+  // Settle a pending route: open its compartment path (and policy) in the profile's loaded hierarchy
+  function resolveRoute(route, loadedHierarchy) {
+    const pathName = route.path.join('/');
+    const matches = Object.values(loadedHierarchy.byId).filter((c) => c.path === pathName);
+    // Deleted compartments keep their names, so prefer the active one
+    const target = matches.find((c) => c.lifecycleState === 'ACTIVE') || matches[0];
+    if (!target) {
+      setRouteError(loadedHierarchy.error || `Compartment not found: ${pathName}`);
+      setPendingRoute(null);
+      return;
+    }
+    setProfileRootId(loadedHierarchy.rootId);
+    setCompartmentStack(stackOf(loadedHierarchy.byId, target.id));
+    if (!route.policyId) {
+      setPendingRoute(null);
+      return;
+    }
+    const load = routeLoad.current;
+    let found = null;
+    const params = new URLSearchParams({ profile: route.profile, compartmentId: target.id });
+    fetchAllPages(`${API_ROOT}/api/policies?${params}`, (data) => {
+      found = found || data.find((p) => p.id === route.policyId);
+    })
+      .then(() => {
+        if (load !== routeLoad.current) return;
+        if (found) {
+          setSelectedPolicy(found);
+          setReturnTab('main');
+          setTab('policyDetail');
+        } else {
+          setRouteError(`Policy not found in ${pathName || '(Tenancy Root)'}: ${route.policyId}`);
+        }
+        setPendingRoute(null);
+      })
+      .catch((err) => {
+        if (load !== routeLoad.current) return;
+        setRouteError(err.message || 'Failed to load policies.');
+        setPendingRoute(null);
+      });
+  }
+
+  // Fetch lint findings for a profile (whole tenancy) and group them by policy
+  function loadLint(profile) {
+    if (!profile) return;
+    fetch(`${API_ROOT}/api/lint?profile=${encodeURIComponent(profile)}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (!Array.isArray(data.findings)) return;
+        const byPolicy = {};
+        for (const f of data.findings) (byPolicy[f.policyId] = byPolicy[f.policyId] || []).push(f);
+        setLint({ profile, byPolicy });
+      })
+      .catch(() => {
+        // Lint is advisory; browsing works without it
+      });
+  }
+
+  // Switch profile: reset navigation and search state tied to the previous profile
+  // `route` (optional) is a route of the new profile to open once its hierarchy has loaded
+  function handleProfileChange(profile, route = null) {
+    routeLoad.current += 1;
+    setSelectedProfile(profile);
+    setCompartmentStack([]);
+    setProfileRootId('');
+    setSelectedRegion('');
+    setSearch({ ...search, results: null });
+    setAccess({ ...access, result: null });
+    setPendingRoute(route);
+    setRouteError('');
+    loadLint(profile);
+    loadHierarchy(profile, route);
+  }
+
+  // Restore the view a URL route describes (browser back/forward, edited URLs)
+  function applyRoute(route) {
+    const browsing = route.view === 'main' || route.view === 'policyDetail';
+    // Routes into a compartment wait for the profile's hierarchy to resolve their path
+    const pending = browsing && (route.path.length > 0 || route.policyId) ? route : null;
+    setSelectedPolicy(null);
+    setTab(browsing ? 'main' : route.view);
+    if (route.profile !== selectedProfile) {
+      handleProfileChange(route.profile, pending);
+      return;
+    }
+    routeLoad.current += 1;
+    setRouteError('');
+    setPendingRoute(pending);
+    if (!pending) {
+      if (browsing) setCompartmentStack([]);
+    } else if (hierarchy.profile === route.profile) {
+      resolveRoute(pending, hierarchy);
+    } else {
+      loadHierarchy(route.profile, pending);
+    }
+  }
+
+  // The current view as a route, or null if it has none (compartmentAccess, or a policy whose path is not known yet)
+  function currentRoute() {
+    if (tab === 'compartmentAccess') return null;
+    if (tab === 'policyDetail') {
+      const compartment = selectedPolicy && compartmentsById[selectedPolicy.compartmentId];
+      if (!compartment) return null;
+      return {
+        profile: selectedProfile,
+        view: 'policyDetail',
+        path: compartment.path ? compartment.path.split('/') : [],
+        policyId: selectedPolicy.id
+      };
+    }
+    return { profile: selectedProfile, view: tab, path: tab === 'main' ? compartmentStack.map((c) => c.name) : [] };
+  }
+
+  // Load the background data of the profile the page was opened with, then open its route
+  useEffect(() => {
+    loadLint(initialRoute.profile);
+    loadHierarchy(initialRoute.profile, pendingRoute);
+    fetch(`${API_ROOT}/api/profiles`)
+      .then((r) => r.json())
+      .then((data) => setAllowWrites(!!data.allowWrites))
+      .catch(() => {
+        // Without the flag the browser stays read-only
+      });
+    // eslint-disable-next-line
+  }, []);
+
+  // Follow browser back/forward and edited URLs (re-subscribed every render so the handler sees the current state)
+  useEffect(() => {
+    const onHashChange = () => applyRoute(parseRoute(window.location.hash));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  });
+
+  // Reflect the current view in the URL; every navigation becomes a browser history entry
+  useEffect(() => {
+    if (pendingRoute) return;
+    const route = currentRoute();
+    if (!route) return;
+    const hash = formatRoute(route);
+    if (hash !== formatRoute(parseRoute(window.location.hash))) window.history.pushState(null, '', hash);
+  });
 
   // Open policy detail tab
   function handlePolicyClick(policy) {
     setSelectedPolicy(policy);
+    setReturnTab(tab);
     setTab('policyDetail');
   }
 
-  // Back to compartments tab
+  // Open a policy found in another tenancy: switch to its profile first so the detail view resolves against it
+  function handleMultiPolicyClick(profile, policy) {
+    if (profile !== selectedProfile) handleProfileChange(profile);
+    handlePolicyClick(policy);
+  }
+
+  // Open the effective-access view for a group/dynamic group (clicked in a statement or an identity page)
+  function handleSubjectClick(subject) {
+    setAccess({ type: subject.type, name: subject.name, domain: subject.domain || '', result: null, autoRun: true });
+    setTab('access');
+  }
+
+  // Resolve a compartment referenced in a statement and open it in the browser
+  function handleCompartmentClick(policy, location) {
+    // Compartments referenced by OCID are looked up in the loaded hierarchy
+    if (location.id && compartmentsById[location.id]) {
+      setProfileRootId(hierarchy.rootId);
+      setCompartmentStack(stackOf(compartmentsById, location.id));
+      setSelectedPolicy(null);
+      setTab('main');
+      return Promise.resolve();
+    }
+    const params = new URLSearchParams({ profile: selectedProfile, compartmentId: policy.compartmentId });
+    if (location.id) params.set('id', location.id);
+    else if (location.path) params.set('path', location.path.join(':'));
+    return fetch(`${API_ROOT}/api/compartments/resolve?${params}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (!Array.isArray(data.stack)) throw new Error(data.error || 'Unexpected response');
+        setProfileRootId(data.tenancyId);
+        setCompartmentStack(data.stack);
+        setSelectedPolicy(null);
+        setTab('main');
+      });
+  }
+
+  // Open "Who has access?" for a compartment from the browser
+  function handleAccessClick(compartment) {
+    setAccessCompartment(compartment);
+    setTab('compartmentAccess');
+  }
+
+  // Back to the tab the policy was opened from
   function handleBack() {
     setSelectedPolicy(null);
-    setTab('main');
+    setTab(returnTab);
+  }
+
+  // Show the saved version of the policy; lint findings are recomputed for the changed tenancy
+  function handlePolicySaved(policy) {
+    setSelectedPolicy(policy);
+    loadLint(selectedProfile);
+  }
+
+  // Leave the deleted policy's detail view
+  function handlePolicyDeleted() {
+    handleBack();
+    loadLint(selectedProfile);
   }
 
   return (
     <div className="app-container">
-      {tab === 'main' && (
+      {tab !== 'policyDetail' && tab !== 'compartmentAccess' && (
+        <div>
+          <h1>OCI Compartment and Policy Browser</h1>
+          <ProfileSelector selectedProfile={selectedProfile} onProfileChange={handleProfileChange} />
+          <nav className="app-nav">
+            <button className={tab === 'main' ? 'active' : ''} onClick={() => setTab('main')}>Browse</button>
+            <button className={tab === 'search' ? 'active' : ''} onClick={() => setTab('search')}>Search</button>
+            <button className={tab === 'access' ? 'active' : ''} onClick={() => setTab('access')}>Effective Access</button>
+            <button className={tab === 'groups' ? 'active' : ''} onClick={() => setTab('groups')}>Groups</button>
+            <button className={tab === 'dynamicGroups' ? 'active' : ''} onClick={() => setTab('dynamicGroups')}>Dynamic Groups</button>
+            <button className={tab === 'users' ? 'active' : ''} onClick={() => setTab('users')}>Users</button>
+            <button className={tab === 'history' ? 'active' : ''} onClick={() => setTab('history')}>History</button>
+            <button className={tab === 'multi' ? 'active' : ''} onClick={() => setTab('multi')}>Multi-Tenancy</button>
+          </nav>
+          {routeError && <p style={{ color: 'red' }}>{routeError}</p>}
+        </div>
+      )}
+      {tab === 'main' && pendingRoute && <p>Opening {formatRoute(pendingRoute)}…</p>}
+      {tab === 'main' && !pendingRoute && (
         <CompartmentBrowser
           onPolicyClick={handlePolicyClick}
+          onAccessClick={handleAccessClick}
+          findingsByPolicy={findingsByPolicy}
           selectedProfile={selectedProfile}
-          setSelectedProfile={setSelectedProfile}
           compartmentStack={compartmentStack}
           setCompartmentStack={setCompartmentStack}
           profileRootId={profileRootId}
           setProfileRootId={setProfileRootId}
+          selectedRegion={selectedRegion}
+          setSelectedRegion={setSelectedRegion}
+          canWrite={canWrite}
+        />
+      )}
+      {tab === 'search' && (
+        <PolicySearch
+          selectedProfile={selectedProfile}
+          search={search}
+          setSearch={setSearch}
+          onPolicyClick={handlePolicyClick}
+        />
+      )}
+      {tab === 'access' && (
+        <EffectiveAccess
+          selectedProfile={selectedProfile}
+          access={access}
+          setAccess={setAccess}
+        />
+      )}
+      {tab === 'groups' && (
+        <GroupBrowser key={selectedProfile} selectedProfile={selectedProfile} onSubjectClick={handleSubjectClick} />
+      )}
+      {tab === 'dynamicGroups' && (
+        <DynamicGroupBrowser key={selectedProfile} selectedProfile={selectedProfile} onSubjectClick={handleSubjectClick} />
+      )}
+      {tab === 'users' && (
+        <UserBrowser key={selectedProfile} selectedProfile={selectedProfile} onSubjectClick={handleSubjectClick} />
+      )}
+      {tab === 'history' && (
+        <PolicyHistory selectedProfile={selectedProfile} />
+      )}
+      {tab === 'multi' && (
+        <MultiTenancy multi={multi} setMulti={setMulti} onPolicyClick={handleMultiPolicyClick} />
+      )}
+      {tab === 'compartmentAccess' && accessCompartment && (
+        <CompartmentAccess
+          selectedProfile={selectedProfile}
+          compartment={accessCompartment}
+          onBack={() => setTab('main')}
         />
       )}
       {tab === 'policyDetail' && selectedPolicy && (
-        <PolicyDetail policy={selectedPolicy} onBack={handleBack} />
+        <PolicyDetail
+          selectedProfile={selectedProfile}
+          policy={selectedPolicy}
+          findings={findingsByPolicy[selectedPolicy.id]}
+          compartmentsById={compartmentsById}
+          onBack={handleBack}
+          onSubjectClick={handleSubjectClick}
+          onCompartmentClick={handleCompartmentClick}
+          canWrite={canWrite}
+          onSaved={handlePolicySaved}
+          onDeleted={handlePolicyDeleted}
+        />
       )}
     </div>
   );
@@ -0,0 +1,25 @@
+// Backend API root - configurable with VITE_BACKEND_URL, defaults to localhost:3001 for local development
+export const API_ROOT = import.meta.env.VITE_BACKEND_URL || "http://localhost:3001";
+
+// Page size used when loading long lists incrementally
+export const PAGE_SIZE = 100;
+
+/**
+ * Fetches every page of a paged list endpoint (limit/page query params, opc-next-page response header).
+ * onPage(items, isFirst) is called as each page arrives, so tables can render before the last page is loaded.
+ * Resolves once the last page has been delivered; rejects with the backend's error message if a page fails.
+ */
+export async function fetchAllPages(url, onPage) {
+  let page = null;
+  let isFirst = true;
+  do {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    if (page) params.set('page', page);
+    const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}${params}`);
+    const data = await response.json();
+    if (!Array.isArray(data)) throw new Error(data.error || 'Unexpected response');
+    onPage(data, isFirst);
+    isFirst = false;
+    page = response.headers.get('opc-next-page');
+  } while (page);
+}
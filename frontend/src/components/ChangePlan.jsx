@@ -0,0 +1,101 @@
+import React from 'react';
+
+/**
+ * Utility: "verb resource-type" (or "{PERMISSIONS}") of a planned grant
+ */
+function grantLabel(grant) {
+  return grant.permissions ? `{${grant.permissions.join(', ')}}` : `${grant.verb} ${grant.resourceType}`;
+}
+
+/**
+ * ChangePlan component
+ * Shows the plan of a policy change from /api/policies/plan before it is sent to OCI: the statement-level diff,
+ * lint findings the change introduces or resolves, and the access each subject gains or loses.
+ * Lost grants that allow managing policies are highlighted, since losing them can lock administrators out.
+ * Props:
+ *   plan: plan object from /api/policies/plan
+ *   confirmLabel: label of the confirm button (e.g. "Apply", "Delete policy")
+ *   busy: whether the change is being sent (disables the buttons)
+ *   onConfirm(): callback to send the change
+ *   onCancel(): callback to go back without sending anything
+ */
+function ChangePlan({ plan, confirmLabel, busy = false, onConfirm, onCancel }) {
+  const losesPolicyAdmin = plan.access.some((a) => a.lost.some((g) => g.policyAdmin));
+  return (
+    <div className="change-plan">
+      <h3>
+        Plan: {plan.action} policy <b>{plan.policy.name}</b> in {plan.policy.compartmentPath}
+      </h3>
+      <p>
+        <span className="diff-added">+{plan.summary.added}</span>{' '}
+        <span className="diff-removed">-{plan.summary.removed}</span> statements, {plan.summary.unchanged} unchanged
+        {plan.descriptionChanged && <span className="muted"> (description changed)</span>}
+      </p>
+      <ul>
+        {plan.statements.map((s, i) => (
+          <li key={i} className={s.change === 'unchanged' ? 'muted' : `diff-${s.change}`}>
+            <code>{s.change === 'added' ? '+ ' : s.change === 'removed' ? '- ' : '  '}{s.statement}</code>
+          </li>
+        ))}
+      </ul>
+
+      <h4>Lint</h4>
+      {plan.lint.introduced.length === 0 && plan.lint.resolved.length === 0 && <p className="muted">No change in lint findings.</p>}
+      {plan.lint.introduced.map((f, i) => (
+        <div key={`i${i}`} className={`lint-finding lint-${f.severity}`}>
+          new {f.ruleId}: {f.message}{f.policyName !== plan.policy.name && ` (policy ${f.policyName})`}
+        </div>
+      ))}
+      {plan.lint.resolved.map((f, i) => (
+        <div key={`r${i}`} className="lint-finding muted">
+          resolved {f.ruleId}: {f.message}{f.policyName !== plan.policy.name && ` (policy ${f.policyName})`}
+        </div>
+      ))}
+
+      <h4>Access</h4>
+      {losesPolicyAdmin && (
+        <p className="plan-warning">
+          This change removes the ability to manage policies from some subjects. Make sure someone can still
+          administer IAM afterwards.
+        </p>
+      )}
+      {plan.access.length === 0 ? (
+        <p className="muted">No subject gains or loses access.</p>
+      ) : (
+        <table className="plan-access">
+          <thead>
+            <tr>
+              <th align="left">Subject</th>
+              <th align="left">Change</th>
+              <th align="left">Access</th>
+              <th align="left">In</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.access.flatMap((a) => [
+              ...a.gained.map((g) => ['gained', g]),
+              ...a.lost.map((g) => ['lost', g])
+            ].map(([change, g], i) => (
+              <tr key={`${a.subject}-${change}-${i}`} className={change === 'lost' && g.policyAdmin ? 'plan-warning' : ''}>
+                <td>{i === 0 ? a.subject : ''}</td>
+                <td className={change === 'gained' ? 'diff-added' : 'diff-removed'}>{change}</td>
+                <td title={g.statement}>
+                  {grantLabel(g)}
+                  {g.conditional && <span className="muted"> (conditional)</span>}
+                </td>
+                <td>{g.location}</td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="editor-actions">
+        <button onClick={onConfirm} disabled={busy}>{confirmLabel}</button>
+        <button onClick={onCancel} disabled={busy}>Back</button>
+      </div>
+    </div>
+  );
+}
+
+export default ChangePlan;
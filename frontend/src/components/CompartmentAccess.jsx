@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+
+/**
+ * CompartmentAccess component
+ * "Who has access here?": lists every subject granted permissions on a compartment,
+ * including grants made in the tenancy or in any ancestor compartment.
+ * Props:
+ *   selectedProfile: currently selected profile name
+ *   compartment: { id, path } of the compartment to analyse (id '' means the tenancy root)
+ *   onBack(): callback for navigating back to the compartment browser
+ */
+function CompartmentAccess({ selectedProfile, compartment, onBack }) {
+// State: Backend response { compartmentPath, subjects }
+  const [result, setResult] = useState(null);
+// State: Whether the analysis request is in flight
+  const [loading, setLoading] = useState(true);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const params = new URLSearchParams({ profile: selectedProfile });
+    if (compartment.id) params.set('compartmentId', compartment.id);
+    fetch(`${API_ROOT}/api/access/compartment?${params}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (Array.isArray(data.subjects)) {
+          setResult(data);
+        } else {
+          setError(data.error || 'Unexpected response');
+        }
+        setLoading(false);
+      })
+      .catch(() => {
+        setError('Failed to load subjects with access.');
+        setLoading(false);
+      });
+  }, [selectedProfile, compartment.id]);
+
+  return (
+    <div>
+      <button onClick={onBack} style={{ marginBottom: 16 }}>Back</button>
+      <h2>Who has access to: {result ? result.compartmentPath : compartment.path}</h2>
+      {loading && <p>Evaluating policies in this compartment and its ancestors…</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      {result && (
+        result.subjects.length === 0 ? (
+          <p>No subjects are granted access here.</p>
+        ) : (
+          <table className="policy-table">
+            <thead>
+              <tr>
+                <th align="left">Subject</th>
+                <th align="left">Grants</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.subjects.map((s) => (
+                <tr key={s.label}>
+                  <td align="left">
+                    <b>{s.label}</b>
+                    {s.admitted && <div className="muted">admitted from another tenancy</div>}
+                  </td>
+                  <td align="left">
+                    {s.grants.map((g, i) => (
+                      <div key={i}>
+                        {g.verb ? `${g.verb} ${g.resourceType}` : `{${g.permissions.join(', ')}}`}
+                        <span className="muted">
+                          {' '}— {g.inherited ? `inherited from ${g.grantedAtPath}` : 'granted here'}
+                          {g.conditional && ', conditional'}
+                          {` (${g.policyName} #${g.statementIndex + 1})`}
+                        </span>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+}
+
+export default CompartmentAccess;
@@ -1,65 +1,66 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import PolicyTable from './PolicyTable';
-
-// Backend API root - configurable with VITE_BACKEND_URL, defaults to localhost:3001 for local development
-const API_ROOT = import.meta.env.VITE_BACKEND_URL || "http://localhost:3001";
+import CompartmentTree from './CompartmentTree';
+import ExportLinks from './ExportLinks';
+import PolicyEditor from './PolicyEditor';
+import { API_ROOT, fetchAllPages } from '../api';
 
 /**
  * CompartmentBrowser component
- * Handles compartment drilldown navigation, loading profiles, fetches policies, and passes policy data to PolicyTable.
+ * Handles compartment drilldown navigation for the selected profile, fetches policies, and passes policy data to PolicyTable.
+ * Long lists are loaded page by page; tables render the first page while the rest is still loading.
+ * A CompartmentTree sidebar and clickable breadcrumbs jump straight to any compartment or ancestor.
+ * The current compartment's policies (optionally with all sub-compartments, or only the rows selected in PolicyTable)
+ * can be downloaded as CSV, XLSX, Markdown or Terraform.
+ * For live profiles a region selector reads from any subscribed region; the tenancy's home region is shown, since
+ * IAM changes are made there and only replicate to the other regions.
+ * With canWrite a new policy can be created in the current compartment (PolicyEditor).
  * Props:
  *   onPolicyClick(policy): callback when a policy name is clicked.
+ *   onAccessClick(compartment): callback for "Who has access?" with { id, path } of a compartment.
+ *   findingsByPolicy: lint findings keyed by policy id, shown as badges in PolicyTable
+ *   selectedProfile: profile chosen in ProfileSelector
+ *   compartmentStack / setCompartmentStack, profileRootId / setProfileRootId: lifted navigation state
+ *   selectedRegion / setSelectedRegion: lifted region to read from ('' for the profile's configured region)
+ *   canWrite: whether the backend accepts policy changes for this profile (optional)
  */
 function CompartmentBrowser({
   onPolicyClick,
+  onAccessClick,
+  findingsByPolicy,
   selectedProfile,
-  setSelectedProfile,
   compartmentStack,
   setCompartmentStack,
   profileRootId,
-  setProfileRootId
+  setProfileRootId,
+  selectedRegion,
+  setSelectedRegion,
+  canWrite = false
 }) {
-// State: List of available OCI profiles
-  const [profiles, setProfiles] = useState([]);
 // State: List of sub-compartments for the current profile/context
   const [compartments, setCompartments] = useState([]);
 // State: List of policies in the selected compartment
   const [policies, setPolicies] = useState([]);
-// State: Whether the profiles are currently being loaded
-  const [loadingProfiles, setLoadingProfiles] = useState(false);
-// State: Whether the compartments are being loaded
-  const [loadingCompartments, setLoadingCompartments] = useState(false);
-// State: Whether the policies are being loaded
+// State: Location (profile|region|compartment) whose first page of compartments has arrived; any other is loading
+  const [loadedKey, setLoadedKey] = useState(null);
+// State: Whether further pages of compartments are still loading
+  const [moreCompartments, setMoreCompartments] = useState(false);
+// State: Whether the first page of policies is being loaded / further pages are still loading
   const [loadingPolicies, setLoadingPolicies] = useState(false);
+  const [morePolicies, setMorePolicies] = useState(false);
 // State: Current error message (if any)
   const [error, setError] = useState('');
-
-  useEffect(() => {
-    setLoadingProfiles(true);
-    fetch(`${API_ROOT}/api/profiles`)
-      .then((r) => r.json())
-      .then((data) => {
-        setProfiles(data.profiles || []);
-        setLoadingProfiles(false);
-      })
-      .catch(() => {
-        setError('Could not load profiles.');
-        setLoadingProfiles(false);
-      });
-  }, []);
-
-  useEffect(() => {
-    if (selectedProfile) {
-      setCompartmentStack([]);
-      fetchChildren('', true);
-    } else {
-      setCompartments([]);
-      setPolicies([]);
-      setCompartmentStack([]);
-      setProfileRootId('');
-    }
-    // eslint-disable-next-line
-  }, [selectedProfile]);
+// State: Whether exports include the sub-compartments of the current compartment
+  const [exportSubtree, setExportSubtree] = useState(false);
+// State: Ids of the policies selected in PolicyTable for export (cleared whenever policies are reloaded)
+  const [selectedPolicyIds, setSelectedPolicyIds] = useState([]);
+// State: Region subscriptions of a profile's tenancy { profile, homeRegion, currentRegion, regions } (null until loaded)
+  const [regions, setRegions] = useState(null);
+// State: Whether the new-policy editor is open
+  const [creatingPolicy, setCreatingPolicy] = useState(false);
+// Latest compartment/policy load; pages of superseded loads (after navigating away) are dropped
+  const compartmentsLoad = useRef(0);
+  const policiesLoad = useRef(0);
 
 // ID of current compartment (root if stack is empty)
   const currentCompartmentId =
@@ -71,186 +72,341 @@ function CompartmentBrowser({
     compartmentStack.length === 0
       ? '(Tenancy Root)'
       : compartmentStack[compartmentStack.length - 1].name;
+// Location the browser shows; compartments are loading until its first page arrives
+  const locationKey = compartmentStack.length === 0 ? '' : compartmentStack[compartmentStack.length - 1].id;
+  const loadKey = `${selectedProfile}|${selectedRegion}|${locationKey}`;
+  const loadingCompartments = loadedKey !== loadKey;
 
   // Fetches and sets sub-compartments for a parent compartment, and can set compartment root ID if required
   const fetchChildren = (parentId = '', setRootId = false) => {
     if (!selectedProfile) return;
-    setLoadingCompartments(true);
-    setError('');
+    const load = ++compartmentsLoad.current;
+    const key = loadKey;
+    let received = false;
     let url = `${API_ROOT}/api/compartments?profile=${encodeURIComponent(selectedProfile)}`;
     if (parentId) url += `&parent=${encodeURIComponent(parentId)}`;
-    fetch(url)
-      .then((r) => r.json())
-      .then((data) => {
-        if (Array.isArray(data)) {
-          setCompartments(data);
-          if (setRootId && data.length > 0 && data[0].compartmentId) {
-            setProfileRootId(data[0].compartmentId);
-          }
-          fetchPolicies(
-            setRootId && data.length > 0 && data[0].compartmentId
-              ? data[0].compartmentId
-              : parentId
-          );
-        } else {
-          setError(data.error || 'Unexpected response');
-          setCompartments([]);
+    if (selectedRegion) url += `&region=${encodeURIComponent(selectedRegion)}`;
+    fetchAllPages(url, (data, isFirst) => {
+      if (load !== compartmentsLoad.current) return;
+      received = true;
+      if (isFirst) {
+        setError('');
+        setCompartments(data);
+        setMoreCompartments(true);
+        if (setRootId && data.length > 0 && data[0].compartmentId) {
+          setProfileRootId(data[0].compartmentId);
         }
-        setLoadingCompartments(false);
+        fetchPolicies(
+          setRootId && data.length > 0 && data[0].compartmentId
+            ? data[0].compartmentId
+            : parentId
+        );
+        setLoadedKey(key);
+      } else {
+        setCompartments((prev) => [...prev, ...data]);
+      }
+    })
+      .catch((err) => {
+        if (load !== compartmentsLoad.current) return;
+        setError(err.message || 'Failed to load compartments.');
+        if (!received) setCompartments([]);
+        setLoadedKey(key);
       })
-      .catch(() => {
-        setError('Failed to load compartments.');
-        setCompartments([]);
-        setLoadingCompartments(false);
+      .finally(() => {
+        if (load === compartmentsLoad.current) setMoreCompartments(false);
       });
   };
 
   // Fetches and sets list of policies for a given compartment
   const fetchPolicies = (compartmentId) => {
+    const load = ++policiesLoad.current;
+    setSelectedPolicyIds([]);
     if (!selectedProfile || !compartmentId) {
       setPolicies([]);
       return;
     }
+    let received = false;
     setLoadingPolicies(true);
+    setMorePolicies(true);
     setError('');
-    fetch(
+    fetchAllPages(
       `${API_ROOT}/api/policies?profile=${encodeURIComponent(
         selectedProfile
-      )}&compartmentId=${encodeURIComponent(compartmentId)}`
+      )}&compartmentId=${encodeURIComponent(compartmentId)}${
+        selectedRegion ? `&region=${encodeURIComponent(selectedRegion)}` : ''
+      }`,
+      (data, isFirst) => {
+        if (load !== policiesLoad.current) return;
+        received = true;
+        setPolicies(isFirst ? data : (prev) => [...prev, ...data]);
+        setLoadingPolicies(false);
+      }
     )
+      .catch((err) => {
+        if (load !== policiesLoad.current) return;
+        setError(err.message || 'Failed to load policies.');
+        if (!received) setPolicies([]);
+        setLoadingPolicies(false);
+      })
+      .finally(() => {
+        if (load === policiesLoad.current) setMorePolicies(false);
+      });
+  };
+
+  // Views below are hidden without a profile, so only (re)load when one is selected.
+  // Loads whenever the lifted compartment changes (drilldown, breadcrumbs, tree, a restored URL), when returning
+  // from another view, or after switching region; root if the stack is empty.
+  useEffect(() => {
+    if (selectedProfile) {
+      fetchChildren(currentCompartmentId, compartmentStack.length === 0);
+    }
+    // eslint-disable-next-line
+  }, [selectedProfile, selectedRegion, locationKey]);
+
+  // Region subscriptions of live profiles (snapshots are not tied to a region)
+  useEffect(() => {
+    if (!selectedProfile || selectedProfile.startsWith('snapshot:')) return;
+    const profile = selectedProfile;
+    fetch(`${API_ROOT}/api/regions?profile=${encodeURIComponent(profile)}`)
       .then((r) => r.json())
       .then((data) => {
-        if (Array.isArray(data)) {
-          setPolicies(data);
-        } else {
-          setError(data.error || 'Unexpected response');
-          setPolicies([]);
-        }
-        setLoadingPolicies(false);
+        if (Array.isArray(data.regions)) setRegions({ ...data, profile });
       })
       .catch(() => {
-        setError('Failed to load policies.');
-        setPolicies([]);
-        setLoadingPolicies(false);
+        // The region selector is optional; browsing works in the configured region without it
       });
+  }, [selectedProfile]);
+
+  // Region subscriptions of the selected profile (those of a previous profile are not shown)
+  const regionInfo = regions && regions.profile === selectedProfile ? regions : null;
+  // Region the tables are read from
+  const activeRegion = selectedRegion || (regionInfo && regionInfo.currentRegion);
+
+  // Display path of the current compartment, optionally extended by a child name
+  const pathOf = (childName) => {
+    const names = compartmentStack.map((c) => c.name);
+    if (childName) names.push(childName);
+    return names.length === 0 ? '(Tenancy Root)' : names.join(' / ');
   };
 
-  // Handles navigation into a sub-compartment (drilldown)
+  // Drops the server-side cache for the current compartment and everything below it, then reloads
+  const handleRefresh = () => {
+    const params = new URLSearchParams({ profile: selectedProfile });
+    if (currentCompartmentId) params.set('compartmentId', currentCompartmentId);
+    fetch(`${API_ROOT}/api/cache/refresh?${params}`, { method: 'POST' })
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.error) setError(data.error);
+        setLoadedKey(null);
+        fetchChildren(currentCompartmentId, compartmentStack.length === 0);
+      })
+      .catch(() => setError('Failed to refresh.'));
+  };
+
+  // Handles navigation into a sub-compartment (drilldown); the load effect fetches its contents
   const handleDrilldown = (c) => {
     setCompartmentStack([...compartmentStack, { id: c.id, name: c.name }]);
-    fetchChildren(c.id);
-    fetchPolicies(c.id);
+    setCreatingPolicy(false);
   };
 
-  // Handles navigation backwards (up) one level in compartmentStack
-  const handleBack = () => {
-    const newStack = compartmentStack.slice(0, -1);
+  // Handles navigation to any compartment given its full path (breadcrumbs, tree sidebar)
+  const handleJump = (newStack) => {
     setCompartmentStack(newStack);
-    const parentId =
-      newStack.length === 0 ? profileRootId : newStack[newStack.length - 1].id;
-    fetchChildren(parentId);
-    fetchPolicies(parentId);
+    setCreatingPolicy(false);
   };
 
-  // Handles profile <select> dropdown change event
-  const handleProfileChange = (e) => {
-    const profile = e.target.value;
-    setSelectedProfile(profile);
-    setCompartments([]);
-    setPolicies([]);
-    setCompartmentStack([]);
-    setProfileRootId('');
-  };
+  // Handles navigation backwards (up) one level in compartmentStack
+  const handleBack = () => handleJump(compartmentStack.slice(0, -1));
 
   return (
-    <div>
-      <h1>OCI Compartment and Policy Browser</h1>
-      {loadingProfiles ? (
-        <p>Loading OCI profiles…</p>
-      ) : (
-        <div>
-          <label htmlFor="profile">Select OCI Profile: </label>
-          <select
-            id="profile"
-            value={selectedProfile}
-            onChange={handleProfileChange}
-          >
-            <option value="">-- Select --</option>
-            {profiles.map((profile) => (
-              <option key={profile} value={profile}>
-                {profile}
-              </option>
-            ))}
-          </select>
-        </div>
-      )}
-
+    <div className="browser-layout">
       {selectedProfile && (
-        <div>
-          <hr />
+        <aside className="tree-sidebar">
+          <CompartmentTree
+            key={`${selectedProfile}|${selectedRegion}`}
+            selectedProfile={selectedProfile}
+            selectedRegion={selectedRegion}
+            compartmentStack={compartmentStack}
+            onSelect={handleJump}
+          />
+        </aside>
+      )}
+      <div className="browser-main">
+        {selectedProfile && (
           <div>
-            <b>Current:</b>{" "}
-            {compartmentStack.length === 0
-              ? "(Tenancy Root)"
-              : compartmentStack.map((c) => c.name).join(" / ")}
+            <hr />
+            <div>
+              <b>Current:</b>{' '}
+              <span className="breadcrumbs">
+                {compartmentStack.length === 0 ? (
+                  <span>(Tenancy Root)</span>
+                ) : (
+                  <button className="link-button" onClick={() => handleJump([])}>(Tenancy Root)</button>
+                )}
+                {compartmentStack.map((c, i) => (
+                  <React.Fragment key={c.id}>
+                    {' / '}
+                    {i === compartmentStack.length - 1 ? (
+                      <span>{c.name}</span>
+                    ) : (
+                      <button className="link-button" onClick={() => handleJump(compartmentStack.slice(0, i + 1))}>
+                        {c.name}
+                      </button>
+                    )}
+                  </React.Fragment>
+                ))}
+              </span>
+              <button
+                className="link-button"
+                onClick={() => onAccessClick({ id: currentCompartmentId, path: pathOf() })}
+              >
+                Who has access here?
+              </button>
+              <button
+                className="link-button"
+                title="Reload this compartment and its sub-compartments from OCI"
+                onClick={handleRefresh}
+              >
+                Refresh
+              </button>
+            </div>
+            <div className="export-bar">
+              <ExportLinks
+                selectedProfile={selectedProfile}
+                compartmentId={currentCompartmentId}
+                subtree={exportSubtree && selectedPolicyIds.length === 0}
+                policyIds={selectedPolicyIds}
+              />
+              {selectedPolicyIds.length > 0 ? (
+                <span>
+                  {selectedPolicyIds.length} selected policies{' '}
+                  <button className="link-button" onClick={() => setSelectedPolicyIds([])}>Clear</button>
+                </span>
+              ) : (
+                <label>
+                  <input type="checkbox" checked={exportSubtree} onChange={(e) => setExportSubtree(e.target.checked)} />
+                  Include sub-compartments
+                </label>
+              )}
+            </div>
+            {regionInfo && (
+              <div className="region-bar">
+                <label htmlFor="region">Region: </label>
+                <select id="region" value={selectedRegion} onChange={(e) => setSelectedRegion(e.target.value)}>
+                  <option value="">
+                    {`${regionInfo.currentRegion || 'configured region'}${
+                      regionInfo.currentRegion && regionInfo.currentRegion === regionInfo.homeRegion ? ' (home)' : ''
+                    } (profile default)`}
+                  </option>
+                  {regionInfo.regions
+                    .filter((r) => r.name !== regionInfo.currentRegion)
+                    .map((r) => (
+                      <option key={r.name} value={r.name}>
+                        {`${r.name}${r.isHomeRegion ? ' (home)' : ''}${r.status !== 'READY' ? ` [${r.status}]` : ''}`}
+                      </option>
+                    ))}
+                </select>
+                {regionInfo.homeRegion && (
+                  <span className={`badge${activeRegion === regionInfo.homeRegion ? '' : ' badge-warning'}`}>
+                    home region: {regionInfo.homeRegion}
+                  </span>
+                )}
+                {regionInfo.homeRegion && activeRegion && activeRegion !== regionInfo.homeRegion && (
+                  <span className="muted"> Reading a replica; IAM changes are made in the home region.</span>
+                )}
+              </div>
+            )}
+            {compartmentStack.length > 0 && (
+              <button onClick={handleBack} style={{ margin: '8px 0' }}>Back</button>
+            )}
           </div>
-          {compartmentStack.length > 0 && (
-            <button onClick={handleBack} style={{ margin: '8px 0' }}>Back</button>
-          )}
-        </div>
-      )}
+        )}
 
-      {selectedProfile && loadingCompartments && <p>Loading compartments…</p>}
-      {error && <p style={{ color: 'red' }}>{error}</p>}
+        {selectedProfile && loadingCompartments && <p>Loading compartments…</p>}
+        {error && <p style={{ color: 'red' }}>{error}</p>}
 
-      {selectedProfile && !loadingCompartments && (
-        <div>
-          <h2>Sub-Compartments</h2>
-          <table className="compartment-table">
-            <thead>
-              <tr>
-                <th align="left">Name</th>
-                <th align="left">Description</th>
-              </tr>
-            </thead>
-            <tbody>
-              {compartments.length === 0 ? (
+        {selectedProfile && !loadingCompartments && (
+          <div>
+            <h2>Sub-Compartments</h2>
+            <table className="compartment-table">
+              <thead>
                 <tr>
-                  <td colSpan={2}>No sub-compartments found.</td>
+                  <th align="left">Name</th>
+                  <th align="left">Description</th>
+                  <th align="left"></th>
                 </tr>
-              ) : (
-                compartments.map((c) => (
-                  <tr key={c.id} style={{ cursor: "pointer" }}>
-                    <td
-                      style={{ textDecoration: "underline", color: "#1a0dab" }}
-                      onClick={() => handleDrilldown(c)}
-                      align="left"
-                    >
-                      <strong>{c.name}</strong>
-                    </td>
-                    <td align="left">{c.description}</td>
+              </thead>
+              <tbody>
+                {compartments.length === 0 && !moreCompartments ? (
+                  <tr>
+                    <td colSpan={3}>No sub-compartments found.</td>
                   </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
-      )}
+                ) : (
+                  compartments.map((c) => (
+                    <tr key={c.id} style={{ cursor: "pointer" }}>
+                      <td
+                        style={{ textDecoration: "underline", color: "#1a0dab" }}
+                        onClick={() => handleDrilldown(c)}
+                        align="left"
+                      >
+                        <strong>{c.name}</strong>
+                      </td>
+                      <td align="left">{c.description}</td>
+                      <td align="left">
+                        <button
+                          className="link-button"
+                          onClick={() => onAccessClick({ id: c.id, path: pathOf(c.name) })}
+                        >
+                          Who has access?
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+                {moreCompartments && (
+                  <tr>
+                    <td colSpan={3} className="muted">Loading more compartments…</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
 
-      {selectedProfile && (
-        <div>
-          <h2>Policies for: {currentCompartmentName}</h2>
-          {loadingPolicies && <p>Loading policies…</p>}
-          {!loadingPolicies && (
-            <PolicyTable
-              policies={policies}
-              onPolicyClick={onPolicyClick}
-            />
-          )}
-        </div>
-      )}
+        {selectedProfile && (
+          <div>
+            <h2>Policies for: {currentCompartmentName}</h2>
+            {canWrite && currentCompartmentId && !creatingPolicy && (
+              <button onClick={() => setCreatingPolicy(true)}>New policy</button>
+            )}
+            {creatingPolicy && (
+              <PolicyEditor
+                key={currentCompartmentId}
+                selectedProfile={selectedProfile}
+                compartmentId={currentCompartmentId}
+                onSaved={() => {
+                  setCreatingPolicy(false);
+                  fetchPolicies(currentCompartmentId);
+                }}
+                onCancel={() => setCreatingPolicy(false)}
+              />
+            )}
+            {loadingPolicies && <p>Loading policies…</p>}
+            {!loadingPolicies && (
+              <PolicyTable
+                policies={policies}
+                findingsByPolicy={findingsByPolicy}
+                onPolicyClick={onPolicyClick}
+                loadingMore={morePolicies}
+                selectedIds={selectedPolicyIds}
+                onSelectionChange={setSelectedPolicyIds}
+              />
+            )}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
 
-export default CompartmentBrowser;
\ No newline at end of file
+export default CompartmentBrowser;
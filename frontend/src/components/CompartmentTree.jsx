@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { API_ROOT, fetchAllPages } from '../api';
+
+// Key of the tenancy root in the loaded-children map (the root's children are listed without a parent)
+const ROOT_KEY = '';
+
+/**
+ * CompartmentTree component
+ * Collapsible compartment tree shown beside CompartmentBrowser. Children are loaded from /api/compartments the
+ * first time a node is expanded, each with the number of policies attached to it. The path to the current
+ * compartment is kept expanded. Mounted once per profile and region (CompartmentBrowser keys it by both).
+ * Props:
+ *   selectedProfile: profile chosen in ProfileSelector
+ *   selectedRegion: region to read from ('' for the profile's configured region)
+ *   compartmentStack: path from the root's child down to the current compartment ([{ id, name }])
+ *   onSelect(stack): callback when a node is clicked, with the path to that node ([] for the root)
+ */
+function CompartmentTree({ selectedProfile, selectedRegion, compartmentStack, onSelect }) {
+// State: Loaded children by parent id (ROOT_KEY for the root): { items, loading, error } (absent until the first page)
+  const [nodes, setNodes] = useState({});
+// State: Ids of compartments expanded by the user
+  const [expanded, setExpanded] = useState(() => new Set());
+// State: Compartments on the current path collapsed by the user: id -> current compartment at the time
+  const [collapsed, setCollapsed] = useState(() => new Map());
+// Parents whose children have been requested
+  const requested = useRef(new Set());
+
+  const currentId = compartmentStack.length === 0 ? ROOT_KEY : compartmentStack[compartmentStack.length - 1].id;
+  // The root and the path to the current compartment are open, unless collapsed since arriving at this compartment
+  const pathIds = new Set([ROOT_KEY, ...compartmentStack.map((c) => c.id)]);
+  const isOpen = (id) => (pathIds.has(id) ? collapsed.get(id) !== currentId : expanded.has(id));
+
+  // Loads the children of a compartment once; pages are appended as they arrive
+  const loadChildren = useCallback((parentId) => {
+    if (!selectedProfile || requested.current.has(parentId)) return;
+    requested.current.add(parentId);
+    const params = new URLSearchParams({ profile: selectedProfile, policyCounts: 'true' });
+    if (parentId) params.set('parent', parentId);
+    if (selectedRegion) params.set('region', selectedRegion);
+    fetchAllPages(`${API_ROOT}/api/compartments?${params}`, (data, isFirst) => {
+      setNodes((prev) => ({
+        ...prev,
+        [parentId]: { items: isFirst ? data : [...prev[parentId].items, ...data], loading: true, error: '' }
+      }));
+    })
+      .then(() => {
+        setNodes((prev) => ({ ...prev, [parentId]: { ...prev[parentId], loading: false } }));
+      })
+      .catch((err) => {
+        // Allow another attempt on the next expand
+        requested.current.delete(parentId);
+        setNodes((prev) => ({
+          ...prev,
+          [parentId]: {
+            items: prev[parentId] ? prev[parentId].items : [],
+            loading: false,
+            error: err.message || 'Failed to load compartments.'
+          }
+        }));
+      });
+  }, [selectedProfile, selectedRegion]);
+
+  // Load the children along the path to the current compartment (e.g. after drilling down in the table)
+  useEffect(() => {
+    loadChildren(ROOT_KEY);
+    compartmentStack.forEach((c) => loadChildren(c.id));
+  }, [compartmentStack, loadChildren]);
+
+  // Expand or collapse a node, loading its children on first expand (or again after an error)
+  const toggle = (id) => {
+    const nextExpanded = new Set(expanded);
+    const nextCollapsed = new Map(collapsed);
+    if (isOpen(id)) {
+      nextExpanded.delete(id);
+      if (pathIds.has(id)) nextCollapsed.set(id, currentId);
+    } else {
+      nextExpanded.add(id);
+      nextCollapsed.delete(id);
+      if (nodes[id] && nodes[id].error) {
+        setNodes((prev) => {
+          const next = { ...prev };
+          delete next[id];
+          return next;
+        });
+      }
+      loadChildren(id);
+    }
+    setExpanded(nextExpanded);
+    setCollapsed(nextCollapsed);
+  };
+
+  // Renders the loaded children of a node; parentStack is the path to that node
+  const renderChildren = (parentId, parentStack) => {
+    const node = nodes[parentId] || { items: [], loading: true, error: '' };
+    return (
+      <ul className="tree-list">
+        {node.items.map((c) => {
+          const stack = [...parentStack, { id: c.id, name: c.name }];
+          const open = isOpen(c.id);
+          return (
+            <li key={c.id}>
+              <button className="tree-toggle" onClick={() => toggle(c.id)} aria-label={open ? 'Collapse' : 'Expand'}>
+                {open ? '▾' : '▸'}
+              </button>
+              <button
+                className={`link-button${c.id === currentId ? ' tree-current' : ''}`}
+                onClick={() => onSelect(stack)}
+              >
+                {c.name}
+              </button>
+              {typeof c.policyCount === 'number' && (
+                <span className="badge" title="Policies attached to this compartment">{c.policyCount}</span>
+              )}
+              {open && renderChildren(c.id, stack)}
+            </li>
+          );
+        })}
+        {node.loading && <li className="muted">Loading…</li>}
+        {node.error && <li style={{ color: 'red' }}>{node.error}</li>}
+        {!node.loading && !node.error && node.items.length === 0 && <li className="muted">No sub-compartments</li>}
+      </ul>
+    );
+  };
+
+  if (!selectedProfile) return null;
+
+  return (
+    <nav className="compartment-tree">
+      <button className="tree-toggle" onClick={() => toggle(ROOT_KEY)} aria-label="Toggle root">
+        {isOpen(ROOT_KEY) ? '▾' : '▸'}
+      </button>
+      <button
+        className={`link-button${currentId === ROOT_KEY ? ' tree-current' : ''}`}
+        onClick={() => onSelect([])}
+      >
+        (Tenancy Root)
+      </button>
+      {isOpen(ROOT_KEY) && renderChildren(ROOT_KEY, [])}
+    </nav>
+  );
+}
+
+export default CompartmentTree;
@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+
+/**
+ * DynamicGroupBrowser component
+ * Lists the dynamic groups of the selected tenancy (all identity domains) with their matching rules.
+ * Mounted once per profile (App keys it by profile), so the list is loaded once on mount.
+ * Props:
+ *   selectedProfile: currently selected profile name
+ *   onSubjectClick(subject): callback to open the effective access of a dynamic group ({ type, name, domain })
+ */
+function DynamicGroupBrowser({ selectedProfile, onSubjectClick }) {
+// State: Dynamic groups of the tenancy
+  const [dynamicGroups, setDynamicGroups] = useState([]);
+// State: Filter on name or matching rule
+  const [filter, setFilter] = useState('');
+// State: Whether the request is in flight (the list loads on mount)
+  const [loading, setLoading] = useState(!!selectedProfile);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!selectedProfile) return;
+    fetch(`${API_ROOT}/api/dynamic-groups?profile=${encodeURIComponent(selectedProfile)}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (Array.isArray(data)) {
+          setDynamicGroups(data);
+        } else {
+          setDynamicGroups([]);
+          setError(data.error || 'Unexpected response');
+        }
+        setLoading(false);
+      })
+      .catch(() => {
+        setError('Failed to load dynamic groups.');
+        setLoading(false);
+      });
+  }, [selectedProfile]);
+
+  if (!selectedProfile) {
+    return <p>Select a profile to browse dynamic groups.</p>;
+  }
+
+  const needle = filter.toLowerCase();
+  const visible = dynamicGroups.filter((g) => (
+    g.name.toLowerCase().includes(needle) || (g.matchingRule || '').toLowerCase().includes(needle)
+  ));
+
+  return (
+    <div>
+      <h2>Dynamic Groups</h2>
+      <div className="search-form">
+        <input
+          type="text"
+          value={filter}
+          placeholder="Filter by name or matching rule"
+          onChange={(e) => setFilter(e.target.value)}
+        />
+      </div>
+      {loading && <p>Loading dynamic groups…</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      {!loading && (
+        <table className="policy-table">
+          <thead>
+            <tr>
+              <th align="left">Name</th>
+              <th align="left">Domain</th>
+              <th align="left">Matching rule</th>
+              <th align="left">State</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((group) => (
+              <tr key={group.id}>
+                <td align="left">
+                  <button className="link-button" onClick={() => onSubjectClick({ type: 'dynamic-group', name: group.name, domain: group.domain })}>
+                    {group.name}
+                  </button>
+                  {group.description && <div className="muted">{group.description}</div>}
+                </td>
+                <td align="left">{group.domain || 'Default'}</td>
+                <td align="left"><code className="statement">{group.matchingRule}</code></td>
+                <td align="left">{group.lifecycleState}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default DynamicGroupBrowser;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+
+/**
+ * EffectiveAccess component
+ * "Who can do what": shows every grant a group or dynamic group receives across the tenancy,
+ * as a table of verb × resource type × compartment (including inherited child compartments).
+ * Props:
+ *   selectedProfile: currently selected profile name
+ *   access: lifted query state { type, name, domain, result, autoRun } (kept across navigation);
+ *     autoRun runs the query on mount (used when opened from a group name in PolicyDetail)
+ *   setAccess(access): setter for the lifted query state
+ */
+function EffectiveAccess({ selectedProfile, access, setAccess }) {
+// State: Whether the analysis request is in flight (from the start if the query runs on mount)
+  const [loading, setLoading] = useState(() => !!(access.autoRun && selectedProfile && access.name));
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+// State: Only show compartments where the grant is made (hide inherited rows)
+  const [hideInherited, setHideInherited] = useState(false);
+
+  // Fetches the effective access of the queried subject; the caller sets `loading` first
+  const fetchAccess = () => {
+    const params = new URLSearchParams({ profile: selectedProfile, type: access.type, name: access.name });
+    if (access.domain) params.set('domain', access.domain);
+    fetch(`${API_ROOT}/api/access/subject?${params}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (Array.isArray(data.rows)) {
+          setAccess({ ...access, result: data, autoRun: false });
+        } else {
+          setError(data.error || 'Unexpected response');
+          setAccess({ ...access, result: null, autoRun: false });
+        }
+        setLoading(false);
+      })
+      .catch(() => {
+        setError('Failed to load effective access.');
+        setLoading(false);
+      });
+  };
+
+  // Runs the effective-access query against the backend
+  const runQuery = () => {
+    if (!selectedProfile || !access.name) return;
+    setLoading(true);
+    setError('');
+    fetchAccess();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runQuery();
+  };
+
+  // An autoRun query starts out loading (see above), so only the fetch is left to do
+  useEffect(() => {
+    if (loading) fetchAccess();
+    // eslint-disable-next-line
+  }, []);
+
+  if (!selectedProfile) {
+    return <p>Select a profile to analyse access.</p>;
+  }
+
+  const rows = access.result
+    ? access.result.rows.filter((row) => !hideInherited || !row.inherited)
+    : [];
+
+  return (
+    <div>
+      <h2>Effective Access</h2>
+      <form onSubmit={handleSubmit} className="search-form">
+        <select
+          value={access.type}
+          onChange={(e) => setAccess({ ...access, type: e.target.value })}
+        >
+          <option value="group">Group</option>
+          <option value="dynamic-group">Dynamic group</option>
+        </select>
+        <input
+          type="text"
+          value={access.domain}
+          placeholder="Domain (Default)"
+          style={{ maxWidth: 140 }}
+          onChange={(e) => setAccess({ ...access, domain: e.target.value })}
+        />
+        <input
+          type="text"
+          value={access.name}
+          placeholder="Name"
+          onChange={(e) => setAccess({ ...access, name: e.target.value })}
+        />
+        <button type="submit" disabled={loading || !access.name}>Analyse</button>
+      </form>
+
+      {loading && <p>Collecting statements from all compartments…</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {!loading && access.result && (
+        <div>
+          <label>
+            <input
+              type="checkbox"
+              checked={hideInherited}
+              onChange={(e) => setHideInherited(e.target.checked)}
+            />
+            Hide inherited compartments
+          </label>
+          {rows.length === 0 ? (
+            <p>No grants found.</p>
+          ) : (
+            <table className="policy-table">
+              <thead>
+                <tr>
+                  <th align="left">Compartment</th>
+                  <th align="left">Verb</th>
+                  <th align="left">Resource</th>
+                  <th align="left">Source</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, i) => (
+                  <tr key={i} className={row.inherited ? 'inherited-row' : ''}>
+                    <td align="left">
+                      {row.compartmentPath}
+                      {row.inherited && <div className="muted">inherited from {row.grantedAtPath}</div>}
+                    </td>
+                    <td align="left">{row.verb || '(permissions)'}</td>
+                    <td align="left">
+                      {row.resourceType || row.permissions.join(', ')}
+                      {row.conditional && <div className="muted">conditional (where)</div>}
+                    </td>
+                    <td align="left">
+                      <b>{row.policyName}</b> #{row.statementIndex + 1}
+                      {row.matchedBy !== 'direct' && <div className="muted">via {row.matchedBy}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {access.result.unresolved.length > 0 && (
+            <div>
+              <h3>Unresolved locations</h3>
+              <ul>
+                {access.result.unresolved.map((grant, i) => (
+                  <li key={i}>
+                    <code>{grant.statement}</code> <span className="muted">({grant.policyName})</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EffectiveAccess;
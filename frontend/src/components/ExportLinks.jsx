@@ -0,0 +1,38 @@
+import React from 'react';
+import { API_ROOT } from '../api';
+
+// Download formats offered by /api/export: format param and link label
+const FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'tf', label: 'Terraform' }
+];
+
+/**
+ * ExportLinks component
+ * Download links for /api/export: one row per statement with its parsed parts (CSV, Excel, Markdown), or
+ * Terraform resources with import blocks for adopting the policies.
+ * Props:
+ *   selectedProfile: profile to export from
+ *   compartmentId: compartment to export ('' for the tenancy root)
+ *   subtree: also export every compartment below it (optional)
+ *   policyIds: only export these policies (optional)
+ */
+function ExportLinks({ selectedProfile, compartmentId, subtree = false, policyIds = [] }) {
+  if (!selectedProfile) return null;
+  const params = new URLSearchParams({ profile: selectedProfile });
+  if (compartmentId) params.set('compartmentId', compartmentId);
+  if (subtree) params.set('subtree', 'true');
+  if (policyIds.length > 0) params.set('policyIds', policyIds.join(','));
+  return (
+    <span className="export-links">
+      Export:
+      {FORMATS.map(({ format, label }) => (
+        <a key={format} href={`${API_ROOT}/api/export?${params}&format=${format}`} download>{label}</a>
+      ))}
+    </span>
+  );
+}
+
+export default ExportLinks;
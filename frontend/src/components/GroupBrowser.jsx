@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+
+/**
+ * GroupBrowser component
+ * Lists the groups of the selected tenancy (all identity domains); selecting a group shows its members.
+ * Members are only listed for Default-domain groups.
+ * Mounted once per profile (App keys it by profile), so the list is loaded once on mount.
+ * Props:
+ *   selectedProfile: currently selected profile name
+ *   onSubjectClick(subject): callback to open the effective access of a group ({ type, name, domain })
+ */
+function GroupBrowser({ selectedProfile, onSubjectClick }) {
+// State: Groups of the tenancy
+  const [groups, setGroups] = useState([]);
+// State: Name filter
+  const [filter, setFilter] = useState('');
+// State: Currently selected group and its members (null until loaded)
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [members, setMembers] = useState(null);
+// State: Whether a request is in flight (the list loads on mount)
+  const [loading, setLoading] = useState(!!selectedProfile);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!selectedProfile) return;
+    fetch(`${API_ROOT}/api/groups?profile=${encodeURIComponent(selectedProfile)}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (Array.isArray(data)) {
+          setGroups(data);
+        } else {
+          setGroups([]);
+          setError(data.error || 'Unexpected response');
+        }
+        setLoading(false);
+      })
+      .catch(() => {
+        setError('Failed to load groups.');
+        setLoading(false);
+      });
+  }, [selectedProfile]);
+
+  // Select a group and load its members
+  const handleGroupClick = (group) => {
+    setSelectedGroup(group);
+    setMembers(null);
+    setError('');
+    if (group.domain) return;
+    const params = new URLSearchParams({ profile: selectedProfile, groupId: group.id });
+    fetch(`${API_ROOT}/api/users?${params}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (Array.isArray(data)) {
+          setMembers(data);
+        } else {
+          setError(data.error || 'Unexpected response');
+        }
+      })
+      .catch(() => setError('Failed to load group members.'));
+  };
+
+  if (!selectedProfile) {
+    return <p>Select a profile to browse groups.</p>;
+  }
+
+  const visible = groups.filter((g) => g.name.toLowerCase().includes(filter.toLowerCase()));
+
+  return (
+    <div>
+      <h2>Groups</h2>
+      <div className="search-form">
+        <input
+          type="text"
+          value={filter}
+          placeholder="Filter by name"
+          onChange={(e) => setFilter(e.target.value)}
+        />
+      </div>
+      {loading && <p>Loading groups…</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {selectedGroup && (
+        <div className="identity-detail">
+          <h3>{selectedGroup.name}</h3>
+          {selectedGroup.description && <p className="muted">{selectedGroup.description}</p>}
+          <button onClick={() => onSubjectClick({ type: 'group', name: selectedGroup.name, domain: selectedGroup.domain })}>
+            Effective access
+          </button>
+          {selectedGroup.domain ? (
+            <p className="muted">Members are not listed for groups of identity domain {selectedGroup.domain}.</p>
+          ) : members === null ? (
+            !error && <p>Loading members…</p>
+          ) : members.length === 0 ? (
+            <p>No members.</p>
+          ) : (
+            <ul>
+              {members.map((user) => (
+                <li key={user.id}>
+                  {user.name}
+                  {user.email && <span className="muted"> ({user.email})</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {!loading && (
+        <table className="policy-table">
+          <thead>
+            <tr>
+              <th align="left">Name</th>
+              <th align="left">Domain</th>
+              <th align="left">Description</th>
+              <th align="left">State</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((group) => (
+              <tr key={group.id}>
+                <td align="left">
+                  <button className="link-button" onClick={() => handleGroupClick(group)}>{group.name}</button>
+                </td>
+                <td align="left">{group.domain || 'Default'}</td>
+                <td align="left">{group.description}</td>
+                <td align="left">{group.lifecycleState}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default GroupBrowser;
@@ -0,0 +1,373 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+
+// Labels of the policy comparison statuses
+const STATUS_LABELS = { identical: 'identical', different: 'different', missing: 'missing in some' };
+
+/**
+ * Utility: One statement reference of the cross-tenancy report
+ */
+function StatementRef({ refData }) {
+  return (
+    <div>
+      <span className="badge">{refData.profile}</span> {refData.compartmentPath} / <b>{refData.policyName}</b>{' '}
+      #{refData.statementIndex + 1}
+      <div><code>{refData.statement}</code></div>
+    </div>
+  );
+}
+
+/**
+ * Utility: Cross-tenancy endorse/admit report (pairs, orphans and define issues)
+ */
+function CrossTenancyReport({ report }) {
+  return (
+    <div>
+      <p>
+        {report.tenancies.map((t) => `${t.profile} (${t.tenancyId})`).join(' ↔ ')}:{' '}
+        <b>{report.summary.pairs}</b> matched pairs, <b>{report.summary.orphanedEndorses}</b> orphaned endorse,{' '}
+        <b>{report.summary.orphanedAdmits}</b> orphaned admit statements, <b>{report.summary.issues}</b> issues.
+      </p>
+      {report.issues.length > 0 && (
+        <div>
+          <h3>Define and alias issues</h3>
+          <ul>
+            {report.issues.map((issue, i) => (
+              <li key={i}>
+                <span className="compare-missing">{issue.message}</span>
+                <StatementRef refData={issue} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <h3>Orphaned statements</h3>
+      {report.orphanedEndorses.length + report.orphanedAdmits.length === 0 ? (
+        <p>None.</p>
+      ) : (
+        <ul>
+          {report.orphanedEndorses.map((ref, i) => (
+            <li key={`e${i}`}>No matching admit in the other tenancy: <StatementRef refData={ref} /></li>
+          ))}
+          {report.orphanedAdmits.map((ref, i) => (
+            <li key={`a${i}`}>No matching endorse in the other tenancy: <StatementRef refData={ref} /></li>
+          ))}
+        </ul>
+      )}
+      <h3>Matched pairs</h3>
+      {report.pairs.length === 0 ? (
+        <p>None.</p>
+      ) : (
+        <table className="policy-table">
+          <thead>
+            <tr>
+              <th align="left">Endorse</th>
+              <th align="left">Admit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.pairs.map((pair, i) => (
+              <tr key={i}>
+                <td align="left"><StatementRef refData={pair.endorse} /></td>
+                <td align="left"><StatementRef refData={pair.admit} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * MultiTenancy component
+ * Works on several profiles (tenancies) at once: searches their policies together, with every result tagged
+ * by profile, and compares same-named compartments and policies side by side. For exactly two profiles it also
+ * pairs the endorse and admit statements of the two tenancies.
+ * Props:
+ *   multi: lifted state { profiles, query, regex, caseSensitive, results, comparison, crossTenancy, errors }
+ *     (kept across navigation)
+ *   setMulti(multi): setter for the lifted state
+ *   onPolicyClick(profile, policy): callback when a policy in the search results is clicked
+ */
+function MultiTenancy({ multi, setMulti, onPolicyClick }) {
+// State: Profiles available on the backend
+  const [available, setAvailable] = useState([]);
+// State: Whether a request is in flight
+  const [loading, setLoading] = useState(false);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+// State: Hide compartments and policies that are the same in every tenancy
+  const [onlyDifferences, setOnlyDifferences] = useState(true);
+// State: Key of the policy row whose statements are shown side by side
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    fetch(`${API_ROOT}/api/profiles`)
+      .then((r) => r.json())
+      .then((data) => setAvailable(data.profiles || []))
+      .catch(() => setError('Could not load profiles.'));
+  }, []);
+
+  // Add or remove a profile from the selection
+  const toggleProfile = (profile) => {
+    const profiles = multi.profiles.includes(profile)
+      ? multi.profiles.filter((p) => p !== profile)
+      : [...multi.profiles, profile];
+    setMulti({ ...multi, profiles });
+  };
+
+  // Requests a backend endpoint and stores the response with `store(data)`
+  const request = (endpoint, params, store) => {
+    setLoading(true);
+    setError('');
+    fetch(`${API_ROOT}/api/${endpoint}?${new URLSearchParams(params)}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.error) {
+          setError(data.error);
+          setMulti({ ...multi, errors: data.errors || [] });
+        } else {
+          store(data);
+        }
+        setLoading(false);
+      })
+      .catch(() => {
+        setError('Failed to load the tenancies.');
+        setLoading(false);
+      });
+  };
+
+  // Runs the search across the selected tenancies
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (multi.profiles.length === 0 || !multi.query) return;
+    request(
+      'multi/search',
+      {
+        profiles: multi.profiles.join(','),
+        q: multi.query,
+        regex: String(multi.regex),
+        caseSensitive: String(multi.caseSensitive)
+      },
+      (data) => setMulti({ ...multi, results: data.results, comparison: null, crossTenancy: null, errors: data.errors })
+    );
+  };
+
+  // Compares the selected tenancies
+  const handleCompare = () => {
+    setExpanded(null);
+    request('multi/compare', { profiles: multi.profiles.join(',') }, (data) => (
+      setMulti({ ...multi, comparison: data, results: null, crossTenancy: null, errors: data.errors })
+    ));
+  };
+
+  // Pairs the endorse/admit statements of the two selected tenancies
+  const handleCrossTenancy = () => {
+    const [a, b] = multi.profiles;
+    request('cross-tenancy', { a, b }, (data) => (
+      setMulti({ ...multi, crossTenancy: data, results: null, comparison: null, errors: [] })
+    ));
+  };
+
+  const comparison = multi.comparison;
+  const compartmentRows = comparison
+    ? comparison.compartments.filter((row) => !onlyDifferences || !row.inAll)
+    : [];
+  const policyRows = comparison
+    ? comparison.policies.filter((row) => !onlyDifferences || row.status !== 'identical')
+    : [];
+
+  return (
+    <div>
+      <h2>Multiple Tenancies</h2>
+      <div className="profile-checklist">
+        {available.map((profile) => (
+          <label key={profile}>
+            <input
+              type="checkbox"
+              checked={multi.profiles.includes(profile)}
+              onChange={() => toggleProfile(profile)}
+            />
+            {profile}
+          </label>
+        ))}
+      </div>
+
+      <form onSubmit={handleSearch} className="search-form">
+        <input
+          type="text"
+          value={multi.query}
+          placeholder="Search policies in all selected tenancies…"
+          onChange={(e) => setMulti({ ...multi, query: e.target.value })}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={multi.regex}
+            onChange={(e) => setMulti({ ...multi, regex: e.target.checked })}
+          />
+          Regex
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={multi.caseSensitive}
+            onChange={(e) => setMulti({ ...multi, caseSensitive: e.target.checked })}
+          />
+          Match case
+        </label>
+        <button type="submit" disabled={loading || multi.profiles.length === 0 || !multi.query}>Search</button>
+        <button type="button" disabled={loading || multi.profiles.length < 2} onClick={handleCompare}>Compare</button>
+        <button
+          type="button"
+          disabled={loading || multi.profiles.length !== 2}
+          title="Select exactly two profiles"
+          onClick={handleCrossTenancy}
+        >
+          Endorse/Admit pairs
+        </button>
+      </form>
+
+      {loading && <p>Loading {multi.profiles.length} tenancies…</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      {multi.errors.map((e) => (
+        <p key={e.profile} style={{ color: 'red' }}>{e.profile}: {e.error}</p>
+      ))}
+
+      {!loading && multi.results && (
+        multi.results.length === 0 ? (
+          <p>No matches found.</p>
+        ) : (
+          <table className="policy-table">
+            <thead>
+              <tr>
+                <th align="left">Tenancy</th>
+                <th align="left">Compartment</th>
+                <th align="left">Policy</th>
+                <th align="left">Match</th>
+              </tr>
+            </thead>
+            <tbody>
+              {multi.results.map((result) => (
+                <tr key={`${result.profile}|${result.policy.id}`}>
+                  <td align="left"><span className="badge">{result.profile}</span></td>
+                  <td align="left">{result.compartmentPath}</td>
+                  <td align="left">
+                    <button className="link-button" onClick={() => onPolicyClick(result.profile, result.policy)}>
+                      {result.policy.name}
+                    </button>
+                  </td>
+                  <td align="left">
+                    {result.matches.map((m, i) => (
+                      <div key={i}>
+                        {m.field === 'statement' ? `#${m.statementIndex + 1}: ` : `${m.field}: `}
+                        <code>{m.text}</code>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+
+      {!loading && multi.crossTenancy && <CrossTenancyReport report={multi.crossTenancy} />}
+
+      {!loading && comparison && (
+        <div>
+          <p>
+            <b>{comparison.summary.partialCompartments}</b> of {comparison.summary.compartments} compartments
+            missing in some tenancies; policies: <b>{comparison.summary.identicalPolicies}</b> identical,{' '}
+            <b>{comparison.summary.differentPolicies}</b> different, <b>{comparison.summary.missingPolicies}</b> missing
+            in some tenancies.
+          </p>
+          <label>
+            <input type="checkbox" checked={onlyDifferences} onChange={(e) => setOnlyDifferences(e.target.checked)} />
+            Only show differences
+          </label>
+
+          <h3>Compartments</h3>
+          <table className="policy-table">
+            <thead>
+              <tr>
+                <th align="left">Path</th>
+                {comparison.profiles.map((p) => <th key={p} align="left">{p}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {compartmentRows.map((row) => (
+                <tr key={row.path}>
+                  <td align="left">{row.path}</td>
+                  {comparison.profiles.map((p) => (
+                    <td key={p} align="left" className={row.ids[p] ? '' : 'compare-missing'}>
+                      {row.ids[p] ? '✓' : '—'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Policies</h3>
+          <table className="policy-table">
+            <thead>
+              <tr>
+                <th align="left">Compartment</th>
+                <th align="left">Policy</th>
+                <th align="left">Status</th>
+                {comparison.profiles.map((p) => <th key={p} align="left">{p}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {policyRows.map((row) => {
+                const key = `${row.compartmentPath}|${row.name}`;
+                return (
+                  <React.Fragment key={key}>
+                    <tr>
+                      <td align="left">{row.compartmentPath}</td>
+                      <td align="left">
+                        <button className="link-button" onClick={() => setExpanded(expanded === key ? null : key)}>
+                          {row.name}
+                        </button>
+                      </td>
+                      <td align="left" className={`compare-${row.status}`}>{STATUS_LABELS[row.status]}</td>
+                      {comparison.profiles.map((p) => (
+                        <td key={p} align="left" className={row.entries[p] ? '' : 'compare-missing'}>
+                          {row.entries[p] ? `${row.entries[p].statements.length} statements` : '—'}
+                        </td>
+                      ))}
+                    </tr>
+                    {expanded === key && (
+                      <tr>
+                        <td colSpan={3 + comparison.profiles.length}>
+                          <div className="compare-columns">
+                            {comparison.profiles.map((p) => (
+                              <div key={p}>
+                                <b>{p}</b>
+                                {row.entries[p] ? (
+                                  <ul>
+                                    {row.entries[p].statements.map((st, i) => <li key={i}><code>{st}</code></li>)}
+                                  </ul>
+                                ) : (
+                                  <p className="muted">Not present</p>
+                                )}
+                              </div>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MultiTenancy;
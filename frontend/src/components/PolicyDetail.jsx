@@ -1,13 +1,44 @@
-import React from 'react';
+import React, { useState } from 'react';
+import StatementView from './StatementView';
+import ExportLinks from './ExportLinks';
+import PolicyEditor from './PolicyEditor';
+import ChangePlan from './ChangePlan';
+import { API_ROOT } from '../api';
 
 /**
  * PolicyDetail component
- * Displays a policy's name, description, and statements.
+ * Displays a policy's name, description, and syntax-highlighted statements.
+ * Group names jump to the effective-access view; compartment references jump to the compartment in the browser.
+ * Statements the backend parser rejected are flagged with the error message and position,
+ * and lint findings are shown inline under the statement they refer to.
+ * With canWrite the policy can be edited (PolicyEditor) or deleted. A delete is planned first and shown as a
+ * ChangePlan (access lost, lint changes); confirming it deletes the version the plan was made for (If-Match).
  * Props:
- *   policy: policy object with 'name', 'description', 'statements' (array)
+ *   selectedProfile: profile the policy belongs to (for the statement export)
+ *   policy: policy object with 'name', 'description', 'statements' (array) and optionally 'parsedStatements'
+ *   findings: lint findings for this policy (optional)
+ *   compartmentsById: compartment hierarchy keyed by OCID (from /api/compartments/tree), used to show paths (optional)
  *   onBack(): callback for navigating back to main view
+ *   onSubjectClick(subject): callback when a group/dynamic-group name is clicked
+ *   onCompartmentClick(policy, location): callback when a compartment reference is clicked; returns a Promise
+ *   canWrite: whether the backend accepts changes to this profile's policies (optional)
+ *   onSaved(policy): callback with the updated policy after an edit (optional)
+ *   onDeleted(): callback after the policy was deleted (optional)
  */
-function PolicyDetail({ policy, onBack }) {
+function PolicyDetail({
+  selectedProfile, policy, findings = [], compartmentsById = {}, onBack, onSubjectClick, onCompartmentClick,
+  canWrite = false, onSaved, onDeleted
+}) {
+// State: Error from the last compartment navigation attempt (if any)
+  const [navError, setNavError] = useState('');
+// State: Whether the policy editor is open
+  const [editing, setEditing] = useState(false);
+// State: Error from the last delete attempt (if any)
+  const [deleteError, setDeleteError] = useState('');
+// State: Plan of the delete awaiting confirmation (null if none) and whether it is being planned/sent
+  const [deletePlan, setDeletePlan] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
   if (!policy) {
     return (
       <div>
@@ -17,19 +48,123 @@ function PolicyDetail({ policy, onBack }) {
     );
   }
 
+  // Plans deleting the policy, for review before anything is sent
+  const handleDelete = () => {
+    setDeleteError('');
+    setDeleting(true);
+    fetch(`${API_ROOT}/api/policies/plan?${new URLSearchParams({ profile: selectedProfile })}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'delete', policyId: policy.id })
+    })
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.error);
+        setDeletePlan(data);
+      })
+      .catch((err) => setDeleteError(err.message || 'Failed to plan the delete.'))
+      .finally(() => setDeleting(false));
+  };
+
+  // Deletes the version of the policy the plan was made for
+  const handleConfirmDelete = () => {
+    const params = new URLSearchParams({ profile: selectedProfile, compartmentId: policy.compartmentId });
+    setDeleting(true);
+    fetch(`${API_ROOT}/api/policies/${encodeURIComponent(policy.id)}?${params}`, {
+      method: 'DELETE',
+      headers: { 'If-Match': deletePlan.etag }
+    })
+      .then((r) => r.json().then((data) => {
+        if (r.status === 412) throw new Error('The policy was changed by someone else after the plan was made. Review the delete again.');
+        if (data.error) throw new Error(data.error);
+        onDeleted();
+      }))
+      .catch((err) => {
+        setDeletePlan(null);
+        setDeleting(false);
+        setDeleteError(err.message || 'Failed to delete the policy.');
+      });
+  };
+
+  if (deletePlan) {
+    return (
+      <ChangePlan
+        plan={deletePlan}
+        confirmLabel="Delete policy"
+        busy={deleting}
+        onConfirm={handleConfirmDelete}
+        onCancel={() => setDeletePlan(null)}
+      />
+    );
+  }
+
+  if (editing) {
+    return (
+      <PolicyEditor
+        key={policy.id}
+        selectedProfile={selectedProfile}
+        policy={policy}
+        onSaved={(saved) => {
+          setEditing(false);
+          onSaved(saved);
+        }}
+        onCancel={() => setEditing(false)}
+      />
+    );
+  }
+
   return (
     <div>
       <button onClick={onBack} style={{ marginBottom: 16 }}>Back</button>
       <h2>{policy.name}</h2>
+      {canWrite && (
+        <div className="editor-actions">
+          <button onClick={() => setEditing(true)}>Edit</button>
+          <button onClick={handleDelete} disabled={deleting}>Delete</button>
+        </div>
+      )}
+      {deleteError && <p style={{ color: 'red' }}>{deleteError}</p>}
       <p><b>Description:</b> {policy.description || '(No description)'}</p>
+      {compartmentsById[policy.compartmentId] && (
+        <p><b>Compartment:</b> {compartmentsById[policy.compartmentId].path || '(Tenancy Root)'}</p>
+      )}
+      {findings.filter((f) => f.statementIndex === null).map((f, i) => (
+        <div key={i} className={`lint-finding lint-${f.severity}`}>{f.ruleId}: {f.message}</div>
+      ))}
       <h3>Statements</h3>
+      <p>
+        <ExportLinks selectedProfile={selectedProfile} compartmentId={policy.compartmentId} policyIds={[policy.id]} />
+      </p>
+      {navError && <p style={{ color: 'red' }}>{navError}</p>}
       {Array.isArray(policy.statements) && policy.statements.length > 0 ? (
         <ul>
-          {policy.statements.map((stmt, i) => (
-            <li key={i}>
-              <code style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{stmt}</code>
-            </li>
-          ))}
+          {policy.statements.map((stmt, i) => {
+            const parseError = policy.parsedStatements?.[i]?.error;
+            return (
+              <li key={i}>
+                <StatementView
+                  statement={stmt}
+                  parsedStatement={policy.parsedStatements?.[i]}
+                  compartmentsById={compartmentsById}
+                  onSubjectClick={onSubjectClick}
+                  onCompartmentClick={(location) => {
+                    setNavError('');
+                    onCompartmentClick(policy, location).catch((err) => setNavError(err.message));
+                  }}
+                />
+                {parseError && (
+                  <div className="parse-error">
+                    Parse error at position {parseError.position}: {parseError.message}
+                  </div>
+                )}
+                {findings
+                  .filter((f) => f.statementIndex === i && f.ruleId !== 'parse-error')
+                  .map((f, j) => (
+                    <div key={j} className={`lint-finding lint-${f.severity}`}>{f.ruleId}: {f.message}</div>
+                  ))}
+              </li>
+            );
+          })}
         </ul>
       ) : (
         <p>No statements found.</p>
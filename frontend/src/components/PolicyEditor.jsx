@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_ROOT } from '../api';
+import ChangePlan from './ChangePlan';
+
+/**
+ * Utility: Statements of the editor text, one per non-blank line
+ */
+function statementsOf(text) {
+  return text.split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * PolicyEditor component
+ * Creates a policy, or edits the description and statements of an existing one (one statement per line).
+ * Statements are checked with the backend parser (/api/policies/validate), then the change is planned
+ * (/api/policies/plan) and shown as a ChangePlan; only confirming the plan sends it to OCI.
+ * Edits start from the current version. Updates are sent with the ETag the plan was computed against as If-Match:
+ * if someone else changed the policy after planning, the update is refused and the editor asks to reload.
+ * Parents key the editor by policy, so editing another policy starts a fresh editor.
+ * Props:
+ *   selectedProfile: profile the policy belongs to
+ *   policy: policy to edit (omit to create a new one)
+ *   compartmentId: compartment a new policy is created in
+ *   onSaved(policy): callback with the created/updated policy
+ *   onCancel(): callback to close the editor without saving
+ */
+function PolicyEditor({ selectedProfile, policy, compartmentId, onSaved, onCancel }) {
+  const creating = !policy;
+  const policyId = policy ? policy.id : null;
+// State: Form fields
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState(policy ? policy.description || '' : '');
+  const [text, setText] = useState(policy ? (policy.statements || []).join('\n') : '');
+// State: ETag of the version being edited ('' until loaded)
+  const [etag, setEtag] = useState('');
+// State: Parse errors of the last validation: [{ index, statement, error: { message, position } }]
+  const [parseErrors, setParseErrors] = useState([]);
+// State: Whether a request is in flight (from the start when editing: the current version is loaded on mount)
+  const [busy, setBusy] = useState(!creating);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+// State: Message after a successful validation
+  const [notice, setNotice] = useState('');
+// State: Plan of the change awaiting confirmation (null while editing)
+  const [plan, setPlan] = useState(null);
+
+  // Fetch the current version and its ETag (the policy shown may come from a cached listing); the caller sets `busy`
+  const fetchCurrent = useCallback(() => {
+    fetch(`${API_ROOT}/api/policies/${encodeURIComponent(policyId)}?profile=${encodeURIComponent(selectedProfile)}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.error) {
+          setError(data.error);
+        } else {
+          setDescription(data.description || '');
+          setText((data.statements || []).join('\n'));
+          setEtag(data.etag || '');
+        }
+        setBusy(false);
+      })
+      .catch(() => {
+        setError('Failed to load the current version of the policy.');
+        setBusy(false);
+      });
+  }, [policyId, selectedProfile]);
+
+  // Edits start from the version read on mount
+  useEffect(() => {
+    if (policyId) fetchCurrent();
+  }, [policyId, fetchCurrent]);
+
+  // Reload the current version after a failed load or a refused update
+  const handleReload = () => {
+    setBusy(true);
+    setError('');
+    fetchCurrent();
+  };
+
+  // Parses the statements; resolves to true if all of them parse
+  const validate = () => {
+    setError('');
+    setNotice('');
+    return fetch(`${API_ROOT}/api/policies/validate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ statements: statementsOf(text) })
+    })
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.error);
+        setParseErrors(data.parsedStatements.filter((e) => e.error));
+        return data.valid;
+      });
+  };
+
+  const handleValidate = () => {
+    validate()
+      .then((valid) => valid && setNotice('All statements parse.'))
+      .catch((err) => setError(err.message || 'Validation failed.'));
+  };
+
+  // Validates, then plans the change for review
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const statements = statementsOf(text);
+    if (statements.length === 0) {
+      setError('Enter at least one statement.');
+      return;
+    }
+    setBusy(true);
+    validate()
+      .then((valid) => {
+        if (!valid) return null;
+        return fetch(`${API_ROOT}/api/policies/plan?${new URLSearchParams({ profile: selectedProfile })}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(creating
+            ? { action: 'create', compartmentId, name, description, statements }
+            : { action: 'update', policyId: policy.id, description, statements })
+        })
+          .then((r) => r.json())
+          .then((data) => {
+            if (data.error) throw new Error(data.error);
+            setPlan(data);
+          });
+      })
+      .catch((err) => setError(err.message || 'Failed to plan the change.'))
+      .finally(() => setBusy(false));
+  };
+
+  // Sends the planned change: creates the policy, or updates it if it is still the version the plan was made for
+  const handleApply = () => {
+    const params = new URLSearchParams({ profile: selectedProfile });
+    const statements = statementsOf(text);
+    setBusy(true);
+    setError('');
+    const request = creating
+      ? fetch(`${API_ROOT}/api/policies?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ compartmentId, name, description, statements })
+      })
+      : fetch(`${API_ROOT}/api/policies/${encodeURIComponent(policy.id)}?${params}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'If-Match': plan.etag },
+        body: JSON.stringify({ description, statements })
+      });
+    request
+      .then((r) => r.json().then((data) => {
+        if (r.status === 412) {
+          throw new Error('The policy was changed by someone else after the plan was made. Reload to edit the current version.');
+        }
+        if (data.error) throw new Error(data.error);
+        onSaved(data);
+      }))
+      .catch((err) => {
+        setPlan(null);
+        setError(err.message || 'Failed to save the policy.');
+      })
+      .finally(() => setBusy(false));
+  };
+
+  if (plan) {
+    return (
+      <div className="policy-editor">
+        {!creating && plan.etag !== etag && (
+          <p className="plan-warning">
+            The policy was changed by someone else since you opened it. The plan compares against that newer version,
+            so applying it overwrites their change.
+          </p>
+        )}
+        <ChangePlan
+          plan={plan}
+          confirmLabel={creating ? 'Create policy' : 'Apply'}
+          busy={busy}
+          onConfirm={handleApply}
+          onCancel={() => setPlan(null)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <form className="policy-editor" onSubmit={handleSubmit}>
+      <h3>{creating ? 'New policy' : `Edit ${policy.name}`}</h3>
+      {creating && (
+        <label>
+          Name
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} required />
+        </label>
+      )}
+      <label>
+        Description
+        <input type="text" value={description} onChange={(e) => setDescription(e.target.value)} required />
+      </label>
+      <label>
+        Statements (one per line)
+        <textarea
+          rows={Math.max(6, statementsOf(text).length + 2)}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setNotice('');
+          }}
+          spellCheck={false}
+        />
+      </label>
+      {parseErrors.map((e) => (
+        <div key={e.index} className="parse-error">
+          Statement {e.index + 1}, position {e.error.position}: {e.error.message}
+        </div>
+      ))}
+      {notice && <p>{notice}</p>}
+      {error && (
+        <p style={{ color: 'red' }}>
+          {error}{' '}
+          {!creating && <button type="button" className="link-button" onClick={handleReload}>Reload</button>}
+        </p>
+      )}
+      <div className="editor-actions">
+        <button type="button" onClick={handleValidate} disabled={busy}>Validate</button>
+        <button type="submit" disabled={busy || (!creating && !etag)}>Review changes</button>
+        <button type="button" onClick={onCancel} disabled={busy}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default PolicyEditor;
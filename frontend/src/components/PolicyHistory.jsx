@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+
+const SNAPSHOT_PREFIX = 'snapshot:';
+
+/**
+ * PolicyHistory component
+ * Captures snapshots of the selected profile and compares two points in time:
+ * added, removed and modified policies, with added/removed statements per compartment path.
+ * Props:
+ *   selectedProfile: currently selected profile name
+ */
+function PolicyHistory({ selectedProfile }) {
+// State: Stored snapshots [{ name, profile, createdAt }]
+  const [snapshots, setSnapshots] = useState([]);
+// State: Profiles to compare ('snapshot:<name>' or a live profile)
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+// State: Diff response from the backend
+  const [diff, setDiff] = useState(null);
+// State: Whether a capture or comparison is in flight
+  const [busy, setBusy] = useState('');
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  // Fetches the stored snapshot list; resolves with it
+  const loadSnapshots = () =>
+    fetch(`${API_ROOT}/api/snapshots`)
+      .then((r) => r.json())
+      .then((data) => {
+        setSnapshots(data.snapshots || []);
+        return data.snapshots || [];
+      })
+      .catch(() => {
+        setError('Could not load snapshots.');
+        return [];
+      });
+
+  useEffect(() => {
+    loadSnapshots();
+  }, []);
+
+  const isLive = selectedProfile && !selectedProfile.startsWith(SNAPSHOT_PREFIX);
+
+  // Crawls the live tenancy now and stores it as a new snapshot
+  const handleCapture = () => {
+    setBusy('Capturing snapshot of the whole tenancy…');
+    setError('');
+    fetch(`${API_ROOT}/api/snapshots?profile=${encodeURIComponent(selectedProfile)}`, { method: 'POST' })
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.profile) {
+          loadSnapshots();
+        } else {
+          setError(data.error || 'Unexpected response');
+        }
+        setBusy('');
+      })
+      .catch(() => {
+        setError('Failed to capture snapshot.');
+        setBusy('');
+      });
+  };
+
+  // Requests the diff between the two chosen states
+  const handleCompare = () => {
+    setBusy('Comparing…');
+    setError('');
+    setDiff(null);
+    const params = new URLSearchParams({ from, to });
+    fetch(`${API_ROOT}/api/diff?${params}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.summary) {
+          setDiff(data);
+        } else {
+          setError(data.error || 'Unexpected response');
+        }
+        setBusy('');
+      })
+      .catch(() => {
+        setError('Failed to compare snapshots.');
+        setBusy('');
+      });
+  };
+
+  // Options shared by both selectors: every snapshot, plus the live profile if one is selected
+  const options = [
+    ...(isLive ? [{ value: selectedProfile, label: `Live: ${selectedProfile} (now)` }] : []),
+    ...snapshots.map((s) => ({
+      value: `${SNAPSHOT_PREFIX}${s.name}`,
+      label: `${s.name} (${s.profile}, ${new Date(s.createdAt).toLocaleString()})`
+    }))
+  ];
+
+  // Group every change by compartment path for display
+  const byCompartment = {};
+  if (diff) {
+    const bucket = (path) => (byCompartment[path] = byCompartment[path] || { added: [], removed: [], modified: [] });
+    diff.added.forEach((a) => bucket(a.compartmentPath).added.push(a));
+    diff.removed.forEach((r) => bucket(r.compartmentPath).removed.push(r));
+    diff.modified.forEach((m) => bucket(m.compartmentPath).modified.push(m));
+  }
+
+  return (
+    <div>
+      <h2>Policy History</h2>
+      {isLive && (
+        <button onClick={handleCapture} disabled={!!busy}>Capture snapshot of {selectedProfile} now</button>
+      )}
+      <div className="search-form" style={{ marginTop: 12 }}>
+        <select value={from} onChange={(e) => setFrom(e.target.value)}>
+          <option value="">-- From --</option>
+          {options.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <select value={to} onChange={(e) => setTo(e.target.value)}>
+          <option value="">-- To --</option>
+          {options.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <button onClick={handleCompare} disabled={!!busy || !from || !to}>Compare</button>
+      </div>
+
+      {busy && <p>{busy}</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {diff && (
+        <div>
+          <p>
+            <b>{diff.summary.addedPolicies}</b> added, <b>{diff.summary.removedPolicies}</b> removed,{' '}
+            <b>{diff.summary.modifiedPolicies}</b> modified policies
+            (<span className="diff-added">+{diff.summary.addedStatements}</span>{' '}
+            <span className="diff-removed">-{diff.summary.removedStatements}</span> statements)
+          </p>
+          {Object.keys(byCompartment).length === 0 && <p>No policy changes.</p>}
+          {Object.entries(byCompartment).map(([path, changes]) => (
+            <div key={path} className="diff-compartment">
+              <h3>{path}</h3>
+              {changes.added.map((a) => (
+                <div key={`a-${a.policy.id}`}>
+                  <span className="diff-added">+ policy <b>{a.policy.name}</b></span>
+                  <ul>
+                    {(a.policy.statements || []).map((st, i) => <li key={i} className="diff-added"><code>{st}</code></li>)}
+                  </ul>
+                </div>
+              ))}
+              {changes.removed.map((r) => (
+                <div key={`r-${r.policy.id}`}>
+                  <span className="diff-removed">- policy <b>{r.policy.name}</b></span>
+                  <ul>
+                    {(r.policy.statements || []).map((st, i) => <li key={i} className="diff-removed"><code>{st}</code></li>)}
+                  </ul>
+                </div>
+              ))}
+              {changes.modified.map((m) => (
+                <div key={`m-${m.policyId}`}>
+                  <span>~ policy <b>{m.name}</b></span>
+                  {m.nameChanged && <span className="muted"> (renamed from {m.previousName})</span>}
+                  {m.previousCompartmentPath !== m.compartmentPath && (
+                    <span className="muted"> (moved from {m.previousCompartmentPath})</span>
+                  )}
+                  {m.descriptionChanged && <span className="muted"> (description changed)</span>}
+                  <ul>
+                    {m.removedStatements.map((st, i) => <li key={`r${i}`} className="diff-removed"><code>- {st}</code></li>)}
+                    {m.addedStatements.map((st, i) => <li key={`a${i}`} className="diff-added"><code>+ {st}</code></li>)}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PolicyHistory;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { API_ROOT } from '../api';
+
+/**
+ * PolicySearch component
+ * Searches policy names, descriptions and statements across the whole tenancy of the selected profile.
+ * Each result row links to PolicyDetail for the matching policy.
+ * Props:
+ *   selectedProfile: currently selected profile name
+ *   search: lifted search state { query, regex, caseSensitive, results } (kept across navigation)
+ *   setSearch(search): setter for the lifted search state
+ *   onPolicyClick(policy): callback when a policy name is clicked
+ */
+function PolicySearch({ selectedProfile, search, setSearch, onPolicyClick }) {
+// State: Whether a search request is in flight
+  const [loading, setLoading] = useState(false);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  // Runs the search against the backend and stores results in the lifted state
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!selectedProfile || !search.query) return;
+    setLoading(true);
+    setError('');
+    const params = new URLSearchParams({
+      profile: selectedProfile,
+      q: search.query,
+      regex: String(search.regex),
+      caseSensitive: String(search.caseSensitive)
+    });
+    fetch(`${API_ROOT}/api/search?${params}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (Array.isArray(data.results)) {
+          setSearch({ ...search, results: data.results });
+        } else {
+          setError(data.error || 'Unexpected response');
+          setSearch({ ...search, results: null });
+        }
+        setLoading(false);
+      })
+      .catch(() => {
+        setError('Failed to search policies.');
+        setLoading(false);
+      });
+  };
+
+  if (!selectedProfile) {
+    return <p>Select a profile to search its policies.</p>;
+  }
+
+  return (
+    <div>
+      <h2>Search Policies</h2>
+      <form onSubmit={handleSubmit} className="search-form">
+        <input
+          type="text"
+          value={search.query}
+          placeholder="Group name, resource type, text…"
+          onChange={(e) => setSearch({ ...search, query: e.target.value })}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={search.regex}
+            onChange={(e) => setSearch({ ...search, regex: e.target.checked })}
+          />
+          Regex
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={search.caseSensitive}
+            onChange={(e) => setSearch({ ...search, caseSensitive: e.target.checked })}
+          />
+          Match case
+        </label>
+        <button type="submit" disabled={loading || !search.query}>Search</button>
+      </form>
+
+      {loading && <p>Searching all compartments…</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {!loading && search.results && (
+        search.results.length === 0 ? (
+          <p>No matches found.</p>
+        ) : (
+          <table className="policy-table">
+            <thead>
+              <tr>
+                <th align="left">Compartment</th>
+                <th align="left">Policy</th>
+                <th align="left">Match</th>
+              </tr>
+            </thead>
+            <tbody>
+              {search.results.map((result) => (
+                <tr key={result.policy.id}>
+                  <td align="left">{result.compartmentPath}</td>
+                  <td align="left">
+                    <span
+                      style={{ textDecoration: 'underline', color: '#1a0dab', cursor: 'pointer', fontWeight: 'bold' }}
+                      onClick={() => onPolicyClick(result.policy)}
+                    >
+                      {result.policy.name}
+                    </span>
+                  </td>
+                  <td align="left">
+                    {result.matches.map((m, i) => (
+                      <div key={i}>
+                        {m.field === 'statement' ? `#${m.statementIndex + 1}: ` : `${m.field}: `}
+                        <code>{m.text}</code>
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+}
+
+export default PolicySearch;
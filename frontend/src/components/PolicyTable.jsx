@@ -2,20 +2,48 @@ import React from 'react';
 
 /**
  * PolicyTable component
- * Displays a table of policies (name, description).
+ * Displays a table of policies (name, description), with lint finding counts as badges.
+ * With onSelectionChange, each row gets a checkbox (plus select-all in the header), e.g. to export selected policies.
  * Props:
  *   policies: array of policy objects (each must have 'id', 'name', 'description', and optionally 'statements')
+ *   findingsByPolicy: lint findings keyed by policy id (optional)
  *   onPolicyClick(policy): callback when a policy name is clicked
+ *   loadingMore: further pages of policies are still loading (optional)
+ *   selectedIds: ids of the selected policies (optional)
+ *   onSelectionChange(ids): callback with the new selection; rows are only selectable if given (optional)
  */
-function PolicyTable({ policies, onPolicyClick }) {
+function PolicyTable({
+  policies,
+  findingsByPolicy = {},
+  onPolicyClick,
+  loadingMore = false,
+  selectedIds = [],
+  onSelectionChange
+}) {
   if (!policies || policies.length === 0) {
-    return <p>No policies found.</p>;
+    return <p>{loadingMore ? 'Loading policies…' : 'No policies found.'}</p>;
   }
 
+  const selectable = Boolean(onSelectionChange);
+  const allSelected = policies.every((p) => selectedIds.includes(p.id));
+  const toggle = (id) => onSelectionChange(
+    selectedIds.includes(id) ? selectedIds.filter((s) => s !== id) : [...selectedIds, id]
+  );
+
   return (
     <table className="policy-table">
       <thead>
         <tr>
+          {selectable && (
+            <th>
+              <input
+                type="checkbox"
+                aria-label="Select all policies"
+                checked={allSelected}
+                onChange={() => onSelectionChange(allSelected ? [] : policies.map((p) => p.id))}
+              />
+            </th>
+          )}
           <th align="left">Policy Name</th>
           <th align="left">Description</th>
         </tr>
@@ -23,6 +51,16 @@ function PolicyTable({ policies, onPolicyClick }) {
       <tbody>
         {policies.map((p) => (
           <tr key={p.id}>
+            {selectable && (
+              <td>
+                <input
+                  type="checkbox"
+                  aria-label={`Select ${p.name}`}
+                  checked={selectedIds.includes(p.id)}
+                  onChange={() => toggle(p.id)}
+                />
+              </td>
+            )}
             <td align="left">
               <span
                 style={{ textDecoration: 'underline', color: '#1a0dab', cursor: 'pointer', fontWeight: 'bold' }}
@@ -30,13 +68,38 @@ function PolicyTable({ policies, onPolicyClick }) {
               >
                 {p.name}
               </span>
+              <LintBadges findings={findingsByPolicy[p.id] || []} />
             </td>
             <td align="left">{p.description}</td>
           </tr>
         ))}
+        {loadingMore && (
+          <tr>
+            <td colSpan={selectable ? 3 : 2} className="muted">Loading more policies…</td>
+          </tr>
+        )}
       </tbody>
     </table>
   );
 }
 
+/**
+ * One badge per lint severity present, showing the number of findings
+ */
+function LintBadges({ findings }) {
+  const counts = {};
+  for (const f of findings) counts[f.severity] = (counts[f.severity] || 0) + 1;
+  return ['error', 'warning', 'info']
+    .filter((severity) => counts[severity])
+    .map((severity) => (
+      <span
+        key={severity}
+        className={`lint-badge lint-${severity}`}
+        title={findings.filter((f) => f.severity === severity).map((f) => f.message).join('\n')}
+      >
+        {counts[severity]}
+      </span>
+    ));
+}
+
 export default PolicyTable;
\ No newline at end of file
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+import SnapshotControls from './SnapshotControls';
+
+// Profiles backed by a stored snapshot rather than live OCI credentials
+const SNAPSHOT_PREFIX = 'snapshot:';
+
+/**
+ * ProfileSelector component
+ * Loads the OCI profiles available on the backend and renders the profile dropdown.
+ * Snapshot profiles ("snapshot:<name>") are listed separately and marked read-only.
+ * Session-token profiles show when their token expires; an expired session is flagged next to the dropdown.
+ * Props:
+ *   selectedProfile: currently selected profile name ('' if none)
+ *   onProfileChange(profile): callback when a different profile is selected
+ */
+function ProfileSelector({ selectedProfile, onProfileChange }) {
+// State: List of available OCI profiles
+  const [profiles, setProfiles] = useState([]);
+// State: Profile details by name ({ auth, expiresAt? })
+  const [details, setDetails] = useState({});
+// State: Whether the profiles are currently being loaded
+  const [loadingProfiles, setLoadingProfiles] = useState(true);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  // Fetches the profile list; resolves once state is updated
+  const loadProfiles = () =>
+    fetch(`${API_ROOT}/api/profiles`)
+      .then((r) => r.json())
+      .then((data) => {
+        setProfiles(data.profiles || []);
+        setDetails(Object.fromEntries((data.details || []).map((d) => [d.name, d])));
+        setLoadingProfiles(false);
+      })
+      .catch(() => {
+        setError('Could not load profiles.');
+        setLoadingProfiles(false);
+      });
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  // Reload the list so the imported snapshot appears, then select it
+  const handleImported = (profile) => {
+    loadProfiles().then(() => onProfileChange(profile));
+  };
+
+  // Dropdown label of a live profile
+  const labelOf = (profile) => {
+    const detail = details[profile];
+    if (!detail || detail.auth !== 'security_token') return profile;
+    if (!detail.expiresAt) return `${profile} (session)`;
+    const expiresAt = new Date(detail.expiresAt);
+    return expiresAt <= new Date()
+      ? `${profile} (session expired)`
+      : `${profile} (session until ${expiresAt.toLocaleString()})`;
+  };
+  const selectedDetail = details[selectedProfile];
+  const sessionExpired = selectedDetail && selectedDetail.auth === 'security_token'
+    && selectedDetail.expiresAt && new Date(selectedDetail.expiresAt) <= new Date();
+
+  const liveProfiles = profiles.filter((p) => !p.startsWith(SNAPSHOT_PREFIX));
+  const snapshotProfiles = profiles.filter((p) => p.startsWith(SNAPSHOT_PREFIX));
+
+  if (loadingProfiles) {
+    return <p>Loading OCI profiles…</p>;
+  }
+
+  return (
+    <div>
+      <label htmlFor="profile">Select OCI Profile: </label>
+      <select
+        id="profile"
+        value={selectedProfile}
+        onChange={(e) => onProfileChange(e.target.value)}
+      >
+        <option value="">-- Select --</option>
+        {liveProfiles.map((profile) => (
+          <option key={profile} value={profile}>
+            {labelOf(profile)}
+          </option>
+        ))}
+        {snapshotProfiles.length > 0 && (
+          <optgroup label="Snapshots (read-only)">
+            {snapshotProfiles.map((profile) => (
+              <option key={profile} value={profile}>
+                {profile.slice(SNAPSHOT_PREFIX.length)}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      {selectedProfile.startsWith(SNAPSHOT_PREFIX) && <span className="badge">read-only snapshot</span>}
+      {sessionExpired && (
+        <span className="badge" style={{ color: 'red' }}>
+          session expired: run oci session authenticate --profile-name {selectedProfile}
+        </span>
+      )}
+      <SnapshotControls selectedProfile={selectedProfile} onImported={handleImported} />
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+    </div>
+  );
+}
+
+export default ProfileSelector;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { API_ROOT } from '../api';
+
+/**
+ * SnapshotControls component
+ * Download a JSON snapshot of the selected profile's tenancy, or import a snapshot file
+ * so it can be browsed offline as a read-only "snapshot:<name>" profile.
+ * Props:
+ *   selectedProfile: currently selected profile name
+ *   onImported(profile): callback with the new snapshot profile name after a successful import
+ */
+function SnapshotControls({ selectedProfile, onImported }) {
+// State: Whether an import is being uploaded
+  const [importing, setImporting] = useState(false);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  // Reads the chosen file and uploads it to the backend
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setImporting(true);
+    setError('');
+    file.text()
+      .then((text) => fetch(`${API_ROOT}/api/snapshots/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: text
+      }))
+      .then((r) => r.json())
+      .then((data) => {
+        if (data.profile) {
+          onImported(data.profile);
+        } else {
+          setError(data.error || 'Unexpected response');
+        }
+        setImporting(false);
+      })
+      .catch(() => {
+        setError('Failed to import snapshot.');
+        setImporting(false);
+      });
+  };
+
+  return (
+    <div className="snapshot-controls">
+      {selectedProfile && (
+        <a
+          href={`${API_ROOT}/api/snapshots/export?profile=${encodeURIComponent(selectedProfile)}`}
+          download
+        >
+          Download snapshot
+        </a>
+      )}
+      <label className="file-label">
+        {importing ? 'Importing…' : 'Import snapshot…'}
+        <input type="file" accept="application/json,.json" onChange={handleImport} disabled={importing} hidden />
+      </label>
+      {error && <span style={{ color: 'red' }}>{error}</span>}
+    </div>
+  );
+}
+
+export default SnapshotControls;
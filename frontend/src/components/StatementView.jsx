@@ -0,0 +1,59 @@
+import React from 'react';
+
+/**
+ * StatementView component
+ * Renders a policy statement with syntax highlighting from the backend parser's role tokens
+ * (verbs, subjects, resource types, locations and conditions in distinct styles).
+ * Group/dynamic-group names and compartment references are clickable; compartments referenced by OCID
+ * are followed by their path when it is known.
+ * Props:
+ *   statement: raw statement text
+ *   parsedStatement: entry of policy.parsedStatements ({ parsed, tokens }); falls back to plain text if missing
+ *   onSubjectClick(subject): callback with a parsed subject entry ({ type, name, domain })
+ *   onCompartmentClick(location): callback with the parsed compartment location ({ path } or { id })
+ *   compartmentsById: compartment hierarchy keyed by OCID, used to name OCID references (optional)
+ */
+function StatementView({ statement, parsedStatement, onSubjectClick, onCompartmentClick, compartmentsById = {} }) {
+  const tokens = parsedStatement?.tokens || [];
+  const parsed = parsedStatement?.parsed;
+  const referenced = parsed?.location?.id ? compartmentsById[parsed.location.id] : null;
+  const referencedPath = referenced ? (referenced.path || '(Tenancy Root)') : null;
+  if (tokens.length === 0) {
+    return <code className="statement">{statement}</code>;
+  }
+
+  const parts = [];
+  let offset = 0;
+  tokens.forEach((token, i) => {
+    if (token.start > offset) parts.push(statement.slice(offset, token.start));
+    const text = statement.slice(token.start, token.end);
+    const subject = token.role === 'subject' && parsed ? parsed.subjects[token.subjectIndex] : null;
+    let onClick = null;
+    if (subject && subject.name && (subject.type === 'group' || subject.type === 'dynamic-group') && onSubjectClick) {
+      onClick = () => onSubjectClick(subject);
+    } else if (token.role === 'compartment' && parsed && onCompartmentClick) {
+      onClick = () => onCompartmentClick(parsed.location);
+    }
+    parts.push(
+      <span
+        key={i}
+        className={`tok-${token.role}${onClick ? ' tok-link' : ''}`}
+        onClick={onClick || undefined}
+        title={onClick ? (subject ? 'Show effective access' : `Open compartment ${referencedPath || ''}`.trim()) : undefined}
+      >
+        {text}
+      </span>
+    );
+    offset = token.end;
+  });
+  if (offset < statement.length) parts.push(statement.slice(offset));
+
+  return (
+    <>
+      <code className="statement">{parts}</code>
+      {referencedPath && <span className="muted"> (compartment {referencedPath})</span>}
+    </>
+  );
+}
+
+export default StatementView;
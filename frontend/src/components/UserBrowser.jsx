@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { API_ROOT } from '../api';
+
+/**
+ * UserBrowser component
+ * Lists the users of the selected tenancy with the groups each user belongs to.
+ * Mounted once per profile (App keys it by profile), so the list is loaded once on mount.
+ * Props:
+ *   selectedProfile: currently selected profile name
+ *   onSubjectClick(subject): callback to open the effective access of a group ({ type, name })
+ */
+function UserBrowser({ selectedProfile, onSubjectClick }) {
+// State: Users of the tenancy, each with `groups`
+  const [users, setUsers] = useState([]);
+// State: Filter on user name, email or group name
+  const [filter, setFilter] = useState('');
+// State: Whether the request is in flight (the list loads on mount)
+  const [loading, setLoading] = useState(!!selectedProfile);
+// State: Current error message (if any)
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!selectedProfile) return;
+    fetch(`${API_ROOT}/api/users?profile=${encodeURIComponent(selectedProfile)}`)
+      .then((r) => r.json())
+      .then((data) => {
+        if (Array.isArray(data)) {
+          setUsers(data);
+        } else {
+          setUsers([]);
+          setError(data.error || 'Unexpected response');
+        }
+        setLoading(false);
+      })
+      .catch(() => {
+        setError('Failed to load users.');
+        setLoading(false);
+      });
+  }, [selectedProfile]);
+
+  if (!selectedProfile) {
+    return <p>Select a profile to browse users.</p>;
+  }
+
+  const needle = filter.toLowerCase();
+  const visible = users.filter((u) => (
+    u.name.toLowerCase().includes(needle)
+    || (u.email || '').toLowerCase().includes(needle)
+    || u.groups.some((g) => (g.name || '').toLowerCase().includes(needle))
+  ));
+
+  return (
+    <div>
+      <h2>Users</h2>
+      <div className="search-form">
+        <input
+          type="text"
+          value={filter}
+          placeholder="Filter by name, email or group"
+          onChange={(e) => setFilter(e.target.value)}
+        />
+      </div>
+      {loading && <p>Loading users…</p>}
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+      {!loading && (
+        <table className="policy-table">
+          <thead>
+            <tr>
+              <th align="left">Name</th>
+              <th align="left">Email</th>
+              <th align="left">Groups</th>
+              <th align="left">State</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((user) => (
+              <tr key={user.id}>
+                <td align="left">{user.name}</td>
+                <td align="left">{user.email}</td>
+                <td align="left">
+                  {user.groups.map((g) => (
+                    g.name ? (
+                      <button
+                        key={g.id}
+                        className="link-button badge"
+                        onClick={() => onSubjectClick({ type: 'group', name: g.name })}
+                      >
+                        {g.name}
+                      </button>
+                    ) : (
+                      <span key={g.id} className="badge muted">{g.id}</span>
+                    )
+                  ))}
+                </td>
+                <td align="left">{user.lifecycleState}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default UserBrowser;
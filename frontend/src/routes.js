@@ -0,0 +1,71 @@
+// Client-side routes, kept in the URL hash so links work on any static host without server rewrites:
+//   #/                                         no profile selected
+//   #/p/<profile>                              browse the tenancy root
+//   #/p/<profile>/c/<A>/<B>/<C>                browse compartment A/B/C (names from the root)
+//   #/p/<profile>/c/<A>/<B>/policy/<OCID>      detail of a policy attached to compartment A/B
+//   #/p/<profile>/<view>                       search, access, groups, dynamic-groups, users, history
+//   #/multi  or  #/p/<profile>/multi           multi-tenancy view
+// Every segment is URI-encoded, so names containing "/" survive.
+
+// URL segment of each App tab that has a route of its own
+const VIEW_SEGMENTS = {
+  search: 'search',
+  access: 'access',
+  groups: 'groups',
+  dynamicGroups: 'dynamic-groups',
+  users: 'users',
+  history: 'history',
+  multi: 'multi'
+};
+const SEGMENT_VIEWS = Object.fromEntries(Object.entries(VIEW_SEGMENTS).map(([view, segment]) => [segment, view]));
+
+/**
+ * Parses a location hash into a route.
+ * Unknown or malformed hashes yield the empty route (no profile, browse view).
+ * @param {string} hash - window.location.hash, with or without the leading '#'
+ * @returns {Object} { profile, view ('main' | 'policyDetail' | a VIEW_SEGMENTS key), path: [compartment names], policyId }
+ */
+export function parseRoute(hash) {
+  const route = { profile: '', view: 'main', path: [], policyId: '' };
+  let segments;
+  try {
+    segments = hash.replace(/^#?\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return route;
+  }
+  if (segments[0] === 'multi') return { ...route, view: 'multi' };
+  if (segments[0] !== 'p' || !segments[1]) return route;
+  route.profile = segments[1];
+  const rest = segments.slice(2);
+  if (rest[0] === 'c') {
+    // A compartment may itself be named "policy", so only a trailing "policy/<policy OCID>" selects a policy
+    const policyAt = rest.length - 2;
+    if (policyAt >= 1 && rest[policyAt] === 'policy' && rest[policyAt + 1].startsWith('ocid1.policy.')) {
+      route.path = rest.slice(1, policyAt);
+      route.policyId = rest[policyAt + 1];
+      route.view = 'policyDetail';
+    } else {
+      route.path = rest.slice(1);
+    }
+  } else if (SEGMENT_VIEWS[rest[0]]) {
+    route.view = SEGMENT_VIEWS[rest[0]];
+  }
+  return route;
+}
+
+/**
+ * Formats a route as a location hash (inverse of parseRoute).
+ * @param {Object} route - { profile, view, path, policyId } as returned by parseRoute
+ * @returns {string} Hash starting with '#/'
+ */
+export function formatRoute({ profile, view = 'main', path = [], policyId = '' }) {
+  if (!profile) return view === 'multi' ? '#/multi' : '#/';
+  const segments = ['p', profile];
+  if (VIEW_SEGMENTS[view]) {
+    segments.push(VIEW_SEGMENTS[view]);
+  } else if (path.length > 0 || (view === 'policyDetail' && policyId)) {
+    segments.push('c', ...path);
+    if (view === 'policyDetail' && policyId) segments.push('policy', policyId);
+  }
+  return `#/${segments.map(encodeURIComponent).join('/')}`;
+}